@@ -22,7 +22,7 @@ export const main = async () => {
             });
         });
 
-        req.on('error', (error) => {
+        req.on('error', () => {
             process.exit(1);
         });
 
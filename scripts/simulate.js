@@ -0,0 +1,133 @@
+// scripts/simulate.js
+// Plays BackendPuzzle games headlessly and reports statistics. See "Simulation" in README.md.
+//   npm run simulate -- --habitats 104,1001 --seeds 1-1000 --strategy greedy --format csv --out runs.csv
+import * as fs from 'fs';
+import { register } from 'module';
+
+const USAGE = `Usage: npm run simulate -- [options]
+  --habitats <codes>    Habitat codes, e.g. 104,1001, or weighted: 104:3,1001:1 (default: none, random gems)
+  --dataset <id>        Habitat gem map table (default: the first in public/assets/habitat-gem-maps.json)
+  --seeds <from-to>     Seed range, one game per seed (default: 1-100)
+  --strategy <name>     random, greedy or hint (default: greedy)
+  --moves <n>           Moves per game (default: 30)
+  --board <preset>      Board preset, e.g. mobile, standard, survey (default: standard)
+  --blend <0-1>         Share of spawns driven by the habitats (default: 1)
+  --rules <mode>        zen or strict (default: zen)
+  --format <format>     json (summary and every game) or csv (one row per game) (default: json)
+  --out <file>          Write the report here instead of stdout
+  --verbose             Keep the model's console logging`;
+
+// The game modules import each other without file extensions, which Vite resolves but Node doesn't
+const resolveWithoutExtension = `
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\\.\\.?\\//.test(specifier)) throw error;
+        return nextResolve(specifier + '.js', context);
+    }
+}`;
+
+const fail = (message) => {
+    console.error(`simulate: ${message}\n\n${USAGE}`);
+    process.exit(1);
+};
+
+/** @param {string[]} args @returns {Object<string, string | boolean>} */
+const parseArgs = (args) => {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) fail(`Unexpected argument '${args[i]}'.`);
+        const name = args[i].slice(2);
+        if (name === 'verbose' || name === 'help') {
+            options[name] = true;
+        } else if (i + 1 < args.length) {
+            options[name] = args[++i];
+        } else {
+            fail(`--${name} needs a value.`);
+        }
+    }
+    return options;
+};
+
+/** @param {string | undefined} text @returns {number[] | Object<string, number>} */
+const parseHabitats = (text) => {
+    if (!text) return [];
+    const entries = text.split(',').map(entry => entry.trim().split(':').map(Number));
+    if (entries.some(entry => entry.some(value => !Number.isFinite(value)))) fail(`Invalid --habitats '${text}'.`);
+    return entries.some(entry => entry.length > 1)
+        ? Object.fromEntries(entries.map(([code, weight = 1]) => [code, weight]))
+        : entries.map(([code]) => code);
+};
+
+/** @param {string} text @returns {[number, number]} */
+const parseSeedRange = (text) => {
+    const [from, to = from] = text.split('-').map(Number);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) fail(`Invalid --seeds '${text}'.`);
+    return [from, to];
+};
+
+export const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    register('data:text/javascript,' + encodeURIComponent(resolveWithoutExtension), import.meta.url);
+    const { simulateGame, summarizeSimulation, simulationToCsv, SIMULATION_STRATEGIES } = await import('../src/game/Simulation.js');
+    const { parseHabitatGemMapPack, selectHabitatGemMap } = await import('../src/game/HabitatGemMap.js');
+    const { BOARD_PRESETS } = await import('../src/game/BoardConfig.js');
+    const { RULE_MODES, MODE_MOVE_LIMIT, DEFAULT_HABITAT_BLEND } = await import('../src/game/constants.js');
+
+    const strategy = options.strategy || 'greedy';
+    if (!SIMULATION_STRATEGIES[strategy]) fail(`Unknown --strategy '${strategy}'.`);
+    const format = options.format || 'json';
+    if (format !== 'json' && format !== 'csv') fail(`Unknown --format '${format}'.`);
+    const board = options.board || undefined;
+    if (board && !BOARD_PRESETS[board]) fail(`Unknown --board '${board}'. Use one of ${Object.keys(BOARD_PRESETS).join(', ')}.`);
+    const ruleMode = options.rules || RULE_MODES.ZEN;
+    if (!Object.values(RULE_MODES).includes(ruleMode)) fail(`Unknown --rules '${ruleMode}'.`);
+    const moves = options.moves !== undefined ? Number(options.moves) : MODE_MOVE_LIMIT;
+    if (!Number.isInteger(moves) || moves < 1) fail(`Invalid --moves '${options.moves}'.`);
+    const blend = options.blend !== undefined ? Number(options.blend) : undefined;
+    if (blend !== undefined && !(blend >= 0 && blend <= 1)) fail(`Invalid --blend '${options.blend}'.`);
+    const [seedFrom, seedTo] = parseSeedRange(options.seeds || '1-100');
+    const habitats = parseHabitats(options.habitats);
+
+    const logs = { log: console.log, warn: console.warn };
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    const games = [];
+    let habitatGemMap;
+    try {
+        const maps = parseHabitatGemMapPack(fs.readFileSync(new URL('../public/assets/habitat-gem-maps.json', import.meta.url), 'utf8'));
+        habitatGemMap = selectHabitatGemMap(maps, options.dataset);
+        const boardConfig = { ...BOARD_PRESETS[board || 'standard'], ...(blend !== undefined ? { habitatBlend: blend } : {}) };
+        for (let seed = seedFrom; seed <= seedTo; seed++) {
+            games.push(simulateGame({ seed, habitats, strategy, moves, boardConfig, habitatGemMap, ruleMode }));
+        }
+    } finally {
+        Object.assign(console, logs);
+    }
+
+    const config = {
+        habitats, dataset: habitatGemMap?.dataset ?? null, seeds: [seedFrom, seedTo], strategy, moves,
+        board: board || 'standard', habitatBlend: blend ?? DEFAULT_HABITAT_BLEND, ruleMode
+    };
+    const report = format === 'csv'
+        ? simulationToCsv(games)
+        : JSON.stringify({ config, summary: summarizeSimulation(games), games }, null, 2) + '\n';
+    if (options.out) {
+        fs.writeFileSync(options.out, report);
+        console.error(`simulate: ${games.length} games written to ${options.out}`);
+    } else {
+        process.stdout.write(report);
+    }
+};
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
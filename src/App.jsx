@@ -1,23 +1,81 @@
-import { useRef, useState, useEffect } from 'react';
+import { useRef, useState, useEffect, useCallback } from 'react';
 // Phaser import might not be strictly needed in App.jsx if all Phaser logic is in PhaserGame and its scenes
 // import Phaser from 'phaser';
 import { PhaserGame } from './PhaserGame';       // Your existing PhaserGame component
 import CesiumMap from './components/CesiumMap';  // Import the new CesiumMap component
+import GameHud from './components/GameHud';
+import PlayerInventory from './components/PlayerInventory';
+import EventInspector from './components/EventInspector';
 import { EventBus } from './game/EventBus';      // If App.jsx itself needs to react to game events
+import { GAME_EVENTS } from './game/GameEvents';
+import { BOARD_PRESETS, DEFAULT_BOARD_PRESET } from './game/BoardConfig';
+
+// Open the page with ?events to log EventBus traffic below the controls
+const SHOW_EVENT_INSPECTOR = new URLSearchParams(window.location.search).has('events');
+
+// Name of the preset matching a board config, or '' for custom sizes (e.g. a resumed save)
+const presetNameFor = (config) => Object.keys(BOARD_PRESETS).find(
+    (name) => BOARD_PRESETS[name].cols === config.cols && BOARD_PRESETS[name].rows === config.rows
+) || '';
 
 function App() {
     const phaserRef = useRef(); // Ref to access Phaser game instance and current scene
+    const [ruleMode, setRuleMode] = useState('zen');
+    const [history, setHistory] = useState({ canUndo: false, canRedo: false });
+    const [boardPreset, setBoardPreset] = useState(DEFAULT_BOARD_PRESET);
+    const [levels, setLevels] = useState([]);
+    const [activeLevelId, setActiveLevelId] = useState('');
+    const [gameMode, setGameMode] = useState('endless');
+
+    // Keep the controls in sync with the Game scene. Score, limits and the rest of the HUD
+    // subscribe in GameHud, so their frequent updates don't re-render App.
+    useEffect(() => {
+        const handleRuleModeChanged = (mode) => setRuleMode(mode);
+        const handleHistoryChanged = (data) => setHistory(data);
+        const handleBoardConfigChanged = (config) => setBoardPreset(presetNameFor(config));
+        const handleLevelsAvailable = (list) => {
+            setLevels(list);
+            setActiveLevelId(''); // The Game scene (re)started; a level reports progress once it begins
+        };
+        const handleLevelProgress = ({ id }) => setActiveLevelId(id); // Unchanged ids don't re-render
+        const handleReplayExported = (replayJson) => {
+            // Hand the replay to the browser as a file download
+            const url = URL.createObjectURL(new Blob([replayJson], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `replay-${Date.now()}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        };
+        const scope = EventBus.scope()
+            .on(GAME_EVENTS.RULE_MODE_CHANGED, handleRuleModeChanged)
+            .on(GAME_EVENTS.HISTORY_CHANGED, handleHistoryChanged)
+            .on(GAME_EVENTS.REPLAY_EXPORTED, handleReplayExported)
+            .on(GAME_EVENTS.BOARD_CONFIG_CHANGED, handleBoardConfigChanged)
+            .on(GAME_EVENTS.LEVELS_AVAILABLE, handleLevelsAvailable)
+            .on(GAME_EVENTS.LEVEL_PROGRESS, handleLevelProgress)
+            .on(GAME_EVENTS.GAME_MODE_CHANGED, setGameMode);
+        return () => scope.clear();
+    }, []);
 
     // Example state from template (you might not need these for the match-3 game directly in App.jsx)
     // const [spritePosition, setSpritePosition] = useState({ x: 0, y: 0 });
     // const [canMoveSprite, setCanMoveSprite] = useState(true);
 
-    // This callback is for when PhaserGame signals that a scene is ready
-    const handlePhaserSceneReady = (scene) => {
+    // This callback is for when PhaserGame signals that a scene is ready.
+    // Stable across renders so PhaserGame doesn't re-subscribe to 'current-scene-ready'.
+    const handlePhaserSceneReady = useCallback((scene) => {
         console.log('App.jsx: Phaser scene ready -', scene.scene.key);
         // You can store the scene or game instance if App.jsx needs to directly interact
         // phaserRef.current.scene = scene; // PhaserGame.jsx already does this
         // setCanMoveSprite(scene.scene.key !== 'MainMenu'); // Example from template
+    }, []);
+
+    const handleReplayFileChosen = (event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        file.text().then((text) => EventBus.emit(GAME_EVENTS.REPLAY_PLAY_REQUESTED, text));
+        event.target.value = ''; // Allow choosing the same file again
     };
 
     // --- Layout Styling ---
@@ -43,7 +101,7 @@ function App() {
     };
     const phaserGameWrapperStyle = {
         width: '100%',
-        height: 'calc(100% - 150px)', // Example: Game takes most space, 150px for UI below
+        height: 'calc(100% - 220px)', // Game takes most space, 220px for the controls and HUD below
         // Or use flex: 1 to take available space if UI below has fixed height
         // flex: 1,
         display: 'flex', // Needed for PhaserGame's internal #game-container to size correctly
@@ -52,7 +110,7 @@ function App() {
     };
     const gameUiPanelStyle = {
         width: '100%',
-        height: '150px', // Fixed height for UI panel
+        height: '220px', // Fixed height for UI panel
         padding: '10px',
         boxSizing: 'border-box',
         borderTop: '2px solid #555',
@@ -98,10 +156,51 @@ function App() {
 
                 <div id="game-ui-panel" style={gameUiPanelStyle}>
                     <h2>Game Controls / Info</h2>
-                    {/* Placeholder for Player Inventory UI or other game-related React UI */}
-                    {/* For example: <PlayerInventory playerId="currentPlayer" /> */}
-                    <p>Selected location data will appear in the Phaser game board.</p>
-                    <p>Interact with the Cesium map to choose a location.</p>
+                    <button className="button" onClick={() => EventBus.emit(GAME_EVENTS.HINT_REQUESTED)}>Hint</button>
+                    <button className="button" disabled={!history.canUndo} onClick={() => EventBus.emit(GAME_EVENTS.UNDO_REQUESTED)}>Undo</button>
+                    <button className="button" disabled={!history.canRedo} onClick={() => EventBus.emit(GAME_EVENTS.REDO_REQUESTED)}>Redo</button>
+                    <button className="button" onClick={() => EventBus.emit(GAME_EVENTS.REPLAY_PLAY_REQUESTED)}>Watch Replay</button>
+                    <button className="button" onClick={() => EventBus.emit(GAME_EVENTS.REPLAY_EXPORT_REQUESTED)}>Save Replay</button>
+                    <label className="button">
+                        Load Replay
+                        <input type="file" accept="application/json,.json" hidden onChange={handleReplayFileChosen} />
+                    </label>
+                    <label>
+                        Rules:{' '}
+                        <select value={ruleMode} onChange={(e) => EventBus.emit(GAME_EVENTS.SET_RULE_MODE, e.target.value)}>
+                            <option value="zen">Zen (any shift)</option>
+                            <option value="strict">Strict (must match)</option>
+                        </select>
+                    </label>
+                    <label>
+                        {' '}Level:{' '}
+                        <select value={activeLevelId} onChange={(e) => EventBus.emit(GAME_EVENTS.LEVEL_REQUESTED, e.target.value)}>
+                            <option value="">Free play</option>
+                            {levels.map((level) => (
+                                <option key={level.id} value={level.id}>{level.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        {' '}Mode:{' '}
+                        <select value={gameMode} disabled={activeLevelId !== ''} onChange={(e) => EventBus.emit(GAME_EVENTS.SET_GAME_MODE, e.target.value)}>
+                            <option value="endless">Endless</option>
+                            <option value="moves">Limited moves</option>
+                            <option value="timed">Timed</option>
+                        </select>
+                    </label>
+                    <label>
+                        {' '}Board:{' '}
+                        <select value={boardPreset} onChange={(e) => EventBus.emit(GAME_EVENTS.SET_BOARD_CONFIG, e.target.value)}>
+                            {boardPreset === '' && <option value="">Custom</option>}
+                            {Object.entries(BOARD_PRESETS).map(([name, preset]) => (
+                                <option key={name} value={name}>{name} ({preset.cols}x{preset.rows})</option>
+                            ))}
+                        </select>
+                    </label>
+                    <GameHud />
+                    <PlayerInventory playerId="currentPlayer" />
+                    {SHOW_EVENT_INSPECTOR && <EventInspector />}
 
                     {/* Example buttons from template (can be removed or adapted) */}
                     {/* <div>
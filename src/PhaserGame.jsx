@@ -1,6 +1,7 @@
 import { forwardRef, useEffect, useLayoutEffect, useRef } from 'react';
 import StartGame from './game/main';
 import { EventBus } from './game/EventBus';
+import { GAME_EVENTS } from './game/GameEvents';
 
 export const PhaserGame = forwardRef(function PhaserGame ({ currentActiveScene }, ref)
 {
@@ -32,7 +33,8 @@ export const PhaserGame = forwardRef(function PhaserGame ({ currentActiveScene }
 
     useEffect(() => {
 
-        EventBus.on('current-scene-ready', (currentScene) => {
+        // Returns the cleanup for just this handler; other 'current-scene-ready' listeners stay subscribed
+        return EventBus.subscribe(GAME_EVENTS.CURRENT_SCENE_READY, (currentScene) => {
 
             if (currentActiveScene instanceof Function)
             {
@@ -41,12 +43,6 @@ export const PhaserGame = forwardRef(function PhaserGame ({ currentActiveScene }
             ref.current.scene = currentScene;
             
         });
-
-        return () => {
-
-            EventBus.removeListener('current-scene-ready');
-
-        }
         
     }, [currentActiveScene, ref])
 
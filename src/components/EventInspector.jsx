@@ -0,0 +1,59 @@
+import { memo, useEffect, useState } from 'react';
+import { EventBus, EVENT_INSPECTOR_MAX_ENTRIES } from '../game/EventBus';
+
+const PAYLOAD_PREVIEW_LENGTH = 160; // Characters of payload JSON shown per entry
+
+let nextEntryId = 0; // Stable React keys for log entries
+
+// JSON preview of a payload, taken at emit time. Class instances such as scenes are shown by name, not walked.
+const previewPayload = (payload) => {
+    if (payload === undefined) return '';
+    try {
+        const text = JSON.stringify(payload, (key, value) => {
+            const proto = value && typeof value === 'object' ? Object.getPrototypeOf(value) : null;
+            if (proto && proto !== Object.prototype && proto !== Array.prototype) return `[${value.constructor?.name || 'object'}]`;
+            return value;
+        });
+        return text.length > PAYLOAD_PREVIEW_LENGTH ? `${text.slice(0, PAYLOAD_PREVIEW_LENGTH)}…` : text;
+    } catch {
+        return '[unserializable]';
+    }
+};
+
+/**
+ * Live log of EventBus traffic, newest first, with malformed payloads highlighted. Only records
+ * while mounted; App shows it when the page URL has ?events.
+ */
+function EventInspector() {
+    const [entries, setEntries] = useState([]);
+    const [filter, setFilter] = useState('');
+
+    useEffect(() => EventBus.inspect((entry) => {
+        const logged = { ...entry, id: nextEntryId++, preview: previewPayload(entry.payload), payload: undefined };
+        setEntries((previous) => [logged, ...previous].slice(0, EVENT_INSPECTOR_MAX_ENTRIES));
+    }), []);
+
+    const shown = filter ? entries.filter(({ eventName }) => eventName.includes(filter)) : entries;
+    return (
+        <div className="event-inspector">
+            <div>
+                Events ({entries.length}){' '}
+                <input value={filter} placeholder="Filter by name" onChange={(e) => setFilter(e.target.value)} />{' '}
+                <button className="button" onClick={() => setEntries([])}>Clear</button>
+            </div>
+            <ol className="event-log">
+                {shown.map((entry) => (
+                    <li key={entry.id} className={entry.problems.length > 0 ? 'event-invalid' : undefined}>
+                        <span className="hud-muted">{new Date(entry.at).toLocaleTimeString()}</span>{' '}
+                        <strong>{entry.eventName}</strong>
+                        {entry.listeners === 0 && <span className="hud-muted"> (no listeners)</span>}{' '}
+                        <code>{entry.preview}</code>
+                        {entry.problems.length > 0 && <div>{entry.problems.join('; ')}</div>}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
+
+export default memo(EventInspector);
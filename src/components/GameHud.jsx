@@ -0,0 +1,200 @@
+import { memo, useEffect, useState } from 'react';
+import { EventBus } from '../game/EventBus';
+import { GAME_EVENTS } from '../game/GameEvents';
+import { GEM_COLORS } from './gemColors';
+
+const COMBO_DISPLAY_MS = 1500; // How long the combo indicator stays up after a cascade
+
+/**
+ * Latest payload of a Game scene event. Only the component using it re-renders, so HUD updates
+ * never re-render App or the Phaser canvas.
+ * @param {string} eventName - One of GAME_EVENTS.
+ * @param {*} initialValue - Returned until the event first fires.
+ */
+function useGameEvent(eventName, initialValue) {
+    const [value, setValue] = useState(initialValue);
+    useEffect(() => EventBus.subscribe(eventName, setValue), [eventName]);
+    return value;
+}
+
+const formatCoordinate = (value, positive, negative) => `${Math.abs(value).toFixed(3)}°${value >= 0 ? positive : negative}`;
+
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const ScoreDisplay = memo(function ScoreDisplay() {
+    const { score, delta } = useGameEvent(GAME_EVENTS.SCORE_CHANGED, { score: 0, delta: 0 });
+    return (
+        <span className="score-display">
+            Score: <strong>{score}</strong>
+            {delta > 0 && <span className="score-delta"> +{delta}</span>}
+        </span>
+    );
+});
+
+// Shows the cascade multiplier for a moment after each phase that earned one
+const ComboIndicator = memo(function ComboIndicator() {
+    const [combo, setCombo] = useState(null);
+    useEffect(() => {
+        let timer = null;
+        const handleScoreChanged = ({ breakdown }) => {
+            if (!breakdown || breakdown.multiplier <= 1) return;
+            setCombo({ multiplier: breakdown.multiplier, cascades: breakdown.cascadeDepth });
+            clearTimeout(timer);
+            timer = setTimeout(() => setCombo(null), COMBO_DISPLAY_MS);
+        };
+        const unsubscribe = EventBus.subscribe(GAME_EVENTS.SCORE_CHANGED, handleScoreChanged);
+        return () => {
+            unsubscribe();
+            clearTimeout(timer);
+        };
+    }, []);
+    if (!combo) return null;
+    return (
+        <span className="combo-indicator">
+            Combo x{combo.multiplier} ({combo.cascades} cascade{combo.cascades === 1 ? '' : 's'})
+        </span>
+    );
+});
+
+const LimitsDisplay = memo(function LimitsDisplay() {
+    const limits = useGameEvent(GAME_EVENTS.LIMITS_CHANGED, null);
+    if (!limits) return null;
+    const lowOnMoves = limits.movesLeft !== null && limits.movesLeft <= 3;
+    const lowOnTime = limits.secondsLeft !== null && limits.secondsLeft <= 10;
+    return (
+        <span className="limits-display">
+            <span className={lowOnMoves ? 'limit-warning' : undefined}>
+                {limits.movesLeft !== null ? `Moves left: ${limits.movesLeft}` : `Moves: ${limits.movesUsed}`}
+            </span>
+            {limits.secondsLeft !== null && (
+                <span className={lowOnTime ? 'limit-warning' : undefined}> Time: {formatSeconds(limits.secondsLeft)}</span>
+            )}
+        </span>
+    );
+});
+
+const LevelObjectives = memo(function LevelObjectives() {
+    const [progress, setProgress] = useState(null);
+    useEffect(() => {
+        const handleLevelsAvailable = () => setProgress(null); // The Game scene (re)started; a level reports progress once it begins
+        const scope = EventBus.scope()
+            .on(GAME_EVENTS.LEVEL_PROGRESS, setProgress)
+            .on(GAME_EVENTS.LEVELS_AVAILABLE, handleLevelsAvailable);
+        return () => scope.clear();
+    }, []);
+    if (!progress) return null;
+    return (
+        <div className="level-progress">
+            {progress.name}:{' '}
+            {progress.objectives.map((objective, i) => (
+                <span key={i} className={objective.done ? 'objective-done' : undefined}>
+                    {objective.type === 'score' ? 'Score' : `${objective.gemType || 'Any'} gems`}: {objective.current}/{objective.goal}{' '}
+                </span>
+            ))}
+        </div>
+    );
+});
+
+const LocationDisplay = memo(function LocationDisplay() {
+    const data = useGameEvent(GAME_EVENTS.LOCATION_CHANGED, null);
+    if (!data) return <div className="hud-location">Pick a location on the map to start.</div>;
+    const { location, habitats } = data;
+    return (
+        <div className="hud-location">
+            <div>
+                Location:{' '}
+                {location
+                    ? `${formatCoordinate(location.lat, 'N', 'S')} ${formatCoordinate(location.lon, 'E', 'W')}`
+                    : 'unknown'}
+                {data.dataset && <span className="hud-muted"> ({data.dataset})</span>}
+            </div>
+            <HabitatBreakdown habitats={habitats} />
+        </div>
+    );
+});
+
+function HabitatBreakdown({ habitats }) {
+    const unmapped = useGameEvent(GAME_EVENTS.HABITAT_CODES_UNMAPPED, null);
+    if (habitats.length === 0) return <div className="hud-muted">No habitat data: gems spawn at random.</div>;
+    return (
+        <div className="habitat-breakdown">
+            {habitats.map(({ code, share, gemType }) => (
+                <div key={code} className="habitat-row">
+                    <span className="habitat-code">{code}</span>
+                    <span className="habitat-bar">
+                        <span
+                            className="habitat-bar-fill"
+                            style={{ width: `${share * 100}%`, backgroundColor: GEM_COLORS[gemType] || '#888888' }}
+                        />
+                    </span>
+                    <span>{Math.round(share * 100)}% {gemType || 'random'}</span>
+                </div>
+            ))}
+            {unmapped && (
+                <div className="unmapped-habitats">
+                    Habitat codes with no gem mapping ({unmapped.report.dataset}):{' '}
+                    {unmapped.report.codes.map(({ code, locations }) => `${code} (${locations}x)`).join(', ')}
+                </div>
+            )}
+        </div>
+    );
+}
+
+const SpeciesPanel = memo(function SpeciesPanel() {
+    const speciesHere = useGameEvent(GAME_EVENTS.SPECIES_PROGRESS, []);
+    const collection = useGameEvent(GAME_EVENTS.SPECIES_COLLECTION_CHANGED, []);
+    const discovered = useGameEvent(GAME_EVENTS.SPECIES_DISCOVERED, null);
+    const [dismissed, setDismissed] = useState(null);
+    const card = discovered && discovered !== dismissed ? discovered : null;
+    return (
+        <>
+            {card && (
+                <div className="species-card">
+                    <strong>New species discovered!</strong>
+                    <div className="species-card-name">{card.name}</div>
+                    <div>Habitat gems: {card.gemTypes.join(', ')}</div>
+                    <div>
+                        {card.method === 'combo' ? 'Found with a combo' : 'Found by clearing its habitat gems'}
+                        {card.location && ` at ${card.location.lat.toFixed(2)}, ${card.location.lon.toFixed(2)}`}
+                    </div>
+                    <div>Collection: {card.collected} species</div>
+                    <button className="button" onClick={() => setDismissed(card)}>Close</button>
+                </div>
+            )}
+            {speciesHere.length > 0 && (
+                <div className="species-progress">
+                    Species here ({collection.length} collected):{' '}
+                    {speciesHere.map((species) => (
+                        <span key={species.name} className={species.discovered ? 'species-discovered' : undefined}>
+                            {species.name} ({species.discovered ? 'found' : `${species.gemTypes.join('/')} ${species.cleared}/${species.goal}`}){' '}
+                        </span>
+                    ))}
+                </div>
+            )}
+            {speciesHere.length === 0 && collection.length > 0 && (
+                <div className="species-progress hud-muted">Species collected: {collection.length}</div>
+            )}
+        </>
+    );
+});
+
+/**
+ * Heads-up display for the game-ui-panel. Each part subscribes to its own Game scene events,
+ * so a score tick or timer update re-renders only that part.
+ */
+function GameHud() {
+    return (
+        <div className="game-hud">
+            <div className="hud-row">
+                <ScoreDisplay />
+                <LimitsDisplay />
+                <ComboIndicator />
+            </div>
+            <LevelObjectives />
+            <LocationDisplay />
+            <SpeciesPanel />
+        </div>
+    );
+}
+
+export default memo(GameHud);
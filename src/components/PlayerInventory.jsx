@@ -0,0 +1,95 @@
+import { memo, useEffect, useState } from 'react';
+import { EventBus } from '../game/EventBus';
+import { GAME_EVENTS } from '../game/GameEvents';
+import { InventoryStore, INVENTORY_ITEMS, INVENTORY_ITEM_KINDS } from '../game/InventoryStore';
+import { GEM_COLORS } from './gemColors';
+
+const RECENT_LOCATIONS = 5; // Locations listed in the history, most recently played first
+
+const formatCost = (cost) => Object.entries(cost).map(([gemType, count]) => `${count} ${gemType}`).join(', ');
+
+/**
+ * A player's gem totals, history per location and what they can spend it on. Reads the saved
+ * inventory on mount, then follows the Game scene's 'inventory-changed' events; spending goes
+ * through the Game scene so boosters apply to the current game.
+ * @param {{playerId: string}} props
+ */
+function PlayerInventory({ playerId }) {
+    const [inventory, setInventory] = useState(() => new InventoryStore(playerId).getSnapshot());
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        const forPlayer = (handler) => (data) => {
+            if (data.playerId === playerId) handler(data);
+        };
+        const handleChanged = forPlayer((data) => setInventory(data.inventory));
+        const handleSpendFailed = forPlayer(({ reason }) => setMessage(reason));
+        const handleUnlocked = forPlayer(({ name }) => setMessage(`${name} unlocked!`));
+        const scope = EventBus.scope()
+            .on(GAME_EVENTS.INVENTORY_CHANGED, handleChanged)
+            .on(GAME_EVENTS.INVENTORY_SPEND_FAILED, handleSpendFailed)
+            .on(GAME_EVENTS.CONSERVATION_UNLOCKED, handleUnlocked);
+        return () => scope.clear();
+    }, [playerId]);
+
+    const spend = (itemId) => {
+        setMessage(null);
+        EventBus.emit(GAME_EVENTS.INVENTORY_SPEND_REQUESTED, { playerId, itemId });
+    };
+
+    const recentLocations = Object.values(inventory.locations)
+        .sort((a, b) => b.lastPlayedAt.localeCompare(a.lastPlayedAt))
+        .slice(0, RECENT_LOCATIONS);
+    const topHabitats = Object.entries(inventory.habitats).sort((a, b) => b[1] - a[1]).slice(0, 5);
+
+    return (
+        <div className="player-inventory">
+            <div>
+                Gems:{' '}
+                {Object.keys(inventory.gems).length === 0 && <span className="hud-muted">none yet</span>}
+                {Object.entries(inventory.gems).map(([gemType, count]) => (
+                    <span key={gemType} className="inventory-gem">
+                        <span className="gem-swatch" style={{ backgroundColor: GEM_COLORS[gemType] }} />
+                        {count}{' '}
+                    </span>
+                ))}
+            </div>
+            {topHabitats.length > 0 && (
+                <div className="hud-muted">
+                    From habitats: {topHabitats.map(([code, count]) => `${code} (${count})`).join(', ')}
+                </div>
+            )}
+            <div className="inventory-items">
+                {Object.entries(INVENTORY_ITEMS).map(([itemId, item]) => {
+                    const unlocked = inventory.unlocks.includes(itemId);
+                    const missing = InventoryStore.getShortfall(inventory.gems, item.cost);
+                    return (
+                        <button
+                            key={itemId}
+                            className="button"
+                            disabled={unlocked || Object.keys(missing).length > 0}
+                            title={formatCost(item.cost)}
+                            onClick={() => spend(itemId)}
+                        >
+                            {item.kind === INVENTORY_ITEM_KINDS.UNLOCK ? (unlocked ? '✓ ' : 'Unlock ') : ''}{item.name}
+                        </button>
+                    );
+                })}
+            </div>
+            {message && <div className="inventory-message">{message}</div>}
+            {recentLocations.length > 0 && (
+                <ul className="inventory-locations">
+                    {recentLocations.map((entry) => (
+                        <li key={InventoryStore.locationKey(entry.location)}>
+                            {entry.location ? `${entry.location.lat.toFixed(2)}, ${entry.location.lon.toFixed(2)}` : 'Levels'}:{' '}
+                            {formatCost(entry.gems)}
+                            <span className="hud-muted"> (last played {new Date(entry.lastPlayedAt).toLocaleDateString()})</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default memo(PlayerInventory);
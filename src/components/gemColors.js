@@ -0,0 +1,9 @@
+// Swatch colours for gem types, matching the gem sprites
+export const GEM_COLORS = {
+    black: '#4a4a4a',
+    blue: '#3b82f6',
+    green: '#22c55e',
+    orange: '#f97316',
+    red: '#ef4444',
+    white: '#e5e7eb'
+};
@@ -1,32 +1,15 @@
 // src/game/BackendPuzzle.js
 import { ExplodeAndReplacePhase } from './ExplodeAndReplacePhase';
-import { GEM_TYPES } from './constants';
-
-// (HABITAT_GEM_MAP remains the same as your previous version)
-const HABITAT_GEM_MAP = {
-    100: 'green', 101: 'green', 102: 'green', 103: 'green', 104: 'green',
-    105: 'green', 106: 'green', 107: 'green', 108: 'green', 109: 'green',
-    200: 'orange', 201: 'orange', 202: 'orange',
-    300: 'black', 301: 'black', 302: 'black', 303: 'black', 304: 'black',
-    305: 'black', 306: 'black', 307: 'black', 308: 'black',
-    400: 'white', 401: 'white', 402: 'white', 403: 'white', 404: 'white',
-    405: 'white', 406: 'white', 407: 'white',
-    500: 'blue', 501: 'blue', 502: 'blue', 503: 'blue', 504: 'blue',
-    505: 'blue', 506: 'blue', 507: 'blue', 508: 'blue', 509: 'blue',
-    510: 'blue', 511: 'blue', 512: 'blue', 513: 'blue', 514: 'blue',
-    515: 'blue', 516: 'blue', 517: 'blue', 518: 'blue',
-    600: 'black',
-    800: 'orange', 801: 'orange', 802: 'orange', 803: 'orange',
-    900: 'white', 901: 'white', 908: 'red', 909: 'green',
-    1000: 'blue', 1001: 'blue', 1002: 'blue', 1003: 'blue', 1004: 'blue',
-    1100: 'blue', 1101: 'blue', 1102: 'blue', 1103: 'blue', 1104: 'blue',
-    1105: 'blue', 1106: 'blue',
-    1200: 'blue', 1206: 'blue', 1207: 'blue',
-    1400: 'red', 1401: 'red', 1402: 'red', 1403: 'red', 1404: 'red',
-    1405: 'red', 1406: 'red',
-    0: 'blue',
-    1700: 'white'
-};
+import { MoveAction } from './MoveAction';
+import {
+    GEM_TYPES, SCORE_PER_GEM, SCORE_BONUS_MATCH_4, SCORE_BONUS_MATCH_5_PLUS,
+    SCORE_BONUS_INTERSECTION, SCORE_PER_SPECIAL_CLEAR, SCORE_CASCADE_MULTIPLIER_STEP,
+    SCORE_CASCADE_MULTIPLIER_MAX, SPECIAL_TYPES, SPECIAL_BOMB_RADIUS, RESHUFFLE_MAX_ATTEMPTS,
+    RULE_MODES, DEFAULT_RULE_MODE, HISTORY_MAX_SIZE, OBSTACLE_TYPES, ICE_MAX_LAYERS, DEFAULT_HABITAT_BLEND
+} from './constants';
+import { SeededRandom } from './SeededRandom';
+import { GridEngine } from './GridEngine';
+import { parseBoardNotation, formatBoardNotation } from './BoardNotation';
 
 export class BackendPuzzle {
     width;
@@ -34,22 +17,411 @@ export class BackendPuzzle {
     nextGemsToSpawn = [];
     puzzleState;
     currentHabitatInfluence = null;
+    /** @type {number[] | null} Coverage weight per entry of currentHabitatInfluence; null weighs every entry equally. */
+    currentHabitatWeights = null;
+    /** @type {number} Share of spawns driven by habitat influence (0-1); the rest pick uniformly from gemTypes. */
+    habitatBlend = DEFAULT_HABITAT_BLEND;
+    /** @type {HabitatZoneGrid | null} Habitats sampled around the location, stretched over the board; null uses the global influence everywhere. */
+    habitatZones = null;
+    /** @type {SeededRandom} Source of every random decision on the board. */
+    rng;
+    /** @type {GridEngine} Typed-array copy of the board for match scans and move tests; reloaded from puzzleState on use. */
+    gridEngine;
+    /** @type {string[]} Gem types that can appear on this board (subset of GEM_TYPES). */
+    gemTypes = GEM_TYPES;
+    /** @type {import('./HabitatGemMap').HabitatGemMap | null} Habitat code -> gem type table; null spawns at random. */
+    habitatGemMap = null;
+    /** @type {number} Running total of all phase scores since the board was generated. */
+    score = 0;
+    /** @type {number} Moves committed since the board was generated. */
+    moveCount = 0;
+    /** @type {string} One of RULE_MODES; decides which moves isValidMove accepts. */
+    ruleMode = DEFAULT_RULE_MODE;
+    /** @type {number} Max snapshots kept for undo; 0 disables history (used by simulations). */
+    historyLimit = HISTORY_MAX_SIZE;
+    /** @type {PuzzleSnapshot[]} States before each committed move, oldest first. */
+    undoStack = [];
+    /** @type {PuzzleSnapshot[]} States undone since the last committed move, most recent last. */
+    redoStack = [];
 
-    constructor(width, height) {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {object} [options]
+     * @param {number} [options.seed] - Seed for the default SeededRandom.
+     * @param {SeededRandom} [options.rng] - Injected PRNG with SeededRandom's interface. Takes precedence over seed.
+     * @param {Array<Array<{gemType: string}>>} [options.puzzleState] - Start from this grid instead of generating one.
+     * @param {string[]} [options.gemTypes] - Gem types for this board. Defaults to all GEM_TYPES.
+     * @param {import('./HabitatGemMap').HabitatGemMap} [options.habitatGemMap] - Table turning habitat influence into gem types.
+     * @param {number} [options.habitatBlend] - See setHabitatBlend. Defaults to DEFAULT_HABITAT_BLEND.
+     */
+    constructor(width, height, options = {}) {
         this.width = width;
         this.height = height;
-        this.puzzleState = this.getInitialPuzzleStateWithNoMatches(width, height);
+        this.gemTypes = options.gemTypes ? [...options.gemTypes] : [...GEM_TYPES];
+        this.habitatGemMap = options.habitatGemMap || null;
+        if (options.habitatBlend !== undefined) this.setHabitatBlend(options.habitatBlend);
+        this.rng = options.rng || new SeededRandom(options.seed);
+        this.gridEngine = new GridEngine(width, height);
+        this.puzzleState = options.puzzleState || this.getInitialPuzzleStateWithNoMatches(width, height);
     }
 
-    setHabitatInfluence(habitatValues) {
-        if (Array.isArray(habitatValues)) {
-            const validHabitats = habitatValues.filter(h => typeof h === 'number' && !isNaN(h));
-            this.currentHabitatInfluence = validHabitats.length > 0 ? validHabitats : null;
-        } else {
-            this.currentHabitatInfluence = null;
+    /**
+     * Creates an independent copy (grid, spawn queue, habitat influence, score and PRNG position),
+     * for simulating moves without touching the live board.
+     * @returns {BackendPuzzle}
+     */
+    clone() {
+        const rng = new this.rng.constructor(this.rng.getSeed());
+        rng.setState(this.rng.getState());
+        const copy = new BackendPuzzle(this.width, this.height, {
+            rng,
+            puzzleState: this._cloneGrid(this.puzzleState),
+            gemTypes: this.gemTypes,
+            habitatGemMap: this.habitatGemMap
+        });
+        copy.nextGemsToSpawn = [...this.nextGemsToSpawn];
+        copy.currentHabitatInfluence = this.currentHabitatInfluence ? [...this.currentHabitatInfluence] : null;
+        copy.currentHabitatWeights = this.currentHabitatWeights ? [...this.currentHabitatWeights] : null;
+        copy.habitatBlend = this.habitatBlend;
+        copy.habitatZones = this.habitatZones; // Never mutated, only replaced
+        copy.score = this.score;
+        copy.moveCount = this.moveCount;
+        copy.ruleMode = this.ruleMode;
+        copy.historyLimit = 0;
+        return copy;
+    }
+
+    /**
+     * @param {{obstacle?: string} | null | undefined} cell
+     * @returns {boolean} True for obstacle cells (rock, ice, locked), which never move with their line or fall.
+     */
+    static isFixedCell(cell) {
+        return !!cell?.obstacle;
+    }
+
+    /**
+     * @param {{gemType: string | null, obstacle?: string} | null | undefined} cell
+     * @returns {boolean} True if the cell's gem can be part of a match (plain, special or locked gems).
+     */
+    static isMatchableCell(cell) {
+        return !!cell?.gemType && cell.obstacle !== OBSTACLE_TYPES.ROCK && cell.obstacle !== OBSTACLE_TYPES.ICE;
+    }
+
+    // --- Undo / Redo ---
+
+    /** @returns {boolean} */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /** @returns {boolean} */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Restores the state from before the last committed move (and its cascades).
+     * @returns {boolean} False if there was nothing to undo.
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+        const snapshot = this.undoStack.pop();
+        this.redoStack.push({ ...this._createSnapshot(), credit: snapshot.credit });
+        this._restoreSnapshot(snapshot);
+        return true;
+    }
+
+    /**
+     * Re-applies the last undone move's resulting state.
+     * @returns {boolean} False if there was nothing to redo.
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+        const snapshot = this.redoStack.pop();
+        this.undoStack.push({ ...this._createSnapshot(), credit: snapshot.credit });
+        this._restoreSnapshot(snapshot);
+        return true;
+    }
+
+    /**
+     * Attaches what the caller credited for the last committed move (gems, progress) to its undo
+     * step, so it can be taken back on undo and given again on redo. Ignored when history is off.
+     * @param {*} credit - Not read by the puzzle.
+     */
+    setLastMoveCredit(credit) {
+        if (this.historyLimit <= 0 || !this.canUndo()) return;
+        this.undoStack[this.undoStack.length - 1].credit = credit;
+    }
+
+    /** @returns {*} Credit of the move undo() would take back, if any was attached. */
+    getUndoCredit() {
+        return this.undoStack[this.undoStack.length - 1]?.credit;
+    }
+
+    /** @returns {*} Credit of the move redo() would re-apply, if any was attached. */
+    getRedoCredit() {
+        return this.redoStack[this.redoStack.length - 1]?.credit;
+    }
+
+    /** Forgets all undo/redo history, e.g. when a new board is generated. */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /** Saves the current state before a move is committed. Any redo history is discarded. */
+    _recordHistory() {
+        if (this.historyLimit <= 0) return;
+        this.undoStack.push(this._createSnapshot());
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
         }
-        console.log("BackendPuzzle: Habitat influence set to:", this.currentHabitatInfluence);
+        this.redoStack = [];
+    }
+
+    /** @returns {PuzzleSnapshot} */
+    _createSnapshot() {
+        return {
+            puzzleState: this._cloneGrid(this.puzzleState),
+            nextGemsToSpawn: [...this.nextGemsToSpawn],
+            rngState: this.rng.getState(),
+            score: this.score,
+            moveCount: this.moveCount
+        };
+    }
+
+    /** @param {PuzzleSnapshot} snapshot */
+    _restoreSnapshot(snapshot) {
+        this.puzzleState = this._cloneGrid(snapshot.puzzleState);
+        this.nextGemsToSpawn = [...snapshot.nextGemsToSpawn];
+        this.rng.setState(snapshot.rngState);
+        this.score = snapshot.score;
+        this.moveCount = snapshot.moveCount;
+    }
+
+    // --- Serialization ---
+
+    /**
+     * Captures everything needed to continue this board later (undo history is not included).
+     * @returns {SerializedPuzzle} Plain JSON-safe object.
+     */
+    serialize() {
+        return {
+            width: this.width,
+            height: this.height,
+            gemTypes: [...this.gemTypes],
+            habitatDataset: this.habitatGemMap ? this.habitatGemMap.dataset : null,
+            seed: this.rng.getSeed(),
+            rngState: this.rng.getState(),
+            puzzleState: this._cloneGrid(this.puzzleState),
+            nextGemsToSpawn: [...this.nextGemsToSpawn],
+            habitatInfluence: this.currentHabitatInfluence ? [...this.currentHabitatInfluence] : null,
+            habitatWeights: this.currentHabitatWeights ? [...this.currentHabitatWeights] : null,
+            habitatBlend: this.habitatBlend,
+            habitatZones: this.habitatZones,
+            score: this.score,
+            moveCount: this.moveCount,
+            ruleMode: this.ruleMode
+        };
+    }
+
+    /**
+     * Restores a board captured by serialize(). The board dimensions must match.
+     * The habitat gem map is not restored; set the table for data.habitatDataset first.
+     * @param {SerializedPuzzle} data
+     */
+    restoreState(data) {
+        if (!data || data.width !== this.width || data.height !== this.height) {
+            throw new Error(`Saved board is ${data?.width}x${data?.height}, expected ${this.width}x${this.height}.`);
+        }
+        if (!Array.isArray(data.puzzleState) || data.puzzleState.length !== this.width) {
+            throw new Error("Saved board has an invalid grid.");
+        }
+        if (Array.isArray(data.gemTypes) && data.gemTypes.length > 0) {
+            this.gemTypes = [...data.gemTypes];
+        }
+        this.rng.setSeed(data.seed);
+        this.rng.setState(data.rngState);
+        this.puzzleState = this._cloneGrid(data.puzzleState);
+        this.nextGemsToSpawn = [...(data.nextGemsToSpawn || [])];
+        this.currentHabitatInfluence = data.habitatInfluence ? [...data.habitatInfluence] : null;
+        this.currentHabitatWeights = data.habitatWeights ? [...data.habitatWeights] : null;
+        if (data.habitatBlend !== undefined) this.setHabitatBlend(data.habitatBlend);
+        this.setHabitatZones(data.habitatZones ?? null);
+        this.score = data.score || 0;
+        this.moveCount = data.moveCount || 0;
+        if (data.ruleMode) this.setRuleMode(data.ruleMode);
+        this.clearHistory();
+        console.log(`BackendPuzzle: Restored saved board (seed ${data.seed}, score ${this.score}).`);
+    }
+
+    /**
+     * Builds a board from its text notation (see "Board Notation" in README.md), e.g. from a bug report.
+     * Score, history and habitats are not part of the notation and start empty.
+     * @param {string} text
+     * @param {object} [options] - Constructor options (habitatGemMap, habitatBlend); the notation's
+     *     seed and gem types take precedence.
+     * @returns {BackendPuzzle}
+     */
+    static fromNotation(text, options = {}) {
+        const { width, height, grid, gemTypes, nextGemsToSpawn, seed, rngState } = parseBoardNotation(text);
+        const puzzle = new BackendPuzzle(width, height, {
+            ...options,
+            seed: seed ?? undefined,
+            gemTypes,
+            puzzleState: grid
+        });
+        if (rngState !== null) puzzle.rng.setState(rngState);
+        puzzle.nextGemsToSpawn = nextGemsToSpawn;
+        return puzzle;
+    }
+
+    /**
+     * @returns {string} One-line text notation of the grid, gem types, spawn queue, seed and PRNG
+     *     position. fromNotation() turns it back into the same board, which spawns the same gems
+     *     given the same habitats.
+     */
+    toNotation() {
+        return formatBoardNotation({
+            grid: this.puzzleState,
+            gemTypes: this.gemTypes,
+            nextGemsToSpawn: this.nextGemsToSpawn,
+            seed: this.rng.getSeed(),
+            rngState: this.rng.getState()
+        });
+    }
+
+    /** @returns {string} The current rule mode (one of RULE_MODES). */
+    getRuleMode() {
+        return this.ruleMode;
+    }
+
+    /**
+     * @param {string} mode - One of RULE_MODES. Unknown modes are ignored.
+     * @returns {boolean} True if the mode was applied.
+     */
+    setRuleMode(mode) {
+        if (!Object.values(RULE_MODES).includes(mode)) {
+            console.warn(`BackendPuzzle: Unknown rule mode '${mode}'. Keeping '${this.ruleMode}'.`);
+            return false;
+        }
+        this.ruleMode = mode;
+        console.log("BackendPuzzle: Rule mode set to:", mode);
+        return true;
+    }
+
+    /**
+     * Checks a move against the current rule mode before it is committed.
+     * Zen accepts any real shift (one that moves at least one gem past the obstacles); strict also
+     * requires it to produce at least one match.
+     * @param {MoveAction} moveAction
+     * @returns {boolean}
+     */
+    isValidMove(moveAction) {
+        if (!moveAction || moveAction.amount === 0) return false;
+        const movable = this._getMovableSlots(this.puzzleState, moveAction.rowOrCol, moveAction.index).length;
+        if (movable < 2 || moveAction.amount % movable === 0) return false;
+        if (this.ruleMode === RULE_MODES.STRICT) {
+            return this.gridEngine.load(this.puzzleState).moveMakesMatch(moveAction);
+        }
+        return true;
+    }
+
+    /** @returns {number} The seed the current board was generated from. */
+    getSeed() {
+        return this.rng.getSeed();
+    }
+
+    /**
+     * Reseeds the PRNG and regenerates the board, so the same seed (and habitat influence)
+     * always produces the same starting board and the same spawns for the same moves.
+     * @param {number} seed
+     */
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+        this.nextGemsToSpawn = [];
+        this.score = 0;
+        this.moveCount = 0;
+        this.clearHistory();
+        this.puzzleState = this.getInitialPuzzleStateWithNoMatches(this.width, this.height);
+        console.log("BackendPuzzle: Seed set to:", this.rng.getSeed());
+    }
+
+    /**
+     * Deals a fresh board for a location: reseeds, applies the habitat influence and reshuffles
+     * if the deal has no valid move. Anything replaying a session must start the same way.
+     * @param {number} seed
+     * @param {HabitatInfluence} habitatValues
+     * @param {HabitatZoneGrid | null} [habitatZones] - See setHabitatZones.
+     * @returns {{reshuffled: boolean, regenerated: boolean}} Whether the deal had to be reshuffled
+     *     (and whether that fell back to regenerating).
+     */
+    startBoard(seed, habitatValues, habitatZones = null) {
+        this.rng.setSeed(seed);
+        this.nextGemsToSpawn = [];
+        this.setHabitatZones(habitatZones);
+        this.setHabitatInfluence(habitatValues);
+        if (this.hasAnyValidMove()) {
+            return { reshuffled: false, regenerated: false };
+        }
+        const { moves } = this.reshuffle();
+        return { reshuffled: true, regenerated: moves === null };
+    }
+
+    /**
+     * Starts from a fixed layout (e.g. a level's starting board) instead of dealing one.
+     * The seed and habitats still drive every gem spawned after the first move.
+     * @param {number} seed
+     * @param {HabitatInfluence} habitatValues
+     * @param {Array<Array<{gemType: string | null, special?: string, obstacle?: string, layers?: number}>>} layout -
+     *     Column-major grid, width x height.
+     * @param {HabitatZoneGrid | null} [habitatZones] - See setHabitatZones.
+     */
+    startBoardFromLayout(seed, habitatValues, layout, habitatZones = null) {
+        if (!Array.isArray(layout) || layout.length !== this.width || layout.some(column => column.length !== this.height)) {
+            throw new Error(`Layout does not fit a ${this.width}x${this.height} board.`);
+        }
+        this.rng.setSeed(seed);
+        this.nextGemsToSpawn = [];
+        this.setHabitatZones(habitatZones);
+        const { codes, weights } = BackendPuzzle.normalizeHabitatInfluence(habitatValues);
+        this.currentHabitatInfluence = codes.length > 0 ? codes : null;
+        this.currentHabitatWeights = codes.length > 0 ? weights : null;
+        this.score = 0;
+        this.moveCount = 0;
+        this.clearHistory();
+        this.puzzleState = this._cloneGrid(layout);
+        if (this.getMatches(this.puzzleState).length > 0) {
+            console.warn("BackendPuzzle: Starting layout already contains matches; they will clear on the first move.");
+        }
+    }
+
+    /** @returns {number} Running score for the current board. */
+    getScore() {
+        return this.score;
+    }
+
+    /** @returns {number} Moves committed on the current board. */
+    getMoveCount() {
+        return this.moveCount;
+    }
+
+    /**
+     * Sets the habitats that drive gem colours and regenerates the board from the seed.
+     * @param {HabitatInfluence} habitatValues - A list of codes (each entry equally likely) or
+     *     code -> coverage fraction, so a habitat covering 70% of the area spawns 70% of habitat picks.
+     */
+    setHabitatInfluence(habitatValues) {
+        const { codes, weights } = BackendPuzzle.normalizeHabitatInfluence(habitatValues);
+        this.currentHabitatInfluence = codes.length > 0 ? codes : null;
+        this.currentHabitatWeights = codes.length > 0 ? weights : null;
+        console.log("BackendPuzzle: Habitat influence set to:", this.currentHabitatInfluence, this.currentHabitatWeights || '(unweighted)');
         console.log("BackendPuzzle: Regenerating puzzle state with new habitat influence.");
+        this.rng.setSeed(this.rng.getSeed()); // Rewind so the board depends only on seed + habitats
+        this.score = 0;
+        this.moveCount = 0;
+        this.clearHistory();
         this.puzzleState = this.getInitialPuzzleStateWithNoMatches(this.width, this.height);
     }
 
@@ -57,20 +429,217 @@ export class BackendPuzzle {
         return this.puzzleState;
     }
 
+    /**
+     * @param {HabitatInfluence | null | undefined} habitatValues
+     * @returns {{codes: number[], weights: number[] | null}} Valid codes, with their weights if the input had any.
+     *     Entries with a non-positive or non-numeric weight are dropped.
+     */
+    static normalizeHabitatInfluence(habitatValues) {
+        if (Array.isArray(habitatValues)) {
+            return { codes: habitatValues.filter(h => typeof h === 'number' && !isNaN(h)), weights: null };
+        }
+        if (!habitatValues || typeof habitatValues !== 'object') return { codes: [], weights: null };
+        const codes = [];
+        const weights = [];
+        const entries = habitatValues instanceof Map ? [...habitatValues.entries()] : Object.entries(habitatValues);
+        entries.forEach(([code, weight]) => {
+            const numericCode = Number(code);
+            if (Number.isFinite(numericCode) && typeof weight === 'number' && weight > 0) {
+                codes.push(numericCode);
+                weights.push(weight);
+            }
+        });
+        return { codes, weights };
+    }
+
+    /**
+     * Gives board regions their own habitats, e.g. forest on the left and ocean on the right of a
+     * coastline. The zone grid is stretched over the board, so a 1-row grid sets per-column habitats
+     * and one sample per cell sets per-cell habitats. Zones without data use the global influence.
+     * Only future picks change; deal a new board (startBoard does this) to apply it to the whole grid.
+     * @param {HabitatZoneGrid | null} habitatZones - Null (or an invalid grid, with a warning) clears the zones.
+     * @returns {boolean} True if zones were applied.
+     */
+    setHabitatZones(habitatZones) {
+        this.habitatZones = null;
+        if (habitatZones === null || habitatZones === undefined) return false;
+        const columns = Array.isArray(habitatZones) ? habitatZones[0]?.length : 0;
+        if (!columns || !habitatZones.every(row => Array.isArray(row) && row.length === columns)) {
+            console.warn("BackendPuzzle: Habitat zones must be a non-empty grid with rows of equal length. Ignoring them.");
+            return false;
+        }
+        // Stored in the JSON-safe form serialize() writes out
+        this.habitatZones = habitatZones.map(row => row.map(sample => {
+            const input = typeof sample === 'number' ? [sample] : sample;
+            const { codes, weights } = BackendPuzzle.normalizeHabitatInfluence(input);
+            if (codes.length === 0) return null;
+            return weights ? Object.fromEntries(codes.map((code, i) => [code, weights[i]])) : codes;
+        }));
+        return true;
+    }
+
+    /**
+     * @param {number} [x]
+     * @param {number} [y]
+     * @returns {{codes: number[] | null, weights: number[] | null}} Habitats driving picks for the cell:
+     *     its zone's, or the global influence if there are no zones, the zone has no data or no cell is given.
+     */
+    _getHabitatInfluenceAt(x, y) {
+        if (this.habitatZones && x !== undefined && y !== undefined) {
+            const zoneRow = this.habitatZones[Math.floor(y * this.habitatZones.length / this.height)];
+            const sample = zoneRow?.[Math.floor(x * zoneRow.length / this.width)];
+            if (sample) return BackendPuzzle.normalizeHabitatInfluence(sample);
+        }
+        return { codes: this.currentHabitatInfluence, weights: this.currentHabitatWeights };
+    }
+
+    /**
+     * @param {number} blend - 1 spawns every gem from habitat influence, 0 ignores it (uniform over
+     *     gemTypes); values between mix the two. Out-of-range values are ignored.
+     * @returns {boolean} True if the blend was applied.
+     */
+    setHabitatBlend(blend) {
+        if (typeof blend !== 'number' || !(blend >= 0 && blend <= 1)) {
+            console.warn(`BackendPuzzle: Habitat blend must be from 0 to 1, got ${blend}. Keeping ${this.habitatBlend}.`);
+            return false;
+        }
+        this.habitatBlend = blend;
+        return true;
+    }
+
+    /**
+     * Expected colour mix of gem picks for the current habitats, blend and gem map: the share of
+     * habitat picks per mapped gem type, with unmapped habitats and the uniform part of the blend
+     * spread evenly. Placement then swaps a pick that would complete a match, so the board drifts
+     * slightly towards uniform.
+     * @param {number} [x] - With y, the mix for that cell's habitat zone.
+     * @param {number} [y]
+     * @returns {Object<string, number>} Probability per gem type in gemTypes, summing to 1. Without a
+     *     cell and with habitat zones, the average over every cell of the board.
+     */
+    getSpawnDistribution(x, y) {
+        if (!this.habitatZones || (x !== undefined && y !== undefined)) {
+            return this._getSpawnDistributionFor(this._getHabitatInfluenceAt(x, y));
+        }
+        const distribution = Object.fromEntries(this.gemTypes.map(gemType => [gemType, 0]));
+        const cellCount = this.width * this.height;
+        for (let cellX = 0; cellX < this.width; cellX++) {
+            for (let cellY = 0; cellY < this.height; cellY++) {
+                const cellDistribution = this._getSpawnDistributionFor(this._getHabitatInfluenceAt(cellX, cellY));
+                this.gemTypes.forEach(gemType => {
+                    distribution[gemType] += cellDistribution[gemType] / cellCount;
+                });
+            }
+        }
+        return distribution;
+    }
+
+    /**
+     * Share of habitat-driven picks per habitat code, averaged over every cell of the board (so
+     * habitat zones count by the area they cover).
+     * @returns {Array<{code: number, share: number}>} Largest share first; empty without habitat influence.
+     */
+    getHabitatShares() {
+        const shares = new Map();
+        const cellCount = this.width * this.height;
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                const { codes, weights } = this._getHabitatInfluenceAt(x, y);
+                if (!codes || codes.length === 0) continue;
+                const codeWeights = weights || codes.map(() => 1);
+                const total = codeWeights.reduce((sum, weight) => sum + weight, 0);
+                codes.forEach((code, i) => {
+                    shares.set(code, (shares.get(code) || 0) + codeWeights[i] / total / cellCount);
+                });
+            }
+        }
+        return [...shares.entries()]
+            .map(([code, share]) => ({ code, share }))
+            .sort((a, b) => (b.share - a.share) || (a.code - b.code));
+    }
+
+    /**
+     * The habitat a gem most likely came from: of the habitats at its cell that map to its type,
+     * the one with the largest weight. Gems fall within their column, so with habitat zones that
+     * vary down a column this is the habitat where the gem is, not necessarily where it spawned.
+     * @param {string} gemType
+     * @param {number} x
+     * @param {number} y
+     * @returns {number | null} Habitat code, or null if no habitat there maps to gemType (a random pick).
+     */
+    getHabitatOrigin(gemType, x, y) {
+        const { codes, weights } = this._getHabitatInfluenceAt(x, y);
+        const weightByCode = new Map();
+        (codes || []).forEach((code, i) => {
+            if (this.habitatGemMap?.getGemType(code) !== gemType) return;
+            weightByCode.set(code, (weightByCode.get(code) || 0) + (weights ? weights[i] : 1));
+        });
+        let origin = null;
+        weightByCode.forEach((weight, code) => {
+            if (origin === null || weight > weightByCode.get(origin)) origin = code;
+        });
+        return origin;
+    }
+
+    /**
+     * @param {{codes: number[] | null, weights: number[] | null}} influence
+     * @returns {Object<string, number>}
+     */
+    _getSpawnDistributionFor({ codes, weights }) {
+        const uniformShare = 1 / this.gemTypes.length;
+        const distribution = Object.fromEntries(this.gemTypes.map(gemType => [gemType, 0]));
+        let spreadEvenly = 1;
+        if (codes && codes.length > 0) {
+            const codeWeights = weights || codes.map(() => 1);
+            const total = codeWeights.reduce((sum, weight) => sum + weight, 0);
+            spreadEvenly = 1 - this.habitatBlend;
+            codes.forEach((code, i) => {
+                const share = this.habitatBlend * codeWeights[i] / total;
+                const gemType = this.habitatGemMap?.getGemType(code);
+                if (gemType && this.gemTypes.includes(gemType)) {
+                    distribution[gemType] += share;
+                } else {
+                    spreadEvenly += share;
+                }
+            });
+        }
+        this.gemTypes.forEach(gemType => {
+            distribution[gemType] += spreadEvenly * uniformShare;
+        });
+        return distribution;
+    }
+
+    /**
+     * Swaps the habitat-to-gem table (e.g. for another map dataset). Only future picks change;
+     * deal a new board to apply it to the whole grid.
+     * @param {import('./HabitatGemMap').HabitatGemMap | null} habitatGemMap
+     */
+    setHabitatGemMap(habitatGemMap) {
+        this.habitatGemMap = habitatGemMap || null;
+        console.log("BackendPuzzle: Habitat gem map set to:", this.habitatGemMap?.dataset ?? 'none');
+    }
+
     /**
      * Helper to pick a gem type, considering habitat influence first, then random.
      * This does NOT check for matches; that's done by the calling function.
+     * @param {number} [x] - With y, the cell the gem is for, so its habitat zone applies.
+     * @param {number} [y]
      */
-    _pickGemTypeBasedOnInfluenceOrRandom() {
-        if (this.currentHabitatInfluence && this.currentHabitatInfluence.length > 0) {
-            const habitatValue = this.currentHabitatInfluence[Math.floor(Math.random() * this.currentHabitatInfluence.length)];
-            const mappedGemType = HABITAT_GEM_MAP[habitatValue];
-            if (mappedGemType && GEM_TYPES.includes(mappedGemType)) {
+    _pickGemTypeBasedOnInfluenceOrRandom(x, y) {
+        // A full blend skips the extra draw, so habitat-driven boards keep the same random sequence
+        const useHabitat = this.habitatBlend >= 1 || this.rng.next() < this.habitatBlend;
+        const { codes, weights } = this._getHabitatInfluenceAt(x, y);
+        if (useHabitat && codes && codes.length > 0) {
+            const habitatValue = weights
+                ? this.rng.weightedPick(codes, weights)
+                : this.rng.pick(codes);
+            const mappedGemType = this.habitatGemMap?.getGemType(habitatValue);
+            if (mappedGemType && this.gemTypes.includes(mappedGemType)) {
                 return mappedGemType;
             }
         }
         // Fallback to purely random if no influence or mapping fails
-        return GEM_TYPES[Math.floor(Math.random() * GEM_TYPES.length)];
+        return this.rng.pick(this.gemTypes);
     }
 
     getInitialPuzzleStateWithNoMatches(width, height) {
@@ -80,14 +649,14 @@ export class BackendPuzzle {
             grid[x] = new Array(height).fill(null);
             for (let y = 0; y < height; y++) {
                 // Get a list of all possible gem types we can try
-                let availableGemTypes = [...GEM_TYPES];
+                let availableGemTypes = [...this.gemTypes];
                 let chosenGemType = null;
 
                 // Try to pick based on habitat first, then cycle through others if it creates a match
-                const habitatPreferredGem = this._pickGemTypeBasedOnInfluenceOrRandom();
+                const habitatPreferredGem = this._pickGemTypeBasedOnInfluenceOrRandom(x, y);
                 // Put preferred at the start of the try-list, then others shuffled
                 availableGemTypes = availableGemTypes.filter(t => t !== habitatPreferredGem);
-                availableGemTypes.sort(() => 0.5 - Math.random()); // Shuffle
+                this.rng.shuffle(availableGemTypes);
                 availableGemTypes.unshift(habitatPreferredGem);
 
                 for (const tryGemType of availableGemTypes) {
@@ -108,10 +677,10 @@ export class BackendPuzzle {
                 }
 
                 if (!chosenGemType) {
-                    // This should be very rare if GEM_TYPES has enough variety (>=3)
+                    // This should be very rare if gemTypes has enough variety (>=3)
                     // If all types create a match, pick one from habitat/random anyway and log warning
                     chosenGemType = habitatPreferredGem; // or just completely random GEM_TYPES[0]
-                    console.warn(`Could not avoid initial match at [${x},${y}]. Placing ${chosenGemType}. Consider more GEM_TYPES or different board size.`);
+                    console.warn(`Could not avoid initial match at [${x},${y}]. Placing ${chosenGemType}. Consider more gem types or different board size.`);
                 }
                 grid[x][y] = { gemType: chosenGemType };
             }
@@ -120,18 +689,17 @@ export class BackendPuzzle {
         return grid;
     }
 
-    _pickNextRawGemToSpawn() {
+    _pickNextRawGemToSpawn(colX, rowY) {
         if (this.nextGemsToSpawn.length > 0) {
             return this.nextGemsToSpawn.shift();
         }
-        return this._pickGemTypeBasedOnInfluenceOrRandom();
+        return this._pickGemTypeBasedOnInfluenceOrRandom(colX, rowY);
     }
 
     getSafeNextGemToSpawnType(colX, rowY, targetGrid) {
-        let potentialTypes = [...GEM_TYPES];
-        potentialTypes.sort(() => 0.5 - Math.random());
+        let potentialTypes = this.rng.shuffle([...this.gemTypes]);
 
-        const habitatPreferred = this._pickNextRawGemToSpawn();
+        const habitatPreferred = this._pickNextRawGemToSpawn(colX, rowY);
 
         if (potentialTypes.includes(habitatPreferred)) {
             potentialTypes = [habitatPreferred, ...potentialTypes.filter(t => t !== habitatPreferred)];
@@ -139,7 +707,15 @@ export class BackendPuzzle {
             potentialTypes.unshift(habitatPreferred);
         }
 
+        // Zones pack one colour into a region, where refills would keep completing lines and cascade
+        // without end, so there every run through the cell is avoided (gems above and to the left are
+        // already placed). Without zones refills keep their chance cascades and recorded replays stay valid.
+        const avoidAnyRun = this.habitatZones !== null;
         for (const tryType of potentialTypes) {
+            if (avoidAnyRun) {
+                if (!this._wouldCompleteRun(targetGrid, colX, rowY, tryType)) return tryType;
+                continue;
+            }
             const gemBelow1 = targetGrid[colX]?.[rowY + 1]?.gemType;
             const gemBelow2 = targetGrid[colX]?.[rowY + 2]?.gemType;
 
@@ -152,23 +728,59 @@ export class BackendPuzzle {
         return potentialTypes[0];
     }
 
-    getNextExplodeAndReplacePhase(actions) {
+    /**
+     * @param {Array<Array<{gemType: string | null} | null>>} grid - May be partly filled.
+     * @param {number} x
+     * @param {number} y
+     * @param {string} gemType
+     * @returns {boolean} True if gemType at (x, y) would line up with 2+ gems of its type already on the grid.
+     */
+    _wouldCompleteRun(grid, x, y, gemType) {
+        const runLength = (dx, dy) => {
+            let length = 0;
+            while (grid[x + dx * (length + 1)]?.[y + dy * (length + 1)]?.gemType === gemType) length++;
+            return length;
+        };
+        return runLength(-1, 0) + runLength(1, 0) >= 2 || runLength(0, -1) + runLength(0, 1) >= 2;
+    }
+
+    /**
+     * Applies the actions, then explodes and replaces any matches on the resulting grid.
+     * @param {MoveAction[]} actions - The player's move, or [] when resolving a cascade.
+     * @param {number} [cascadeDepth] - 0 for the move itself, 1+ for each cascade after it. Drives the score multiplier.
+     * @returns {ExplodeAndReplacePhase}
+     */
+    getNextExplodeAndReplacePhase(actions, cascadeDepth = 0) {
+        if (actions.length > 0) {
+            this._recordHistory(); // One undo step per committed move, cascades included
+            this.moveCount++;
+        }
         for (let action of actions) {
             this.applyMoveToGrid(this.puzzleState, action);
         }
         const matches = this.getMatches(this.puzzleState);
         const replacements = [];
+        let specials = {};
 
         if (matches.length > 0) {
+            const matchGroups = this.classifyMatches(matches, this.puzzleState);
+            specials = this.resolveSpecialActivations(matchGroups, this.puzzleState);
+
             const explosionCounts = {};
-            const explodedCoords = new Set();
-            matches.forEach(match => match.forEach(([x, y]) => explodedCoords.add(`${x},${y}`)));
-            explodedCoords.forEach(coordStr => {
-                const [xStr] = coordStr.split(',');
-                const x = parseInt(xStr, 10);
+            const gemsClearedByType = {};
+            const clearedGems = [];
+            specials.clearedCoords.forEach(([x, y]) => {
                 explosionCounts[x] = (explosionCounts[x] || 0) + 1;
+                const gemType = this.puzzleState[x][y]?.gemType;
+                if (!gemType) return;
+                gemsClearedByType[gemType] = (gemsClearedByType[gemType] || 0) + 1;
+                clearedGems.push({ x, y, gemType });
             });
+            specials.gemsClearedByType = gemsClearedByType;
+            specials.clearedGems = clearedGems;
 
+            // The cells themselves are picked per cell (and zone) when the phase is applied. These draws keep
+            // the RNG and spawn queue advancing as they always have, so recorded replays stay in step.
             for (let x = 0; x < this.width; x++) {
                 const count = explosionCounts[x] || 0;
                 if (count > 0) {
@@ -180,18 +792,267 @@ export class BackendPuzzle {
                 }
             }
         }
-        const phaseResult = new ExplodeAndReplacePhase(matches, replacements);
+        const score = this.calculatePhaseScore(matches, cascadeDepth, specials.clearedCoords);
+        const phaseResult = new ExplodeAndReplacePhase(matches, replacements, score, specials);
         if (!phaseResult.isNothingToDo()) {
             this.applyExplodeAndReplacePhase(phaseResult);
+            this.score += score.total;
         }
         return phaseResult;
     }
 
+    /**
+     * Groups runs that share a gem and classifies each group's shape, deciding which special
+     * gem (if any) it leaves behind and where.
+     * @param {Array<Array<[number, number]>>} matches - Runs from getMatches.
+     * @param {Array<Array<{gemType: string, special?: string}>>} grid
+     * @returns {Array<{shape: 'line3'|'line4'|'line5'|'L'|'T', gemType: string, runs: Array<Array<[number, number]>>, special: string | null, at: [number, number] | null}>}
+     */
+    classifyMatches(matches, grid) {
+        // Union runs that share at least one coordinate (L/T/cross shapes)
+        const parent = matches.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const ownerByCoord = new Map(); // Cell index (x * height + y) -> run
+        matches.forEach((match, i) => match.forEach(([x, y]) => {
+            const key = x * this.height + y;
+            if (ownerByCoord.has(key)) {
+                parent[find(i)] = find(ownerByCoord.get(key));
+            } else {
+                ownerByCoord.set(key, i);
+            }
+        }));
+
+        const runsByRoot = new Map();
+        matches.forEach((match, i) => {
+            const root = find(i);
+            if (!runsByRoot.has(root)) runsByRoot.set(root, []);
+            runsByRoot.get(root).push(match);
+        });
+
+        const groups = [];
+        runsByRoot.forEach(runs => {
+            const [firstX, firstY] = runs[0][0];
+            const gemType = grid[firstX]?.[firstY]?.gemType;
+            const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+            let shape = 'line3';
+            let special = null;
+            let at = null;
+
+            if (longest.length >= 5) {
+                shape = 'line5';
+                special = SPECIAL_TYPES.COLOR_BOMB;
+                at = longest[Math.floor(longest.length / 2)];
+            } else if (runs.length > 1) {
+                // Find the shared gem; it's an L if it sits at the end of every run through it, else a T
+                const counts = new Map();
+                runs.forEach(run => run.forEach(([x, y]) => {
+                    const key = x * this.height + y;
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                }));
+                const sharedKey = [...counts.keys()].find(key => counts.get(key) > 1);
+                at = [Math.floor(sharedKey / this.height), sharedKey % this.height];
+                const isEndOfEveryRun = runs
+                    .filter(run => run.some(([x, y]) => x === at[0] && y === at[1]))
+                    .every(run => {
+                        const [sx, sy] = run[0];
+                        const [ex, ey] = run[run.length - 1];
+                        return (sx === at[0] && sy === at[1]) || (ex === at[0] && ey === at[1]);
+                    });
+                shape = isEndOfEveryRun ? 'L' : 'T';
+                special = SPECIAL_TYPES.BOMB;
+            } else if (longest.length === 4) {
+                shape = 'line4';
+                const isHorizontal = longest[0][1] === longest[1][1];
+                special = isHorizontal ? SPECIAL_TYPES.LINE_ROW : SPECIAL_TYPES.LINE_COL;
+                at = longest[1];
+            }
+
+            // A gem that is already special will go off and a locked gem only loses its lock,
+            // so leave the new one on a plain gem instead
+            const isPlain = ([x, y]) => !grid[x]?.[y]?.special && !grid[x]?.[y]?.obstacle;
+            if (at && !isPlain(at)) {
+                const cells = runs.flat();
+                at = cells.find(isPlain) || null;
+                if (!at) special = null;
+            }
+            groups.push({ shape, gemType, runs, special, at });
+        });
+        return groups;
+    }
+
+    /**
+     * Works out every gem cleared by a set of classified matches, including chains of special
+     * gems set off by the explosion. Cells that become new special gems survive.
+     * Obstacles are hit instead of cleared: rocks ignore it, ice loses a layer and locked gems
+     * lose their lock. Ice next to a matched gem is hit too. Each obstacle is hit at most once per phase.
+     * @param {ReturnType<BackendPuzzle['classifyMatches']>} matchGroups
+     * @param {Array<Array<{gemType: string, special?: string}>>} grid
+     * @returns {{clearedCoords: Array<[number, number]>, specialsCreated: import('./ExplodeAndReplacePhase').SpecialGem[], activatedSpecials: import('./ExplodeAndReplacePhase').SpecialGem[], obstaclesHit: import('./ExplodeAndReplacePhase').ObstacleHit[]}}
+     */
+    resolveSpecialActivations(matchGroups, grid) {
+        const specialsCreated = [];
+        const protectedKeys = new Set();
+        matchGroups.forEach(group => {
+            if (group.special && group.at) {
+                const [x, y] = group.at;
+                specialsCreated.push({ x, y, gemType: group.gemType, special: group.special });
+                protectedKeys.add(x * this.height + y);
+            }
+        });
+
+        const cleared = new Map(); // Cell index (x * height + y) -> [x, y], in insertion order
+        const hits = new Map(); // Cell index -> ObstacleHit
+        const pending = [];
+        const hit = (x, y) => {
+            const key = x * this.height + y;
+            const { obstacle, layers } = grid[x][y];
+            if (obstacle === OBSTACLE_TYPES.ROCK || hits.has(key)) return;
+            const layersLeft = obstacle === OBSTACLE_TYPES.ICE ? Math.max(0, (layers || 1) - 1) : 0;
+            hits.set(key, { x, y, obstacle, layers: layersLeft });
+        };
+        const clear = (x, y) => {
+            if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+            const key = x * this.height + y;
+            if (protectedKeys.has(key) || cleared.has(key) || !grid[x]?.[y]) return;
+            if (grid[x][y].obstacle) {
+                hit(x, y);
+                return;
+            }
+            cleared.set(key, [x, y]);
+            if (grid[x][y].special) pending.push([x, y]);
+        };
+        matchGroups.forEach(group => group.runs.forEach(run => run.forEach(([x, y]) => {
+            clear(x, y);
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+                if (grid[x + dx]?.[y + dy]?.obstacle === OBSTACLE_TYPES.ICE) hit(x + dx, y + dy);
+            });
+        })));
+
+        const activatedSpecials = [];
+        while (pending.length > 0) {
+            const [x, y] = pending.shift();
+            const { gemType, special } = grid[x][y];
+            activatedSpecials.push({ x, y, gemType, special });
+            this.getSpecialActivationArea(special, x, y, gemType, grid).forEach(([ax, ay]) => clear(ax, ay));
+        }
+
+        return { clearedCoords: [...cleared.values()], specialsCreated, activatedSpecials, obstaclesHit: [...hits.values()] };
+    }
+
+    /**
+     * Activation rules for each special gem type.
+     * @param {string} special - One of SPECIAL_TYPES.
+     * @param {number} x
+     * @param {number} y
+     * @param {string} gemType - Colour of the special gem.
+     * @param {Array<Array<{gemType: string}>>} grid
+     * @returns {Array<[number, number]>} Cells the activation clears.
+     */
+    getSpecialActivationArea(special, x, y, gemType, grid) {
+        const area = [];
+        switch (special) {
+            case SPECIAL_TYPES.LINE_ROW:
+                for (let ix = 0; ix < this.width; ix++) area.push([ix, y]);
+                break;
+            case SPECIAL_TYPES.LINE_COL:
+                for (let iy = 0; iy < this.height; iy++) area.push([x, iy]);
+                break;
+            case SPECIAL_TYPES.BOMB:
+                for (let dx = -SPECIAL_BOMB_RADIUS; dx <= SPECIAL_BOMB_RADIUS; dx++) {
+                    for (let dy = -SPECIAL_BOMB_RADIUS; dy <= SPECIAL_BOMB_RADIUS; dy++) {
+                        area.push([x + dx, y + dy]);
+                    }
+                }
+                break;
+            case SPECIAL_TYPES.COLOR_BOMB:
+                for (let ix = 0; ix < this.width; ix++) {
+                    for (let iy = 0; iy < this.height; iy++) {
+                        if (grid[ix]?.[iy]?.gemType === gemType) area.push([ix, iy]);
+                    }
+                }
+                break;
+            default:
+                console.warn(`BackendPuzzle: Unknown special gem type '${special}' at [${x},${y}].`);
+        }
+        return area;
+    }
+
+    /**
+     * Scores a set of matches. Gems shared by several matches are only counted once for base points.
+     * @param {Array<Array<[number, number]>>} matches
+     * @param {number} [cascadeDepth]
+     * @param {Array<[number, number]>} [clearedCoords] - All cells cleared, including special activations.
+     * @returns {import('./ExplodeAndReplacePhase').PhaseScore}
+     */
+    calculatePhaseScore(matches, cascadeDepth = 0, clearedCoords = null) {
+        const score = ExplodeAndReplacePhase.emptyScore(cascadeDepth);
+        if (!matches || matches.length === 0) return score;
+
+        const hitsPerCoord = new Map(); // Cell index (x * height + y) -> runs through it
+        matches.forEach(match => {
+            if (match.length === 4) {
+                score.lengthBonus += SCORE_BONUS_MATCH_4;
+            } else if (match.length >= 5) {
+                score.lengthBonus += SCORE_BONUS_MATCH_5_PLUS;
+            }
+            match.forEach(([x, y]) => {
+                const key = x * this.height + y;
+                hitsPerCoord.set(key, (hitsPerCoord.get(key) || 0) + 1);
+            });
+        });
+
+        score.gems = hitsPerCoord.size;
+        score.base = score.gems * SCORE_PER_GEM;
+        hitsPerCoord.forEach(hits => {
+            if (hits > 1) score.intersectionBonus += SCORE_BONUS_INTERSECTION;
+        });
+        if (clearedCoords) {
+            const extraCleared = clearedCoords.filter(([x, y]) => !hitsPerCoord.has(x * this.height + y)).length;
+            score.specialBonus = extraCleared * SCORE_PER_SPECIAL_CLEAR;
+        }
+        score.multiplier = Math.min(
+            1 + Math.max(0, cascadeDepth) * SCORE_CASCADE_MULTIPLIER_STEP,
+            SCORE_CASCADE_MULTIPLIER_MAX
+        );
+        const subtotal = score.base + score.lengthBonus + score.intersectionBonus + score.specialBonus;
+        score.total = Math.round(subtotal * score.multiplier);
+        return score;
+    }
+
+    /**
+     * Applies a phase to the live grid: cracks ice and breaks locks, upgrades new special gems,
+     * drops the surviving gems into the cleared cells and spawns new gems at the top.
+     * Obstacles keep their cell; gems fall past them into the next free cell below.
+     * @param {ExplodeAndReplacePhase} phase
+     */
     applyExplodeAndReplacePhase(phase) {
         if (phase.isNothingToDo()) return;
 
-        const explodeCoords = new Set();
-        phase.matches.forEach(match => match.forEach(coord => explodeCoords.add(`${coord[0]},${coord[1]}`)));
+        const explodes = new Uint8Array(this.width * this.height); // 1 at x * height + y for cleared cells
+        phase.getClearedCoords().forEach(([x, y]) => {
+            explodes[x * this.height + y] = 1;
+        });
+
+        // A gem freed this phase (last ice layer gone or lock broken) already falls with its column
+        phase.obstaclesHit.forEach(({ x, y, layers }) => {
+            const cell = this.puzzleState[x]?.[y];
+            if (!cell) return;
+            if (layers > 0) {
+                this.puzzleState[x][y] = { ...cell, layers };
+            } else {
+                const freed = { ...cell };
+                delete freed.obstacle;
+                delete freed.layers;
+                this.puzzleState[x][y] = freed;
+            }
+        });
+
+        // Upgrade the chosen gems in place; they then fall with the rest of their column
+        phase.specialsCreated.forEach(({ x, y, gemType, special }) => {
+            if (this.puzzleState[x]?.[y]) {
+                this.puzzleState[x][y] = { gemType, special };
+            }
+        });
 
         const replacementCounts = new Map(phase.replacements.map(([col, types]) => [col, types.length]));
 
@@ -199,43 +1060,34 @@ export class BackendPuzzle {
         for (let x = 0; x < this.width; x++) {
             newGrid[x] = new Array(this.height).fill(null);
 
+            const column = this.puzzleState[x] || [];
+            const slots = []; // Rows gems can occupy, bottom first
             const survivingGemsInCol = [];
-            if (this.puzzleState[x]) {
-                for (let y = this.height - 1; y >= 0; y--) {
-                    if (!explodeCoords.has(`${x},${y}`) && this.puzzleState[x][y]) {
-                        survivingGemsInCol.push(this.puzzleState[x][y]);
-                    }
+            for (let y = this.height - 1; y >= 0; y--) {
+                if (BackendPuzzle.isFixedCell(column[y])) {
+                    newGrid[x][y] = column[y];
+                    continue;
                 }
-            }
-
-            for (let i = 0; i < survivingGemsInCol.length; i++) {
-                const targetY = this.height - 1 - i;
-                if (targetY >= 0) {
-                    newGrid[x][targetY] = survivingGemsInCol[i];
+                slots.push(y);
+                if (!explodes[x * this.height + y] && column[y]) {
+                    survivingGemsInCol.push(column[y]);
                 }
             }
 
-            const numNewGemsNeeded = replacementCounts.get(x) || 0;
-            for (let i = 0; i < numNewGemsNeeded; i++) {
-                let currentYFillingFromTop = -1;
-                for (let k = 0; k < this.height; k++) {
-                    if (newGrid[x][k] === null) {
-                        currentYFillingFromTop = k;
-                        break;
-                    }
-                }
+            survivingGemsInCol.forEach((gem, i) => {
+                newGrid[x][slots[i]] = gem;
+            });
 
-                if (currentYFillingFromTop !== -1 && currentYFillingFromTop < this.height) {
-                    const safeGemType = this.getSafeNextGemToSpawnType(x, currentYFillingFromTop, newGrid);
-                    newGrid[x][currentYFillingFromTop] = { gemType: safeGemType };
-                } else if (currentYFillingFromTop !== -1) {
-                    console.error(`Backend Error: Column ${x} overflow during safe gem replacement. Attempted to fill at ${currentYFillingFromTop}.`);
-                    break;
-                } else {
-                    console.error(`Backend Error: Column ${x} is unexpectedly full but ${numNewGemsNeeded - i} gems still need to be placed.`);
-                    break;
-                }
+            // Fill the free slots left above the survivors, top first
+            const emptySlots = slots.slice(survivingGemsInCol.length).reverse();
+            const numNewGemsNeeded = replacementCounts.get(x) || 0;
+            if (numNewGemsNeeded > emptySlots.length) {
+                console.error(`Backend Error: Column ${x} has ${emptySlots.length} free cells but ${numNewGemsNeeded} gems to place.`);
             }
+            emptySlots.slice(0, numNewGemsNeeded).forEach(y => {
+                const safeGemType = this.getSafeNextGemToSpawnType(x, y, newGrid);
+                newGrid[x][y] = { gemType: safeGemType };
+            });
 
             for (let y = 0; y < this.height; y++) {
                 if (!newGrid[x][y]) {
@@ -248,6 +1100,38 @@ export class BackendPuzzle {
         this.puzzleState = newGrid;
     }
 
+    /**
+     * Turns cells of the current board into obstacles, e.g. from a level definition.
+     * Rocks replace the gem; ice and locks keep the gem underneath.
+     * @param {Array<{x: number, y: number, type: string, layers?: number}>} obstacles - type is one of OBSTACLE_TYPES.
+     */
+    placeObstacles(obstacles) {
+        obstacles.forEach(({ x, y, type, layers }) => {
+            const cell = this.puzzleState[x]?.[y];
+            if (!cell) {
+                console.warn(`BackendPuzzle: Obstacle at [${x},${y}] is off the board. Skipping.`);
+                return;
+            }
+            switch (type) {
+                case OBSTACLE_TYPES.ROCK:
+                    this.puzzleState[x][y] = { gemType: null, obstacle: type };
+                    break;
+                case OBSTACLE_TYPES.ICE:
+                    this.puzzleState[x][y] = {
+                        gemType: cell.gemType,
+                        obstacle: type,
+                        layers: Math.min(Math.max(1, layers || 1), ICE_MAX_LAYERS)
+                    };
+                    break;
+                case OBSTACLE_TYPES.LOCKED:
+                    this.puzzleState[x][y] = { gemType: cell.gemType, obstacle: type };
+                    break;
+                default:
+                    console.warn(`BackendPuzzle: Unknown obstacle type '${type}' at [${x},${y}]. Skipping.`);
+            }
+        });
+    }
+
     addNextGemToSpawn(gemType) {
         this.nextGemsToSpawn.push(gemType);
     }
@@ -258,105 +1142,300 @@ export class BackendPuzzle {
 
     reset() {
         this.currentHabitatInfluence = null;
+        this.rng.setSeed(this.rng.getSeed());
         this.puzzleState = this.getInitialPuzzleStateWithNoMatches(this.width, this.height);
         this.nextGemsToSpawn = [];
-        console.log("BackendPuzzle reset: habitat influence cleared, new random board generated.");
+        this.score = 0;
+        this.moveCount = 0;
+        this.clearHistory();
+        console.log("BackendPuzzle reset: habitat influence cleared, board regenerated from seed.");
     }
 
+    /**
+     * Shifts a row or column with wraparound. Obstacle cells stay where they are; the other gems
+     * rotate through the remaining cells in order, skipping over them.
+     * @param {Array<Array<{gemType: string | null, obstacle?: string}>>} grid - Modified in place.
+     * @param {MoveAction} moveAction
+     */
     applyMoveToGrid(grid, moveAction) {
         const { rowOrCol, index, amount } = moveAction;
         if (amount === 0) return;
 
-        if (rowOrCol === 'row') {
-            const width = this.width;
-            const effectiveAmount = ((amount % width) + width) % width;
-            if (effectiveAmount === 0) return;
-            const y = index;
-            if (y < 0 || y >= this.height) return;
-
-            const currentRow = [];
-            for (let x = 0; x < width; x++) {
-                currentRow.push(grid[x]?.[y]);
-            }
-            if (currentRow.some(gem => gem === undefined)) {
-                console.error(`Error reading row ${y} for move application.`);
+        const isRow = rowOrCol === 'row';
+        if (index < 0 || index >= (isRow ? this.height : this.width)) return;
+        const lineLength = isRow ? this.width : this.height;
+        for (let i = 0; i < lineLength; i++) {
+            if ((isRow ? grid[i]?.[index] : grid[index]?.[i]) === undefined) {
+                console.error(`Error reading ${rowOrCol} ${index} for move application.`);
                 return;
             }
-            const newRow = [...currentRow.slice(-effectiveAmount), ...currentRow.slice(0, width - effectiveAmount)];
-            for (let x = 0; x < width; x++) {
-                if (grid[x]) {
-                    grid[x][y] = newRow[x];
-                }
-            }
-        } else {
-            const height = this.height;
-            const effectiveAmount = ((amount % height) + height) % height;
-            if (effectiveAmount === 0) return;
-            const x = index;
-            if (x < 0 || x >= this.width || !grid[x]) return;
-            const currentCol = grid[x];
-            if (currentCol.some(gem => gem === undefined)) {
-                console.error(`Error reading column ${x} for move application.`);
-                return;
+        }
+
+        const slots = this._getMovableSlots(grid, rowOrCol, index);
+        const count = slots.length;
+        const effectiveAmount = count > 0 ? ((amount % count) + count) % count : 0;
+        if (effectiveAmount === 0) return;
+
+        const gems = slots.map(i => (isRow ? grid[i][index] : grid[index][i]));
+        slots.forEach((slot, i) => {
+            const gem = gems[(i - effectiveAmount + count) % count];
+            if (isRow) {
+                grid[slot][index] = gem;
+            } else {
+                grid[index][slot] = gem;
             }
-            const newCol = [...currentCol.slice(height - effectiveAmount), ...currentCol.slice(0, height - effectiveAmount)];
-            grid[x] = newCol;
+        });
+    }
+
+    /**
+     * @param {Array<Array<{obstacle?: string}>>} grid
+     * @param {'row' | 'col'} rowOrCol
+     * @param {number} index
+     * @returns {number[]} Positions along the line whose gems move when it is shifted.
+     */
+    _getMovableSlots(grid, rowOrCol, index) {
+        const isRow = rowOrCol === 'row';
+        const lineLength = isRow ? this.width : this.height;
+        const slots = [];
+        for (let i = 0; i < lineLength; i++) {
+            if (!BackendPuzzle.isFixedCell(isRow ? grid[i]?.[index] : grid[index]?.[i])) slots.push(i);
         }
+        return slots;
     }
 
+    /**
+     * Finds every run of three or more matchable gems: columns first (top to bottom), then rows.
+     * @param {Array<Array<PuzzleCell | null>>} puzzleState
+     * @returns {Array<Array<[number, number]>>}
+     */
     getMatches(puzzleState) {
-        const matches = [];
-        if (!puzzleState || this.width === 0 || this.height === 0) return matches;
-        const getGemType = (x, y) => puzzleState[x]?.[y]?.gemType;
+        if (!puzzleState || this.width === 0 || this.height === 0) return [];
+        const engine = this.gridEngine.load(puzzleState);
+        return engine.getMatches(engine.gems);
+    }
 
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.height - 2;) {
-                const currentType = getGemType(x, y);
-                if (!currentType) { y++; continue; }
-                let matchLength = 1;
-                while (y + matchLength < this.height && getGemType(x, y + matchLength) === currentType) {
-                    matchLength++;
-                }
-                if (matchLength >= 3) {
-                    const match = [];
-                    for (let i = 0; i < matchLength; i++) {
-                        match.push([x, y + i]);
-                    }
-                    matches.push(match);
+    /**
+     * @param {MoveAction} moveAction
+     * @param {Array<Array<{gemType: string}>>} [fromState] - Grid to test against; defaults to the live board.
+     * @returns {Array<Array<[number, number]>>} Matches the move would produce, without changing the board.
+     */
+    getMatchesFromHypotheticalMove(moveAction, fromState = this.puzzleState) {
+        const engine = this.gridEngine.load(fromState);
+        return engine.getMatches(engine.applyToScratch(moveAction));
+    }
+
+    /**
+     * Cheaper than getMatchesFromHypotheticalMove when only the size of the result matters.
+     * @param {MoveAction} moveAction
+     * @param {Array<Array<{gemType: string}>>} [fromState] - Defaults to the live board.
+     * @returns {number} Distinct cells the move's own matches would clear; 0 if it makes none.
+     */
+    countMatchedCellsForMove(moveAction, fromState = this.puzzleState) {
+        return this.gridEngine.load(fromState).countMatchedCellsForMove(moveAction);
+    }
+
+    _cloneGrid(grid) {
+        try {
+            return structuredClone(grid);
+        } catch (e) {
+            console.warn("structuredClone not supported, using JSON workaround.");
+            return JSON.parse(JSON.stringify(grid));
+        }
+    }
+
+    /**
+     * Lists every distinct move: each row and column shifted by every amount that lands in a new
+     * arrangement, using the smallest equivalent amount (e.g. -1 rather than width-1).
+     * Lines are as long as their movable cells, so obstacles reduce the distinct shifts.
+     * @param {Array<Array<{gemType: string | null, obstacle?: string}>>} [fromState] - Defaults to the live board.
+     * @returns {MoveAction[]}
+     */
+    getAllPossibleMoves(fromState = this.puzzleState) {
+        const moves = [];
+        const addLineMoves = (rowOrCol, lineCount) => {
+            for (let index = 0; index < lineCount; index++) {
+                const lineLength = this._getMovableSlots(fromState, rowOrCol, index).length;
+                for (let shift = 1; shift < lineLength; shift++) {
+                    const amount = shift <= lineLength / 2 ? shift : shift - lineLength;
+                    moves.push(new MoveAction(rowOrCol, index, amount));
                 }
-                y += matchLength;
+            }
+        };
+        addLineMoves('row', this.height);
+        addLineMoves('col', this.width);
+        return moves;
+    }
+
+    /**
+     * Checks whether any row or column shift would produce a match.
+     * @param {Array<Array<{gemType: string}>>} [fromState] - Grid to check; defaults to the live board.
+     * @returns {boolean}
+     */
+    hasAnyValidMove(fromState = this.puzzleState) {
+        return this.gridEngine.load(fromState).hasAnyMatchingMove();
+    }
+
+    /**
+     * Simulates every possible move on a copy of the board, including the full cascade chain
+     * it sets off, and ranks the ones that make a match.
+     * @param {object} [options]
+     * @param {number} [options.maxCascades] - Safety cap on simulated cascade phases per move.
+     * @returns {Array<{move: MoveAction, gemsCleared: number, score: number, cascades: number}>}
+     *     Best first: most gems cleared, then highest score.
+     */
+    getRankedMoves({ maxCascades = 50 } = {}) {
+        const ranked = [];
+        // Cheap typed-array pre-check so only productive moves pay for a full simulation
+        this.gridEngine.load(this.puzzleState);
+        const productiveMoves = this.getAllPossibleMoves().filter(move => this.gridEngine.moveMakesMatch(move));
+        productiveMoves.forEach(move => {
+            const simulation = this.clone();
+            let phase = simulation.getNextExplodeAndReplacePhase([move], 0);
+            let gemsCleared = 0;
+            let cascades = 0;
+            while (!phase.isNothingToDo() && cascades <= maxCascades) {
+                gemsCleared += phase.getClearedCoords().length;
+                cascades++;
+                phase = simulation.getNextExplodeAndReplacePhase([], cascades);
+            }
+            ranked.push({
+                move,
+                gemsCleared,
+                score: simulation.getScore() - this.score,
+                cascades: Math.max(0, cascades - 1)
+            });
+        });
+        ranked.sort((a, b) => (b.gemsCleared - a.gemsCleared) || (b.score - a.score));
+        return ranked;
+    }
+
+    /**
+     * Rearranges the existing gems (same colours and specials, so the habitat mix is preserved)
+     * into a board with no matches and at least one valid move. Obstacles keep their cells.
+     * If no arrangement is found, the gems are regenerated from the habitat influence instead.
+     * @returns {{moves: Array<{from: [number, number], to: [number, number]}> | null}} Where each gem went,
+     *     or moves: null if the board had to be regenerated.
+     */
+    reshuffle() {
+        for (let attempt = 0; attempt < RESHUFFLE_MAX_ATTEMPTS; attempt++) {
+            const result = this._tryPermuteWithoutMatches();
+            if (result && this.getMatches(result.grid).length === 0 && this.hasAnyValidMove(result.grid)) {
+                this.puzzleState = result.grid;
+                console.log(`BackendPuzzle: Reshuffled board after ${attempt + 1} attempt(s).`);
+                return { moves: result.moves };
             }
         }
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width - 2;) {
-                const currentType = getGemType(x, y);
-                if (!currentType) { x++; continue; }
-                let matchLength = 1;
-                while (x + matchLength < this.width && getGemType(x + matchLength, y) === currentType) {
-                    matchLength++;
-                }
-                if (matchLength >= 3) {
-                    const match = [];
-                    for (let i = 0; i < matchLength; i++) {
-                        match.push([x + i, y]);
-                    }
-                    matches.push(match);
-                }
-                x += matchLength;
+
+        console.warn("BackendPuzzle: No playable permutation found. Regenerating board from habitat influence.");
+        const isPlayable = (candidate) => this.getMatches(candidate).length === 0 && this.hasAnyValidMove(candidate);
+        let grid = this._withFixedCells(this.getInitialPuzzleStateWithNoMatches(this.width, this.height));
+        for (let attempt = 1; attempt < RESHUFFLE_MAX_ATTEMPTS && !isPlayable(grid); attempt++) {
+            grid = this._withFixedCells(this.getInitialPuzzleStateWithNoMatches(this.width, this.height));
+        }
+        this.puzzleState = grid;
+        return { moves: null };
+    }
+
+    /**
+     * Copies the live board's obstacle cells onto a freshly generated grid.
+     * @param {Array<Array<{gemType: string}>>} grid - Modified in place.
+     * @returns {Array<Array<{gemType: string | null, obstacle?: string}>>} The same grid.
+     */
+    _withFixedCells(grid) {
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                const cell = this.puzzleState[x]?.[y];
+                if (BackendPuzzle.isFixedCell(cell)) grid[x][y] = { ...cell };
             }
         }
-        return matches;
+        return grid;
     }
 
-    getMatchesFromHypotheticalMove(moveAction) {
-        let hypotheticalState;
-        try {
-            hypotheticalState = structuredClone(this.puzzleState);
-        } catch (e) {
-            console.warn("structuredClone not supported, using JSON workaround.");
-            hypotheticalState = JSON.parse(JSON.stringify(this.puzzleState));
+    /**
+     * Deals the current gems back onto the board in random order, skipping any gem that would
+     * complete a line of three at the cell being filled. Obstacle cells are left in place.
+     * @returns {{grid: Array<Array<{gemType: string}>>, moves: Array<{from: [number, number], to: [number, number]}>} | null}
+     *     null if the deal got stuck.
+     */
+    _tryPermuteWithoutMatches() {
+        const pool = [];
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                const cell = this.puzzleState[x]?.[y];
+                if (cell && !BackendPuzzle.isFixedCell(cell)) pool.push({ gem: cell, from: [x, y] });
+            }
+        }
+        this.rng.shuffle(pool);
+
+        const grid = [];
+        const moves = [];
+        for (let x = 0; x < this.width; x++) {
+            grid[x] = new Array(this.height).fill(null);
+            for (let y = 0; y < this.height; y++) {
+                if (BackendPuzzle.isFixedCell(this.puzzleState[x]?.[y])) {
+                    grid[x][y] = this.puzzleState[x][y];
+                    continue;
+                }
+                const poolIndex = pool.findIndex(({ gem }) => {
+                    const hMatch = x >= 2 && grid[x - 1][y]?.gemType === gem.gemType && grid[x - 2][y]?.gemType === gem.gemType;
+                    const vMatch = y >= 2 && grid[x][y - 1]?.gemType === gem.gemType && grid[x][y - 2]?.gemType === gem.gemType;
+                    return !hMatch && !vMatch;
+                });
+                if (poolIndex === -1) return null;
+                const [{ gem, from }] = pool.splice(poolIndex, 1);
+                grid[x][y] = gem;
+                moves.push({ from, to: [x, y] });
+            }
         }
-        this.applyMoveToGrid(hypotheticalState, moveAction);
-        return this.getMatches(hypotheticalState);
+        return { grid, moves };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Habitats for a location: a list of codes (each entry equally likely, so repeats count more)
+ * or habitat code -> coverage fraction.
+ * @typedef {number[] | Object<string, number> | Map<number, number>} HabitatInfluence
+ */
+
+/**
+ * Habitats sampled on a grid around a location: rows from north to south (board top to bottom),
+ * samples from west to east. Each sample is a habitat code, a HabitatInfluence, or null for no data.
+ * @typedef {Array<Array<number | HabitatInfluence | null>>} HabitatZoneGrid
+ */
+
+/**
+ * @typedef {object} PuzzleCell
+ * @property {string | null} gemType - null only for rocks.
+ * @property {string} [special] - One of SPECIAL_TYPES.
+ * @property {string} [obstacle] - One of OBSTACLE_TYPES. Obstacle cells don't move with their line or fall.
+ * @property {number} [layers] - Ice layers left, 1 to ICE_MAX_LAYERS.
+ */
+
+/**
+ * @typedef {object} PuzzleSnapshot
+ * @property {PuzzleCell[][]} puzzleState
+ * @property {string[]} nextGemsToSpawn
+ * @property {number} rngState
+ * @property {number} score
+ * @property {number} moveCount
+ * @property {*} [credit] - Set by setLastMoveCredit; travels with the move between the undo and redo stacks.
+ */
+
+/**
+ * @typedef {object} SerializedPuzzle
+ * @property {number} width
+ * @property {number} height
+ * @property {string[]} gemTypes
+ * @property {string | null} [habitatDataset] - Dataset of the habitat gem map in use; missing on older saves.
+ * @property {number} seed
+ * @property {number} rngState
+ * @property {PuzzleCell[][]} puzzleState
+ * @property {string[]} nextGemsToSpawn
+ * @property {number[] | null} habitatInfluence
+ * @property {number[] | null} [habitatWeights] - Coverage weight per habitatInfluence entry; missing/null = equal.
+ * @property {number} [habitatBlend] - Missing on older saves (= DEFAULT_HABITAT_BLEND).
+ * @property {HabitatZoneGrid | null} [habitatZones] - Missing on older saves (no zones).
+ * @property {number} score
+ * @property {number} moveCount
+ * @property {string} ruleMode
+ */
\ No newline at end of file
@@ -0,0 +1,568 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BackendPuzzle } from './BackendPuzzle';
+import { MoveAction } from './MoveAction';
+import { parseHabitatGemMap } from './HabitatGemMap';
+import { SPECIAL_TYPES, RULE_MODES, OBSTACLE_TYPES } from './constants';
+
+const LETTER_TYPES = { k: 'black', b: 'blue', g: 'green', o: 'orange', r: 'red', w: 'white' };
+
+/** Builds a column-major grid from rows of type letters, top row first; `#` is a rock. */
+const gridFromRows = (rows) => Array.from({ length: rows[0].length }, (_, x) =>
+    rows.map(row => (row[x] === '#' ? { gemType: null, obstacle: OBSTACLE_TYPES.ROCK } : { gemType: LETTER_TYPES[row[x]] })));
+
+const gemTypes = (puzzle) => puzzle.getGridState().map(col => col.map(cell => cell.gemType));
+
+/** Plays a fixed run of moves, each with its cascades, and returns how many phases cleared gems. */
+const playMoves = (puzzle, count) => {
+    let phases = 0;
+    for (let i = 0; i < count; i++) {
+        const move = i % 2 === 0
+            ? new MoveAction('row', i % puzzle.height, 1 + (i % 3))
+            : new MoveAction('col', i % puzzle.width, -1 - (i % 2));
+        let phase = puzzle.getNextExplodeAndReplacePhase([move]);
+        while (!phase.isNothingToDo()) {
+            phases++;
+            phase = puzzle.getNextExplodeAndReplacePhase([]);
+        }
+    }
+    return phases;
+};
+
+beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => vi.restoreAllMocks());
+
+describe('BackendPuzzle seeding', () => {
+    it('deals the same board for the same seed', () => {
+        expect(gemTypes(new BackendPuzzle(7, 8, { seed: 99 }))).toEqual(gemTypes(new BackendPuzzle(7, 8, { seed: 99 })));
+        expect(gemTypes(new BackendPuzzle(7, 8, { seed: 99 }))).not.toEqual(gemTypes(new BackendPuzzle(7, 8, { seed: 100 })));
+    });
+
+    it('deals a board without matches', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 5 });
+        expect(puzzle.getMatches(puzzle.getGridState())).toEqual([]);
+    });
+
+    it('spawns the same gems for the same moves', () => {
+        const a = new BackendPuzzle(7, 8, { seed: 12 });
+        const b = new BackendPuzzle(7, 8, { seed: 12 });
+        expect(playMoves(a, 30)).toBeGreaterThan(0);
+        playMoves(b, 30);
+        expect(gemTypes(a)).toEqual(gemTypes(b));
+    });
+
+    it('regenerates the seed\'s board on setSeed', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 1 });
+        playMoves(puzzle, 10);
+        puzzle.setSeed(31);
+        expect(puzzle.getSeed()).toBe(31);
+        expect(gemTypes(puzzle)).toEqual(gemTypes(new BackendPuzzle(7, 8, { seed: 31 })));
+    });
+});
+
+describe('BackendPuzzle scoring', () => {
+    const line = (length, y = 0) => Array.from({ length }, (_, x) => [x, y]);
+
+    it('scores 10 per gem with bonuses for long matches', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 1 });
+        expect(puzzle.calculatePhaseScore([line(3)]).total).toBe(30);
+        expect(puzzle.calculatePhaseScore([line(4)]).total).toBe(60);
+        expect(puzzle.calculatePhaseScore([line(5)]).total).toBe(100);
+    });
+
+    it('counts a gem shared by two matches once, plus the intersection bonus', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 1 });
+        const score = puzzle.calculatePhaseScore([line(3), [[0, 0], [0, 1], [0, 2]]]);
+        expect(score.gems).toBe(5);
+        expect(score.intersectionBonus).toBe(30);
+        expect(score.total).toBe(80);
+    });
+
+    it('multiplies cascades up to the cap', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 1 });
+        expect(puzzle.calculatePhaseScore([line(3)], 1).total).toBe(45);
+        expect(puzzle.calculatePhaseScore([line(3)], 2).total).toBe(60);
+        expect(puzzle.calculatePhaseScore([line(3)], 20).multiplier).toBe(4);
+        expect(puzzle.calculatePhaseScore([], 3).total).toBe(0);
+    });
+
+    it('adds each phase to the running score and resets it with the board', () => {
+        const puzzle = new BackendPuzzle(3, 3, { seed: 1 });
+        puzzle.puzzleState = gridFromRows(['rrr', 'gbo', 'bog']);
+        const phase = puzzle.getNextExplodeAndReplacePhase([]);
+        expect(phase.score.total).toBe(30);
+        expect(puzzle.getScore()).toBe(30);
+        puzzle.setSeed(2);
+        expect(puzzle.getScore()).toBe(0);
+    });
+});
+
+describe('BackendPuzzle special gems', () => {
+    const row = (from, to, y = 0) => Array.from({ length: to - from + 1 }, (_, i) => [from + i, y]);
+    const col = (x, from, to) => Array.from({ length: to - from + 1 }, (_, i) => [x, from + i]);
+
+    it('classifies lines of 4 and 5, L and T shapes', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 1 });
+        const grid = gridFromRows(['rrrrrrr', 'rgbogbo', 'rbogbog', 'gogbobg', 'bgbogob', 'ogbogbo', 'gbogbog', 'bogbogb']);
+        const classify = (runs) => puzzle.classifyMatches(runs, grid)[0];
+
+        expect(classify([row(0, 3)])).toMatchObject({ shape: 'line4', special: SPECIAL_TYPES.LINE_ROW, at: [1, 0] });
+        expect(classify([col(0, 0, 3)])).toMatchObject({ shape: 'line4', special: SPECIAL_TYPES.LINE_COL, at: [0, 1] });
+        expect(classify([row(0, 4)])).toMatchObject({ shape: 'line5', special: SPECIAL_TYPES.COLOR_BOMB, at: [2, 0] });
+        expect(classify([row(0, 2), col(0, 0, 2)])).toMatchObject({ shape: 'L', special: SPECIAL_TYPES.BOMB, at: [0, 0] });
+        expect(classify([row(0, 2), col(1, 0, 2)])).toMatchObject({ shape: 'T', special: SPECIAL_TYPES.BOMB, at: [1, 0] });
+        expect(classify([row(0, 2)])).toMatchObject({ shape: 'line3', special: null, at: null });
+    });
+
+    it('leaves the special behind and clears the rest of the match', () => {
+        const puzzle = new BackendPuzzle(5, 3, { seed: 1 });
+        puzzle.puzzleState = gridFromRows(['rrrrg', 'gbobo', 'bogob']);
+        const phase = puzzle.getNextExplodeAndReplacePhase([]);
+        expect(phase.specialsCreated).toEqual([{ x: 1, y: 0, gemType: 'red', special: SPECIAL_TYPES.LINE_ROW }]);
+        expect(phase.getClearedCoords()).toEqual([[0, 0], [2, 0], [3, 0]]);
+        expect(puzzle.getGridState()[1][0]).toEqual({ gemType: 'red', special: SPECIAL_TYPES.LINE_ROW });
+    });
+
+    it('sets off a matched special and scores the extra cells', () => {
+        const puzzle = new BackendPuzzle(5, 3, { seed: 1 });
+        puzzle.puzzleState = gridFromRows(['rrrgb', 'gbobo', 'bogob']);
+        puzzle.puzzleState[0][0].special = SPECIAL_TYPES.LINE_COL;
+        const phase = puzzle.getNextExplodeAndReplacePhase([]);
+        expect(phase.activatedSpecials).toEqual([{ x: 0, y: 0, gemType: 'red', special: SPECIAL_TYPES.LINE_COL }]);
+        expect(phase.getClearedCoords()).toHaveLength(5);
+        expect(phase.score.specialBonus).toBe(30);
+        expect(phase.score.total).toBe(60);
+    });
+
+    it('chains specials caught in another special\'s area', () => {
+        const puzzle = new BackendPuzzle(5, 3, { seed: 1 });
+        const grid = gridFromRows(['rrrgb', 'gbobo', 'bogob']);
+        grid[0][0].special = SPECIAL_TYPES.LINE_COL;
+        grid[0][2].special = SPECIAL_TYPES.LINE_ROW;
+        const groups = puzzle.classifyMatches([row(0, 2)], grid);
+        const { clearedCoords, activatedSpecials } = puzzle.resolveSpecialActivations(groups, grid);
+        expect(activatedSpecials.map(({ special }) => special)).toEqual([SPECIAL_TYPES.LINE_COL, SPECIAL_TYPES.LINE_ROW]);
+        expect(clearedCoords).toHaveLength(3 + 2 + 4);
+    });
+
+    it('clears every gem of its colour with a colour bomb', () => {
+        const puzzle = new BackendPuzzle(5, 3, { seed: 1 });
+        const grid = gridFromRows(['rrrgb', 'gbobo', 'bogob']);
+        const area = puzzle.getSpecialActivationArea(SPECIAL_TYPES.COLOR_BOMB, 4, 0, 'blue', grid);
+        expect(area).toEqual([[0, 2], [1, 1], [3, 1], [4, 0], [4, 2]]);
+    });
+});
+
+describe('BackendPuzzle reshuffle', () => {
+    const countTypes = (grid) => grid.flat().reduce((counts, { gemType }) => ({ ...counts, [gemType]: (counts[gemType] || 0) + 1 }), {});
+
+    it('finds no valid move when no colour has three gems', () => {
+        const puzzle = new BackendPuzzle(3, 3, { seed: 1 });
+        puzzle.puzzleState = gridFromRows(['rgb', 'okw', 'rgb']);
+        expect(puzzle.hasAnyValidMove()).toBe(false);
+        expect(puzzle.getAllPossibleMoves()).toHaveLength(12);
+    });
+
+    it('rearranges the same gems into a playable board without matches', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 4 });
+        const before = puzzle.getGridState();
+        const { moves } = puzzle.reshuffle();
+        const after = puzzle.getGridState();
+
+        expect(countTypes(after)).toEqual(countTypes(before));
+        expect(puzzle.getMatches(after)).toEqual([]);
+        expect(puzzle.hasAnyValidMove()).toBe(true);
+        expect(moves).toHaveLength(7 * 8);
+        moves.forEach(({ from, to }) => expect(after[to[0]][to[1]]).toBe(before[from[0]][from[1]]));
+    });
+
+    it('regenerates the board when no arrangement is playable', () => {
+        const puzzle = new BackendPuzzle(3, 3, { seed: 1 });
+        puzzle.puzzleState = gridFromRows(['rgb', 'okw', 'rgb']);
+        expect(puzzle.reshuffle().moves).toBeNull();
+        expect(puzzle.getMatches(puzzle.getGridState())).toEqual([]);
+    });
+});
+
+describe('BackendPuzzle hint ranking', () => {
+    /** Plays a move and its cascades on a copy, as the game would. */
+    const playOut = (puzzle, move) => {
+        const copy = puzzle.clone();
+        let gemsCleared = 0;
+        let depth = 0;
+        let phase = copy.getNextExplodeAndReplacePhase([move], depth);
+        while (!phase.isNothingToDo()) {
+            gemsCleared += phase.getClearedCoords().length;
+            phase = copy.getNextExplodeAndReplacePhase([], ++depth);
+        }
+        return { gemsCleared, score: copy.getScore() - puzzle.getScore() };
+    };
+
+    // Shifting column 3 down completes the bottom row; the gems above then fall into a second line
+    const cascadeBoard = () => gridFromRows(['okwb', 'wokw', 'kggr', 'grrk']);
+
+    it('counts the cascade a move sets off, not just its own match', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 2, puzzleState: cascadeBoard() });
+        const move = new MoveAction('col', 3, 1);
+        expect(puzzle.getMatchesFromHypotheticalMove(move).flat()).toHaveLength(3);
+
+        const ranked = puzzle.getRankedMoves().find(entry => entry.move.rowOrCol === 'col' && entry.move.index === 3 && entry.move.amount === 1);
+        expect(ranked.gemsCleared).toBeGreaterThanOrEqual(6);
+        expect(ranked.cascades).toBeGreaterThanOrEqual(1);
+        expect(ranked).toMatchObject(playOut(puzzle, move));
+    });
+
+    it('ranks by what each move really clears, then by score, without touching the board', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 21 });
+        const before = gemTypes(puzzle);
+        const ranked = puzzle.getRankedMoves();
+
+        expect(ranked.length).toBeGreaterThan(0);
+        ranked.forEach(entry => expect(entry).toMatchObject(playOut(puzzle, entry.move)));
+        ranked.slice(1).forEach((entry, i) => {
+            const previous = ranked[i];
+            expect(previous.gemsCleared > entry.gemsCleared
+                || (previous.gemsCleared === entry.gemsCleared && previous.score >= entry.score)).toBe(true);
+        });
+        expect(gemTypes(puzzle)).toEqual(before);
+    });
+});
+
+describe('BackendPuzzle rule modes', () => {
+    const matching = new MoveAction('col', 3, 1);
+    const nonMatching = new MoveAction('row', 0, 1);
+
+    it('accepts any real shift in zen mode', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 1, puzzleState: gridFromRows(['okwb', 'wokw', 'kggr', 'grrk']) });
+        expect(puzzle.getRuleMode()).toBe(RULE_MODES.ZEN);
+        expect(puzzle.isValidMove(matching)).toBe(true);
+        expect(puzzle.isValidMove(nonMatching)).toBe(true);
+        expect(puzzle.isValidMove(new MoveAction('row', 0, 0))).toBe(false);
+    });
+
+    it('only accepts shifts that make a match in strict mode', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 1, puzzleState: gridFromRows(['okwb', 'wokw', 'kggr', 'grrk']) });
+        expect(puzzle.setRuleMode(RULE_MODES.STRICT)).toBe(true);
+        expect(puzzle.isValidMove(matching)).toBe(true);
+        expect(puzzle.isValidMove(nonMatching)).toBe(false);
+        expect(puzzle.clone().getRuleMode()).toBe(RULE_MODES.STRICT);
+    });
+
+    it('keeps the current mode when given an unknown one', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 1 });
+        expect(puzzle.setRuleMode('chaos')).toBe(false);
+        expect(puzzle.getRuleMode()).toBe(RULE_MODES.ZEN);
+    });
+});
+
+describe('BackendPuzzle undo and redo', () => {
+    /** Commits a move and its cascades, as the game does. */
+    const commit = (puzzle, move) => {
+        let depth = 0;
+        let phase = puzzle.getNextExplodeAndReplacePhase([move], depth);
+        while (!phase.isNothingToDo()) phase = puzzle.getNextExplodeAndReplacePhase([], ++depth);
+    };
+    const snapshot = (puzzle) => ({ types: gemTypes(puzzle), score: puzzle.getScore(), rng: puzzle.rng.getState() });
+
+    it('takes back a move with its cascades and score, and redoes it exactly', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 2, puzzleState: gridFromRows(['okwb', 'wokw', 'kggr', 'grrk']) });
+        const before = snapshot(puzzle);
+        commit(puzzle, new MoveAction('col', 3, 1));
+        const after = snapshot(puzzle);
+        expect(after.score).toBeGreaterThan(0);
+
+        expect(puzzle.undo()).toBe(true);
+        expect(snapshot(puzzle)).toEqual(before);
+        expect(puzzle.canUndo()).toBe(false);
+        expect(puzzle.redo()).toBe(true);
+        expect(snapshot(puzzle)).toEqual(after);
+        expect(puzzle.redo()).toBe(false);
+    });
+
+    it('records one step per move, drops redo on a new move and keeps at most historyLimit steps', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 3 });
+        puzzle.historyLimit = 2;
+        commit(puzzle, new MoveAction('row', 0, 1));
+        commit(puzzle, new MoveAction('row', 1, 1));
+        commit(puzzle, new MoveAction('row', 2, 1));
+        expect(puzzle.undoStack).toHaveLength(2);
+
+        puzzle.undo();
+        expect(puzzle.canRedo()).toBe(true);
+        commit(puzzle, new MoveAction('col', 0, 1));
+        expect(puzzle.canRedo()).toBe(false);
+    });
+
+    it('moves each step\'s credit with it between undo and redo', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 3 });
+        commit(puzzle, new MoveAction('row', 0, 1));
+        puzzle.setLastMoveCredit({ gems: { red: 3 } });
+        commit(puzzle, new MoveAction('row', 1, 1));
+        expect(puzzle.getUndoCredit()).toBeUndefined();
+
+        puzzle.undo();
+        expect(puzzle.getUndoCredit()).toEqual({ gems: { red: 3 } });
+        puzzle.undo();
+        expect(puzzle.getUndoCredit()).toBeUndefined();
+        expect(puzzle.getRedoCredit()).toEqual({ gems: { red: 3 } });
+        puzzle.redo();
+        expect(puzzle.getUndoCredit()).toEqual({ gems: { red: 3 } });
+        expect(puzzle.getRedoCredit()).toBeUndefined();
+    });
+
+    it('ignores credit when history is off', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 3 });
+        puzzle.historyLimit = 0;
+        commit(puzzle, new MoveAction('row', 0, 1));
+        puzzle.setLastMoveCredit({ gems: { red: 3 } });
+        expect(puzzle.getUndoCredit()).toBeUndefined();
+    });
+
+    it('keeps no history on clones', () => {
+        const copy = new BackendPuzzle(7, 8, { seed: 3 }).clone();
+        commit(copy, new MoveAction('row', 0, 1));
+        expect(copy.canUndo()).toBe(false);
+    });
+});
+
+describe('BackendPuzzle serialization', () => {
+    it('continues a restored board exactly where the saved one left off', () => {
+        const saved = new BackendPuzzle(7, 8, { seed: 8 });
+        saved.setRuleMode(RULE_MODES.STRICT);
+        playMoves(saved, 5);
+        const data = JSON.parse(JSON.stringify(saved.serialize()));
+
+        const restored = new BackendPuzzle(7, 8, { seed: 1 });
+        restored.restoreState(data);
+        expect(restored.serialize()).toEqual(saved.serialize());
+        expect(restored.canUndo()).toBe(false);
+
+        playMoves(saved, 5);
+        playMoves(restored, 5);
+        expect(gemTypes(restored)).toEqual(gemTypes(saved));
+    });
+
+    it('keeps the board\'s gem set', () => {
+        const saved = new BackendPuzzle(5, 6, { seed: 8, gemTypes: ['blue', 'green', 'red', 'white'] });
+        const restored = new BackendPuzzle(5, 6, { seed: 1 });
+        restored.restoreState(saved.serialize());
+        expect(restored.gemTypes).toEqual(['blue', 'green', 'red', 'white']);
+        playMoves(restored, 10);
+        expect(new Set(gemTypes(restored).flat())).toEqual(new Set(['blue', 'green', 'red', 'white']));
+    });
+
+    it('refuses a board of another size', () => {
+        const data = new BackendPuzzle(7, 8, { seed: 8 }).serialize();
+        expect(() => new BackendPuzzle(6, 8, { seed: 1 }).restoreState(data)).toThrow("Saved board is 7x8, expected 6x8.");
+    });
+});
+
+describe('BackendPuzzle layouts', () => {
+    it('starts from a copy of the layout and counts what each phase clears by type', () => {
+        const layout = gridFromRows(['rrrgb', 'gbobo', 'bogob']);
+        const puzzle = new BackendPuzzle(5, 3, { seed: 1 });
+        puzzle.startBoardFromLayout(9, [104], layout);
+        expect(puzzle.getSeed()).toBe(9);
+        expect(puzzle.getGridState()).toEqual(layout);
+        expect(puzzle.getGridState()).not.toBe(layout);
+
+        const phase = puzzle.getNextExplodeAndReplacePhase([]);
+        expect(phase.gemsClearedByType).toEqual({ red: 3 });
+        expect(layout[0][0]).toEqual({ gemType: 'red' });
+    });
+
+    it('rejects a layout of another size', () => {
+        const puzzle = new BackendPuzzle(5, 3, { seed: 1 });
+        expect(() => puzzle.startBoardFromLayout(1, [], gridFromRows(['rgbo', 'gbob', 'bogo']))).toThrow("Layout does not fit a 5x3 board.");
+    });
+});
+
+describe('BackendPuzzle obstacles', () => {
+    it('places rocks over the gem and keeps the gem under ice and locks', () => {
+        const puzzle = new BackendPuzzle(5, 3, { seed: 1, puzzleState: gridFromRows(['rrrgb', 'gbobo', 'bogob']) });
+        puzzle.placeObstacles([
+            { x: 0, y: 1, type: OBSTACLE_TYPES.ROCK },
+            { x: 1, y: 1, type: OBSTACLE_TYPES.ICE, layers: 9 },
+            { x: 2, y: 1, type: OBSTACLE_TYPES.LOCKED },
+            { x: 9, y: 9, type: OBSTACLE_TYPES.ROCK }
+        ]);
+        const grid = puzzle.getGridState();
+        expect(grid[0][1]).toEqual({ gemType: null, obstacle: 'rock' });
+        expect(grid[1][1]).toEqual({ gemType: 'blue', obstacle: 'ice', layers: 3 });
+        expect(grid[2][1]).toEqual({ gemType: 'orange', obstacle: 'locked' });
+        expect(BackendPuzzle.isMatchableCell(grid[1][1])).toBe(false);
+        expect(BackendPuzzle.isMatchableCell(grid[2][1])).toBe(true);
+    });
+
+    it('shifts a line around its obstacles', () => {
+        const puzzle = new BackendPuzzle(4, 1, { seed: 1, puzzleState: gridFromRows(['r#gb']) });
+        puzzle.applyMoveToGrid(puzzle.puzzleState, new MoveAction('row', 0, 1));
+        expect(gemTypes(puzzle)).toEqual([['blue'], [null], ['red'], ['green']]);
+    });
+
+    it('rejects moves on a line with fewer than two movable cells or that wrap back to the start', () => {
+        const puzzle = new BackendPuzzle(4, 3, { seed: 1, puzzleState: gridFromRows(['r#gb', 'gbrk', 'k#wr']) });
+        puzzle.placeObstacles([{ x: 1, y: 1, type: OBSTACLE_TYPES.ICE }]);
+        expect(puzzle.isValidMove(new MoveAction('col', 1, 1))).toBe(false);
+        expect(puzzle.isValidMove(new MoveAction('row', 0, 3))).toBe(false);
+        expect(puzzle.isValidMove(new MoveAction('row', 0, 1))).toBe(true);
+    });
+
+    it('cracks ice next to a match, breaks locks instead of clearing them and leaves rocks alone', () => {
+        const puzzle = new BackendPuzzle(5, 3, { seed: 1, puzzleState: gridFromRows(['rrrgb', 'gb#bo', 'bogob']) });
+        puzzle.placeObstacles([
+            { x: 0, y: 1, type: OBSTACLE_TYPES.ICE, layers: 2 },
+            { x: 1, y: 0, type: OBSTACLE_TYPES.LOCKED }
+        ]);
+        const phase = puzzle.getNextExplodeAndReplacePhase([]);
+        expect(phase.obstaclesHit).toEqual(expect.arrayContaining([
+            { x: 0, y: 1, obstacle: 'ice', layers: 1 },
+            { x: 1, y: 0, obstacle: 'locked', layers: 0 }
+        ]));
+        expect(phase.obstaclesHit).toHaveLength(2);
+        expect(phase.getClearedCoords()).toEqual(expect.arrayContaining([[0, 0], [2, 0]]));
+        expect(phase.getClearedCoords()).toHaveLength(2);
+
+        const grid = puzzle.getGridState();
+        expect(grid[0][1]).toEqual({ gemType: 'green', obstacle: 'ice', layers: 1 });
+        expect(grid[1][0]).toEqual({ gemType: 'red' });
+        expect(grid[2][1]).toEqual({ gemType: null, obstacle: 'rock' });
+    });
+
+    it('drops gems past obstacles into the free cells below', () => {
+        const puzzle = new BackendPuzzle(3, 3, { seed: 1, puzzleState: gridFromRows(['gbo', 'k#w', 'rrr']) });
+        puzzle.getNextExplodeAndReplacePhase([]);
+        const grid = puzzle.getGridState();
+        expect(grid[1][2].gemType).toBe('blue');
+        expect(grid[1][1]).toEqual({ gemType: null, obstacle: 'rock' });
+        expect(grid[0][2].gemType).toBe('black');
+        expect(grid.every(col => col.every(Boolean))).toBe(true);
+    });
+});
+
+describe('BackendPuzzle habitat spawn weighting', () => {
+    const habitatGemMap = parseHabitatGemMap({
+        v: 1,
+        dataset: 'test',
+        mappings: [{ code: 104, gemType: 'green' }, { code: 1001, gemType: 'blue' }]
+    });
+
+    it('reads habitat lists and coverage maps, dropping entries without a positive weight', () => {
+        expect(BackendPuzzle.normalizeHabitatInfluence([104, 'x', 1001])).toEqual({ codes: [104, 1001], weights: null });
+        expect(BackendPuzzle.normalizeHabitatInfluence({ 104: 0.7, 1001: 0.3, 1401: 0 })).toEqual({ codes: [104, 1001], weights: [0.7, 0.3] });
+        expect(BackendPuzzle.normalizeHabitatInfluence(null)).toEqual({ codes: [], weights: null });
+    });
+
+    it('expects habitat picks in proportion to coverage and spreads the rest of the blend evenly', () => {
+        const gemTypes = ['blue', 'green', 'red', 'white'];
+        const puzzle = new BackendPuzzle(6, 6, { seed: 4, gemTypes, habitatGemMap, habitatBlend: 0.8 });
+        puzzle.setHabitatInfluence({ 104: 0.5, 1001: 0.25, 9999: 0.25 });
+        const distribution = puzzle.getSpawnDistribution();
+        expect(distribution.green).toBeCloseTo(0.4 + 0.4 / 4);
+        expect(distribution.blue).toBeCloseTo(0.2 + 0.4 / 4);
+        expect(distribution.red).toBeCloseTo(0.1);
+        expect(Object.values(distribution).reduce((sum, share) => sum + share, 0)).toBeCloseTo(1);
+    });
+
+    it('spawns by coverage on a full blend and ignores habitats on none', () => {
+        const counts = (blend) => {
+            const puzzle = new BackendPuzzle(6, 6, { seed: 4, habitatGemMap, habitatBlend: blend });
+            puzzle.currentHabitatInfluence = [104, 1001];
+            puzzle.currentHabitatWeights = [9, 1];
+            const tally = {};
+            for (let i = 0; i < 1000; i++) {
+                const gemType = puzzle._pickGemTypeBasedOnInfluenceOrRandom();
+                tally[gemType] = (tally[gemType] || 0) + 1;
+            }
+            return tally;
+        };
+        const full = counts(1);
+        expect(Object.keys(full).sort()).toEqual(['blue', 'green']);
+        expect(full.green).toBeGreaterThan(850);
+        expect(Object.keys(counts(0))).toHaveLength(6);
+    });
+
+    it('keeps its blend through a save and refuses one out of range', () => {
+        const puzzle = new BackendPuzzle(5, 5, { seed: 6, habitatGemMap, habitatBlend: 0.5 });
+        puzzle.setHabitatInfluence({ 104: 0.6, 1001: 0.4 });
+        expect(puzzle.setHabitatBlend(1.5)).toBe(false);
+        const restored = new BackendPuzzle(5, 5, { seed: 1, habitatGemMap });
+        restored.restoreState(puzzle.serialize());
+        expect(restored.habitatBlend).toBe(0.5);
+        expect(restored.getSpawnDistribution()).toEqual(puzzle.getSpawnDistribution());
+    });
+});
+
+describe('BackendPuzzle habitat zones', () => {
+    const habitatGemMap = parseHabitatGemMap({
+        v: 1,
+        dataset: 'test',
+        mappings: [{ code: 104, gemType: 'green' }, { code: 1001, gemType: 'blue' }]
+    });
+
+    it('stretches the zone grid over the board and falls back to the location where a zone has no data', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 2, habitatGemMap });
+        puzzle.startBoard(2, [1001], [[104, null], [{ 104: 0.5, 1001: 0.5 }, 1001]]);
+        expect(puzzle.getSpawnDistribution(1, 1).green).toBe(1);
+        expect(puzzle.getSpawnDistribution(2, 0).blue).toBe(1);
+        expect(puzzle.getSpawnDistribution(0, 3).green).toBeCloseTo(0.5);
+        expect(puzzle.getSpawnDistribution(3, 3).blue).toBe(1);
+        expect(puzzle.getSpawnDistribution().green).toBeCloseTo((1 + 0.5) / 4);
+    });
+
+    it('picks each gem from its own zone', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 2, habitatGemMap });
+        puzzle.setHabitatZones([[104, 1001]]);
+        for (let i = 0; i < 20; i++) {
+            expect(puzzle._pickGemTypeBasedOnInfluenceOrRandom(i % 2, 3)).toBe('green');
+            expect(puzzle._pickGemTypeBasedOnInfluenceOrRandom(2 + (i % 2), 0)).toBe('blue');
+        }
+    });
+
+    it('ignores a ragged zone grid', () => {
+        const warn = vi.spyOn(console, 'warn');
+        const puzzle = new BackendPuzzle(4, 4, { seed: 2 });
+        expect(puzzle.setHabitatZones([[104, 1001], [104]])).toBe(false);
+        expect(puzzle.habitatZones).toBeNull();
+        expect(warn).toHaveBeenCalledOnce();
+    });
+
+    it('avoids refills that complete any run only on zoned boards', () => {
+        const grid = () => gridFromRows(['ggk', 'bow', 'obr']);
+        const zoned = new BackendPuzzle(3, 3, { seed: 2, habitatGemMap, puzzleState: grid() });
+        zoned.setHabitatZones([[104]]);
+        expect(zoned.getSafeNextGemToSpawnType(2, 0, grid())).not.toBe('green');
+
+        // Without zones only the two gems below count, as refills always have
+        const plain = new BackendPuzzle(3, 3, { seed: 2, habitatGemMap, puzzleState: grid() });
+        plain.addNextGemToSpawn('green');
+        expect(plain.getSafeNextGemToSpawnType(2, 0, grid())).toBe('green');
+    });
+
+    it('reports habitat shares by the area each zone covers', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 2, habitatGemMap });
+        puzzle.startBoard(2, [1001], [[104, { 104: 0.25, 1001: 0.75 }]]);
+        expect(puzzle.getHabitatShares()).toEqual([{ code: 104, share: 0.625 }, { code: 1001, share: 0.375 }]);
+        puzzle.setHabitatZones(null);
+        expect(puzzle.getHabitatShares()).toEqual([{ code: 1001, share: 1 }]);
+    });
+
+    it('traces a gem to the heaviest habitat at its cell that maps to its type', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 2, habitatGemMap });
+        puzzle.startBoard(2, [1001], [[{ 104: 0.25, 1001: 0.75 }, null]]);
+        expect(puzzle.getHabitatOrigin('green', 0, 0)).toBe(104);
+        expect(puzzle.getHabitatOrigin('blue', 3, 3)).toBe(1001);
+        expect(puzzle.getHabitatOrigin('red', 0, 0)).toBeNull();
+    });
+
+    it('keeps its zones through a save', () => {
+        const puzzle = new BackendPuzzle(4, 4, { seed: 2, habitatGemMap });
+        puzzle.startBoard(2, [1001], [[104, { 104: 0.25, 1001: 0.75 }]]);
+        const restored = new BackendPuzzle(4, 4, { seed: 1, habitatGemMap });
+        restored.restoreState(JSON.parse(JSON.stringify(puzzle.serialize())));
+        expect(restored.habitatZones).toEqual(puzzle.habitatZones);
+        expect(restored.getSpawnDistribution()).toEqual(puzzle.getSpawnDistribution());
+    });
+});
@@ -0,0 +1,77 @@
+// src/game/BoardConfig.js
+import { GRID_COLS, GRID_ROWS, GEM_TYPES, DEFAULT_HABITAT_BLEND } from './constants';
+
+export const MIN_BOARD_SIZE = 3;
+export const MAX_BOARD_SIZE = 16;
+export const MIN_GEM_TYPES = 3; // Fewer than this and a board without matches can't be dealt
+
+/**
+ * Named board setups that can be passed as `boardConfig` when starting the Game scene.
+ * @type {Object<string, BoardConfig>}
+ */
+export const BOARD_PRESETS = {
+    mobile: { cols: 5, rows: 6, gemTypes: ['blue', 'green', 'orange', 'red', 'white'] },
+    standard: { cols: GRID_COLS, rows: GRID_ROWS, gemTypes: [...GEM_TYPES] },
+    survey: { cols: 10, rows: 12, gemTypes: [...GEM_TYPES] }
+};
+
+export const DEFAULT_BOARD_PRESET = 'standard';
+
+/**
+ * Turns a preset name, a partial config or nothing into a complete, valid board config.
+ * Invalid values are replaced by the defaults (with a warning) rather than failing the scene.
+ * @param {string | Partial<BoardConfig> | null | undefined} input
+ * @returns {BoardConfig}
+ */
+export function resolveBoardConfig(input) {
+    const defaults = BOARD_PRESETS[DEFAULT_BOARD_PRESET];
+    let requested = input;
+    if (typeof input === 'string') {
+        requested = BOARD_PRESETS[input];
+        if (!requested) console.warn(`BoardConfig: Unknown preset '${input}'. Using '${DEFAULT_BOARD_PRESET}'.`);
+    }
+    requested = requested || {};
+
+    const size = (value, fallback, label) => {
+        if (value === undefined) return fallback;
+        if (Number.isInteger(value) && value >= MIN_BOARD_SIZE && value <= MAX_BOARD_SIZE) return value;
+        console.warn(`BoardConfig: ${label} must be an integer from ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}, got ${value}. Using ${fallback}.`);
+        return fallback;
+    };
+
+    let gemTypes = defaults.gemTypes;
+    if (requested.gemTypes !== undefined) {
+        // Only types with loaded textures can be drawn
+        const known = Array.isArray(requested.gemTypes) ? [...new Set(requested.gemTypes)].filter(t => GEM_TYPES.includes(t)) : [];
+        if (known.length >= MIN_GEM_TYPES) {
+            gemTypes = known;
+        } else {
+            console.warn(`BoardConfig: gemTypes needs at least ${MIN_GEM_TYPES} of ${GEM_TYPES.join(', ')}. Using defaults.`);
+        }
+    }
+
+    let habitatBlend = DEFAULT_HABITAT_BLEND;
+    if (requested.habitatBlend !== undefined) {
+        if (typeof requested.habitatBlend === 'number' && requested.habitatBlend >= 0 && requested.habitatBlend <= 1) {
+            habitatBlend = requested.habitatBlend;
+        } else {
+            console.warn(`BoardConfig: habitatBlend must be from 0 to 1, got ${requested.habitatBlend}. Using ${DEFAULT_HABITAT_BLEND}.`);
+        }
+    }
+
+    return {
+        cols: size(requested.cols, defaults.cols, 'cols'),
+        rows: size(requested.rows, defaults.rows, 'rows'),
+        gemTypes: [...gemTypes],
+        habitatBlend
+    };
+}
+
+/**
+ * @typedef {object} BoardConfig
+ * @property {number} cols - Board width in cells.
+ * @property {number} rows - Board height in cells.
+ * @property {string[]} gemTypes - Subset of GEM_TYPES that can appear on the board.
+ * @property {number} [habitatBlend] - Share of spawns driven by the location's habitats (0-1), the rest
+ *     uniform. Defaults to DEFAULT_HABITAT_BLEND.
+ */
@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resolveBoardConfig, BOARD_PRESETS, MAX_BOARD_SIZE } from './BoardConfig';
+import { GRID_COLS, GRID_ROWS, GEM_TYPES, DEFAULT_HABITAT_BLEND } from './constants';
+
+describe('resolveBoardConfig', () => {
+    let warn;
+    beforeEach(() => {
+        warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('uses the standard board when nothing is asked for', () => {
+        expect(resolveBoardConfig()).toEqual({ cols: GRID_COLS, rows: GRID_ROWS, gemTypes: GEM_TYPES, habitatBlend: DEFAULT_HABITAT_BLEND });
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('resolves presets by name and copies them', () => {
+        const config = resolveBoardConfig('mobile');
+        expect(config).toEqual({ ...BOARD_PRESETS.mobile, habitatBlend: DEFAULT_HABITAT_BLEND });
+        config.gemTypes.push('black');
+        expect(BOARD_PRESETS.mobile.gemTypes).not.toContain('black');
+    });
+
+    it('keeps the valid parts of a partial config', () => {
+        expect(resolveBoardConfig({ cols: 5, rows: MAX_BOARD_SIZE + 1, gemTypes: ['red', 'red', 'blue', 'green', 'pink'] }))
+            .toEqual({ cols: 5, rows: GRID_ROWS, gemTypes: ['red', 'blue', 'green'], habitatBlend: DEFAULT_HABITAT_BLEND });
+        expect(warn).toHaveBeenCalledOnce();
+    });
+
+    it('falls back when too few known gem types or an unknown preset are given', () => {
+        expect(resolveBoardConfig({ gemTypes: ['red', 'pink', 'teal'] }).gemTypes).toEqual(GEM_TYPES);
+        expect(resolveBoardConfig('huge')).toEqual(resolveBoardConfig());
+        expect(warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('takes a habitat blend from 0 to 1', () => {
+        expect(resolveBoardConfig({ habitatBlend: 0.25 }).habitatBlend).toBe(0.25);
+        expect(resolveBoardConfig({ habitatBlend: 2 }).habitatBlend).toBe(DEFAULT_HABITAT_BLEND);
+        expect(warn).toHaveBeenCalledOnce();
+    });
+});
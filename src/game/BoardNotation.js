@@ -0,0 +1,169 @@
+// src/game/BoardNotation.js
+import { GEM_TYPES, SPECIAL_TYPES, OBSTACLE_TYPES, ICE_MAX_LAYERS } from './constants';
+import { LAYOUT_GEM_CODES } from './Level';
+
+// Written after a cell's gem letter. See "Board Notation" in README.md.
+export const NOTATION_SPECIAL_MARKS = {
+    '-': SPECIAL_TYPES.LINE_ROW,
+    '|': SPECIAL_TYPES.LINE_COL,
+    '*': SPECIAL_TYPES.BOMB,
+    '@': SPECIAL_TYPES.COLOR_BOMB
+};
+export const NOTATION_ROCK = '#';
+export const NOTATION_EMPTY = '.';
+export const NOTATION_ICE = '~'; // Followed by the layer count, 1 when omitted
+export const NOTATION_LOCKED = '+';
+
+const GEM_LETTERS = Object.fromEntries(Object.entries(LAYOUT_GEM_CODES).map(([letter, gemType]) => [gemType, letter]));
+const SPECIAL_MARKS = Object.fromEntries(Object.entries(NOTATION_SPECIAL_MARKS).map(([mark, special]) => [special, mark]));
+const CELL_PATTERN = /([a-z#.])([-|*@])?(?:~(\d)?|(\+))?/y;
+
+/**
+ * @param {string} letters
+ * @param {string} field - Field name for error messages.
+ * @returns {string[]} Gem types, one per letter.
+ */
+const lettersToGemTypes = (letters, field) => [...letters].map(letter => {
+    const gemType = LAYOUT_GEM_CODES[letter];
+    if (!gemType) throw new Error(`Board notation: ${field} has unknown gem letter '${letter}'.`);
+    return gemType;
+});
+
+/**
+ * @param {string} row
+ * @param {number} y
+ * @returns {Array<import('./BackendPuzzle').PuzzleCell | null>} The row's cells, left to right.
+ */
+const parseRow = (row, y) => {
+    const cells = [];
+    CELL_PATTERN.lastIndex = 0;
+    while (CELL_PATTERN.lastIndex < row.length) {
+        const at = CELL_PATTERN.lastIndex;
+        const match = CELL_PATTERN.exec(row);
+        const where = `row ${y + 1}, cell ${cells.length + 1}`;
+        if (!match) throw new Error(`Board notation: unexpected '${row[at]}' at ${where}.`);
+        const [, symbol, mark, iceLayers, locked] = match;
+        const isIce = match[0].includes(NOTATION_ICE);
+        if (symbol === NOTATION_EMPTY || symbol === NOTATION_ROCK) {
+            if (mark || isIce || locked) throw new Error(`Board notation: '${match[0]}' at ${where} has no gem to mark.`);
+            cells.push(symbol === NOTATION_ROCK ? { gemType: null, obstacle: OBSTACLE_TYPES.ROCK } : null);
+            continue;
+        }
+        const gemType = LAYOUT_GEM_CODES[symbol];
+        if (!gemType) throw new Error(`Board notation: unknown gem letter '${symbol}' at ${where}.`);
+        const cell = { gemType };
+        if (mark) cell.special = NOTATION_SPECIAL_MARKS[mark];
+        if (isIce) {
+            const layers = iceLayers === undefined ? 1 : Number(iceLayers);
+            if (layers < 1 || layers > ICE_MAX_LAYERS) {
+                throw new Error(`Board notation: ice at ${where} must have 1 to ${ICE_MAX_LAYERS} layers.`);
+            }
+            cell.obstacle = OBSTACLE_TYPES.ICE;
+            cell.layers = layers;
+        } else if (locked) {
+            cell.obstacle = OBSTACLE_TYPES.LOCKED;
+        }
+        cells.push(cell);
+    }
+    return cells;
+};
+
+/**
+ * Parses a board written by formatBoardNotation, or by hand: rows top to bottom separated by '/'
+ * or line breaks, followed (or preceded) by optional space-separated fields seed=, rng=, types=
+ * and next=. Every row must have the same number of cells.
+ * @param {string} text
+ * @returns {ParsedBoardNotation}
+ */
+export function parseBoardNotation(text) {
+    if (typeof text !== 'string' || text.trim() === '') throw new Error("Board notation is empty.");
+    const tokens = text.trim().split(/\s+/);
+    const fields = {};
+    const rows = [];
+    tokens.forEach(token => {
+        const separator = token.indexOf('=');
+        if (separator === -1) {
+            rows.push(...token.split('/').filter(row => row !== ''));
+            return;
+        }
+        const key = token.slice(0, separator);
+        if (!['seed', 'rng', 'types', 'next'].includes(key)) throw new Error(`Board notation: unknown field '${key}'.`);
+        fields[key] = token.slice(separator + 1);
+    });
+    if (rows.length === 0) throw new Error("Board notation has no rows.");
+
+    const cellRows = rows.map(parseRow);
+    const width = cellRows[0].length;
+    cellRows.forEach((cells, y) => {
+        if (cells.length !== width) throw new Error(`Board notation: row ${y + 1} has ${cells.length} cells, expected ${width}.`);
+    });
+    const height = cellRows.length;
+    const grid = Array.from({ length: width }, (_, x) => cellRows.map(cells => cells[x]));
+
+    const readInteger = (key) => {
+        if (fields[key] === undefined) return null;
+        const value = Number(fields[key]);
+        if (fields[key] === '' || !Number.isInteger(value) || value < 0) {
+            throw new Error(`Board notation: ${key} must be a non-negative integer, got '${fields[key]}'.`);
+        }
+        return value;
+    };
+    const gemTypes = fields.types !== undefined ? lettersToGemTypes(fields.types, 'types') : [...GEM_TYPES];
+    const nextGemsToSpawn = fields.next ? lettersToGemTypes(fields.next, 'next') : [];
+    const unlisted = new Set([...grid.flat().map(cell => cell?.gemType), ...nextGemsToSpawn]
+        .filter(gemType => gemType && !gemTypes.includes(gemType)));
+    if (unlisted.size > 0) throw new Error(`Board notation: ${[...unlisted].join(', ')} not in types.`);
+
+    return { width, height, grid, gemTypes, nextGemsToSpawn, seed: readInteger('seed'), rngState: readInteger('rng') };
+}
+
+/**
+ * Writes a board on one line, rows separated by '/', so it can be pasted into a single-line prompt.
+ * Gems use the level layout letters (LAYOUT_GEM_CODES).
+ * @param {object} board
+ * @param {Array<Array<import('./BackendPuzzle').PuzzleCell | null>>} board.grid - Column-major.
+ * @param {string[]} board.gemTypes
+ * @param {string[]} [board.nextGemsToSpawn]
+ * @param {number | null} [board.seed]
+ * @param {number | null} [board.rngState]
+ * @returns {string}
+ */
+export function formatBoardNotation({ grid, gemTypes, nextGemsToSpawn = [], seed = null, rngState = null }) {
+    const height = grid[0]?.length || 0;
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        rows.push(grid.map(column => formatCell(column[y])).join(''));
+    }
+    const fields = [];
+    if (seed !== null) fields.push(`seed=${seed}`);
+    if (rngState !== null) fields.push(`rng=${rngState}`);
+    fields.push(`types=${gemTypes.map(gemType => GEM_LETTERS[gemType]).join('')}`);
+    if (nextGemsToSpawn.length > 0) fields.push(`next=${nextGemsToSpawn.map(gemType => GEM_LETTERS[gemType]).join('')}`);
+    return [rows.join('/'), ...fields].join(' ');
+}
+
+/**
+ * @param {import('./BackendPuzzle').PuzzleCell | null | undefined} cell
+ * @returns {string}
+ */
+function formatCell(cell) {
+    if (!cell) return NOTATION_EMPTY;
+    if (cell.obstacle === OBSTACLE_TYPES.ROCK) return NOTATION_ROCK;
+    if (!cell.gemType) return NOTATION_EMPTY;
+    let text = GEM_LETTERS[cell.gemType];
+    if (cell.special) text += SPECIAL_MARKS[cell.special];
+    if (cell.obstacle === OBSTACLE_TYPES.ICE) text += cell.layers > 1 ? `${NOTATION_ICE}${cell.layers}` : NOTATION_ICE;
+    if (cell.obstacle === OBSTACLE_TYPES.LOCKED) text += NOTATION_LOCKED;
+    return text;
+}
+
+/**
+ * @typedef {object} ParsedBoardNotation
+ * @property {number} width
+ * @property {number} height
+ * @property {Array<Array<import('./BackendPuzzle').PuzzleCell | null>>} grid - Column-major, width x height.
+ * @property {string[]} gemTypes - From types=, or all GEM_TYPES.
+ * @property {string[]} nextGemsToSpawn - From next=; spawned before any random pick.
+ * @property {number | null} seed
+ * @property {number | null} rngState - PRNG position, so spawns after the board continue exactly.
+ */
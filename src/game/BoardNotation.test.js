@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseBoardNotation, formatBoardNotation } from './BoardNotation';
+import { BackendPuzzle } from './BackendPuzzle';
+import { OBSTACLE_TYPES, SPECIAL_TYPES } from './constants';
+
+describe('parseBoardNotation', () => {
+    it('reads rows, marks, obstacles and fields', () => {
+        const board = parseBoardNotation('b-g|~2rw/o*k@+r#/w.g~b seed=7 rng=123 types=bgrokw next=rb');
+        expect(board.width).toBe(4);
+        expect(board.height).toBe(3);
+        expect(board.grid[0][0]).toEqual({ gemType: 'blue', special: SPECIAL_TYPES.LINE_ROW });
+        expect(board.grid[1][0]).toEqual({ gemType: 'green', special: SPECIAL_TYPES.LINE_COL, obstacle: OBSTACLE_TYPES.ICE, layers: 2 });
+        expect(board.grid[1][1]).toEqual({ gemType: 'black', special: SPECIAL_TYPES.COLOR_BOMB, obstacle: OBSTACLE_TYPES.LOCKED });
+        expect(board.grid[3][1]).toEqual({ gemType: null, obstacle: OBSTACLE_TYPES.ROCK });
+        expect(board.grid[1][2]).toBeNull();
+        expect(board.grid[2][2]).toEqual({ gemType: 'green', obstacle: OBSTACLE_TYPES.ICE, layers: 1 });
+        expect(board.seed).toBe(7);
+        expect(board.rngState).toBe(123);
+        expect(board.gemTypes).toEqual(['blue', 'green', 'red', 'orange', 'black', 'white']);
+        expect(board.nextGemsToSpawn).toEqual(['red', 'blue']);
+    });
+
+    it('accepts rows on separate lines', () => {
+        expect(parseBoardNotation('bgr\ngrb\n').grid).toEqual(parseBoardNotation('bgr/grb').grid);
+    });
+
+    it('formats what it parsed', () => {
+        const text = 'b-g|~2rw/o*k@+r#/w.g~b seed=7 rng=123 types=bgrokw next=rb';
+        expect(formatBoardNotation(parseBoardNotation(text))).toBe(text);
+    });
+
+    it.each([
+        ['', "Board notation is empty."],
+        ['seed=1', "Board notation has no rows."],
+        ['bgx/grb', "Board notation: unknown gem letter 'x' at row 1, cell 3."],
+        ['bgr/gr', "Board notation: row 2 has 2 cells, expected 3."],
+        ['b!r', "Board notation: unexpected '!' at row 1, cell 2."],
+        ['b#-r', "Board notation: '#-' at row 1, cell 2 has no gem to mark."],
+        ['b~5r', "Board notation: ice at row 1, cell 1 must have 1 to 3 layers."],
+        ['bgr mode=1', "Board notation: unknown field 'mode'."],
+        ['bgr seed=-1', "Board notation: seed must be a non-negative integer, got '-1'."],
+        ['bgr types=bgx', "Board notation: types has unknown gem letter 'x'."],
+        ['bgr types=bg', "Board notation: red not in types."]
+    ])('rejects %j', (text, message) => {
+        expect(() => parseBoardNotation(text)).toThrow(message);
+    });
+});
+
+describe('BackendPuzzle notation', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('round-trips a played board', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 42 });
+        puzzle.startBoard(42, []);
+        puzzle.placeObstacles([
+            { x: 3, y: 3, type: OBSTACLE_TYPES.ROCK },
+            { x: 1, y: 6, type: OBSTACLE_TYPES.ICE, layers: 2 },
+            { x: 0, y: 2, type: OBSTACLE_TYPES.LOCKED }
+        ]);
+        puzzle.getNextExplodeAndReplacePhase([puzzle.getRankedMoves()[0].move], 0);
+        puzzle.addNextGemsToSpawn(['red', 'blue']);
+
+        const text = puzzle.toNotation();
+        const copy = BackendPuzzle.fromNotation(text);
+        expect(copy.toNotation()).toBe(text);
+        expect(copy.getGridState()).toEqual(puzzle.getGridState());
+        expect(copy.getSeed()).toBe(puzzle.getSeed());
+    });
+
+    it('spawns the same gems after loading', () => {
+        const puzzle = new BackendPuzzle(7, 8, { seed: 9 });
+        puzzle.startBoard(9, []);
+        const copy = BackendPuzzle.fromNotation(puzzle.toNotation());
+        [puzzle, copy].forEach(board => {
+            let phase = board.getNextExplodeAndReplacePhase([board.getRankedMoves()[0].move], 0);
+            for (let depth = 1; !phase.isNothingToDo() && depth < 20; depth++) {
+                phase = board.getNextExplodeAndReplacePhase([], depth);
+            }
+        });
+        expect(copy.toNotation()).toBe(puzzle.toNotation());
+    });
+});
@@ -5,9 +5,26 @@ import Phaser from 'phaser';
 import {
     AssetKeys,
     TWEEN_DURATION_EXPLODE, TWEEN_DURATION_FALL_BASE, TWEEN_DURATION_FALL_PER_UNIT,
-    TWEEN_DURATION_FALL_MAX, TWEEN_DURATION_SNAP, TWEEN_DURATION_LAYOUT_UPDATE
+    TWEEN_DURATION_FALL_MAX, TWEEN_DURATION_SNAP, TWEEN_DURATION_LAYOUT_UPDATE,
+    TWEEN_DURATION_SPECIAL, TWEEN_DURATION_SHUFFLE, TWEEN_DURATION_HINT_PULSE, TWEEN_DURATION_SHAKE,
+    SPECIAL_TYPES, SPECIAL_BOMB_RADIUS, OBSTACLE_TYPES, ICE_MAX_LAYERS
 } from './constants'; // Corrected path
 
+// Glow colour per special gem type (WebGL), with a tint fallback for the Canvas renderer
+const SPECIAL_VISUALS = {
+    [SPECIAL_TYPES.LINE_ROW]: { glow: 0xffffff, tint: 0xddddff },
+    [SPECIAL_TYPES.LINE_COL]: { glow: 0xfff066, tint: 0xffffcc },
+    [SPECIAL_TYPES.BOMB]: { glow: 0xff5a1f, tint: 0xffbb99 },
+    [SPECIAL_TYPES.COLOR_BOMB]: { glow: 0xff44ff, tint: 0xffccff, shine: true }
+};
+
+// Overlay colours per obstacle type, drawn above the gems
+const OBSTACLE_VISUALS = {
+    [OBSTACLE_TYPES.ROCK]: { fill: 0x6e6a64, line: 0x3d3a36 },
+    [OBSTACLE_TYPES.ICE]: { fill: 0xbfe8ff, line: 0xeefaff },
+    [OBSTACLE_TYPES.LOCKED]: { fill: 0x000000, line: 0xd4a017 }
+};
+
 export class BoardView {
     /** @type {Phaser.Scene} */
     scene;
@@ -23,6 +40,18 @@ export class BoardView {
     gemsSprites = []; // The 2D array [x][y] mirroring the logical grid
     /** @type {Phaser.GameObjects.Group} */
     gemGroup; // Group for efficient management
+    /** @type {Phaser.GameObjects.Rectangle | null} */
+    hintHighlight = null; // Pulsing outline around the suggested row/column
+    /** @type {{x: number, y: number, grabbed: 'row' | 'col' | null} | null} */
+    cursor = null; // Keyboard cursor cell, and the line grabbed with it; null when hidden
+    /** @type {Phaser.GameObjects.Rectangle | null} */
+    cursorHighlight = null; // Outline drawn for the cursor
+    /** @type {Array<{x: number, y: number, obstacle: string, layers?: number}>} */
+    obstacles = []; // Obstacle cells from the last grid passed to updateObstacles
+    /** @type {Set<string>} */
+    fixedCells = new Set(); // "x,y" keys of obstacle cells, which don't move with their line
+    /** @type {Phaser.GameObjects.Graphics | null} */
+    obstacleGraphics = null; // Rock, ice and lock overlays
 
     /**
      * @param {Phaser.Scene} scene The parent scene (Game.js).
@@ -76,21 +105,26 @@ export class BoardView {
             for (let y = 0; y < this.gridRows; y++) {
                 const gemData = initialPuzzleState[x][y];
                 if (gemData && gemData.gemType) {
-                    this.createSprite(x, y, gemData.gemType);
+                    this.createSprite(x, y, gemData.gemType, undefined, gemData.special);
                 } else {
                     // Optional: Log if a cell is unexpectedly null in the initial state
                     // console.log(`BoardView: No initial gem data at [${x}, ${y}]`);
                 }
             }
         }
+        this.updateObstacles(initialPuzzleState);
+        this.drawCursor(); // A rebuilt board keeps the keyboard cursor where it was
         console.log("BoardView: Board visuals created successfully."); // Modified log
     }
 
     /** Updates sprite positions and scales after resize/orientation change. */
     updateVisualLayout(newGemSize, newBoardOffset) {
         console.log("BoardView: Updating visual layout.");
+        this.clearHint();
         this.gemSize = newGemSize;
         this.boardOffset = newBoardOffset;
+        this.drawObstacles();
+        this.drawCursor();
 
         this.iterateSprites((sprite, x, y) => {
             const targetPos = this.getSpritePosition(x, y);
@@ -188,6 +222,39 @@ export class BoardView {
         });
     }
 
+    /** Shakes sprites along the dragged direction to signal a rejected ("no match") move. */
+    shakeSprites(sprites, direction) {
+        return new Promise((resolve) => {
+            if (!sprites || sprites.length === 0) { resolve(); return; }
+
+            const offset = Math.max(3, Math.round(this.gemSize * 0.12));
+            const prop = direction === 'col' ? 'y' : 'x';
+            const shakePromises = sprites.map((sprite) => {
+                if (!sprite || !sprite.active) return Promise.resolve();
+                const home = sprite[prop];
+                return new Promise((resolveShake) => {
+                    this.scene.tweens.killTweensOf(sprite);
+                    this.scene.tweens.add({
+                        targets: sprite,
+                        [prop]: home + offset,
+                        duration: TWEEN_DURATION_SHAKE,
+                        ease: 'Sine.easeInOut',
+                        yoyo: true,
+                        repeat: 2,
+                        onComplete: () => {
+                            sprite[prop] = home;
+                            resolveShake();
+                        }
+                    });
+                });
+            });
+
+            Promise.all(shakePromises)
+                .then(() => resolve())
+                .catch(error => { console.error("BoardView: Error during shake:", error); resolve(); });
+        });
+    }
+
     /** Animates gem explosions. Removes sprites from grid and destroys them. */
     animateExplosions(matchCoords) {
         console.log(`BoardView: Animating ${matchCoords.length} explosions.`);
@@ -233,13 +300,17 @@ export class BoardView {
         });
     }
 
-    /** Animates existing gems falling and new gems entering. Updates gemsSprites array. */
+    /**
+     * Animates existing gems falling and new gems entering. Updates gemsSprites array.
+     * Obstacle cells in finalBackendState keep their sprite; gems fall past them.
+     */
     animateFalls(replacements, finalBackendState) {
         console.log("BoardView: Animating falls...");
         return new Promise((resolve) => {
             const fallPromises = [];
             const newGrid = []; // Stores the final configuration of sprites
             const spritesToAnimate = []; // { sprite, targetY }
+            const isFixed = (x, y) => !!finalBackendState?.[x]?.[y]?.obstacle;
 
             // 1. Initialize newGrid structure
             for (let x = 0; x < this.gridCols; x++) {
@@ -248,18 +319,25 @@ export class BoardView {
 
             // 2. Place surviving sprites into their final slots in newGrid (bottom-up)
             for (let x = 0; x < this.gridCols; x++) {
-                let targetY = this.gridRows - 1; // Start checking from the bottom row
+                const slots = []; // Rows a falling gem can land in, bottom first
+                for (let y = this.gridRows - 1; y >= 0; y--) {
+                    if (isFixed(x, y)) {
+                        newGrid[x][y] = this.getSpriteAt(x, y); // Frozen or locked gems stay put (rocks have none)
+                    } else {
+                        slots.push(y);
+                    }
+                }
                 // Iterate current visual grid from bottom up
                 for (let y = this.gridRows - 1; y >= 0; y--) {
                     const sprite = this.getSpriteAt(x, y);
-                    if (sprite) {
+                    if (sprite && !isFixed(x, y)) {
                          // This sprite survived, find its target slot
-                         if (targetY >= 0) {
+                         const targetY = slots.shift();
+                         if (targetY !== undefined) {
                              newGrid[x][targetY] = sprite; // Place in new grid config
                              sprite.setData('gridX', x);   // Update logical coords stored on sprite
                              sprite.setData('gridY', targetY);
                              spritesToAnimate.push({ sprite, targetGridY: targetY });
-                             targetY--; // Move to the next slot up
                          } else {
                               console.error(`BoardView Error: No slot for surviving sprite from [${x},${y}]`);
                               this.safelyDestroySprite(sprite);
@@ -277,14 +355,15 @@ export class BoardView {
                     let targetY = -1;
                      // Find the first null slot from the top in the newGrid config
                     for(let searchY = 0; searchY < this.gridRows; searchY++){
-                        if(!newGrid[x][searchY]){
+                        if(!newGrid[x][searchY] && !isFixed(x, searchY)){
                             targetY = searchY;
                             break;
                         }
                     }
 
                     if (targetY !== -1) {
-                        const gemType = typesToSpawn[i];
+                        // The model settles the final type when it places the gem, so prefer it to the phase's pick
+                        const gemType = finalBackendState?.[x]?.[targetY]?.gemType || typesToSpawn[i];
                         // Calculate start position above the board
                         const startVisualY = this.boardOffset.y - (i + 1) * this.gemSize - this.gemSize / 2;
                         const sprite = this.createSprite(x, targetY, gemType, startVisualY);
@@ -354,57 +433,340 @@ export class BoardView {
         });
     }
 
-    /** Updates the internal gemsSprites array structure after a move. */
-    updateGemsSpritesArrayAfterMove(moveAction) {
-        // console.log("BoardView: Updating gemsSprites array structure."); // Less verbose
-        const tempSprites = [];
-        const { rowOrCol, index, amount } = moveAction;
+    /** Turns the sprites chosen by a phase into special gems, with a short pop. */
+    markSpecialsCreated(specialsCreated) {
+        return new Promise((resolve) => {
+            if (!specialsCreated || specialsCreated.length === 0) { resolve(); return; }
 
-        if (rowOrCol === 'row') {
-            const y = index;
-            if (y < 0 || y >= this.gridRows) return;
-            const width = this.gridCols;
-            const effectiveAmount = ((amount % width) + width) % width;
-            if (effectiveAmount === 0) return;
-
-            for (let x = 0; x < width; x++) tempSprites.push(this.gemsSprites[x]?.[y]);
-            const shifted = [...tempSprites.slice(-effectiveAmount), ...tempSprites.slice(0, width - effectiveAmount)];
-            for (let x = 0; x < width; x++) {
-                if (this.gemsSprites[x]) {
-                    const sprite = shifted[x];
-                    this.gemsSprites[x][y] = sprite;
-                    if (sprite) { // Update logical position stored on sprite
-                        sprite.setData('gridX', x);
-                        sprite.setData('gridY', y);
-                    }
+            const popPromises = specialsCreated.map(({ x, y, gemType, special }) => {
+                const sprite = this.getSpriteAt(x, y);
+                if (!sprite) {
+                    console.warn(`BoardView: No sprite at [${x}, ${y}] to turn into special '${special}'.`);
+                    return Promise.resolve();
+                }
+                sprite.setData('gemType', gemType);
+                this.applySpecialVisual(sprite, special);
+
+                const baseScale = this.calculateSpriteScale(sprite);
+                return new Promise((resolvePop) => {
+                    this.scene.tweens.killTweensOf(sprite);
+                    this.scene.tweens.add({
+                        targets: sprite,
+                        scale: baseScale * 1.3,
+                        duration: TWEEN_DURATION_SPECIAL / 2,
+                        ease: 'Back.easeOut',
+                        yoyo: true,
+                        onComplete: () => {
+                            sprite.setScale(baseScale);
+                            resolvePop();
+                        }
+                    });
+                });
+            });
+
+            Promise.all(popPromises)
+                .then(() => resolve())
+                .catch(error => { console.error("BoardView: Error during special creation:", error); resolve(); });
+        });
+    }
+
+    /**
+     * Flashes each cracked ice or broken lock, then redraws the overlays from the model.
+     * @param {import('./ExplodeAndReplacePhase').ObstacleHit[]} obstaclesHit
+     * @param {Array<Array<{gemType: string | null, obstacle?: string, layers?: number}>>} finalBackendState
+     */
+    animateObstacleHits(obstaclesHit, finalBackendState) {
+        return new Promise((resolve) => {
+            if (!obstaclesHit || obstaclesHit.length === 0) { resolve(); return; }
+
+            const effects = obstaclesHit.map(({ x, y, obstacle }) => {
+                const pos = this.getSpritePosition(x, y);
+                const color = OBSTACLE_VISUALS[obstacle]?.line ?? 0xffffff;
+                const flash = this.scene.add.rectangle(pos.x, pos.y, this.gemSize, this.gemSize, color, 0.8).setDepth(10);
+                return this.tweenEffectAndDestroy(flash, { alpha: 0, scale: 1.3 });
+            });
+            this.updateObstacles(finalBackendState);
+
+            Promise.all(effects)
+                .then(() => resolve())
+                .catch(error => { console.error("BoardView: Error during obstacle hits:", error); resolve(); });
+        });
+    }
+
+    /** Plays the effect for each special gem that went off (line sweep, blast, colour flash). */
+    animateSpecialActivations(activatedSpecials) {
+        return new Promise((resolve) => {
+            if (!activatedSpecials || activatedSpecials.length === 0) { resolve(); return; }
+            console.log(`BoardView: Animating ${activatedSpecials.length} special activations.`);
+
+            const boardWidth = this.gridCols * this.gemSize;
+            const boardHeight = this.gridRows * this.gemSize;
+            const effects = [];
+
+            activatedSpecials.forEach(({ x, y, gemType, special }) => {
+                const pos = this.getSpritePosition(x, y);
+                const color = SPECIAL_VISUALS[special]?.glow ?? 0xffffff;
+                let effect = null;
+                let tweenProps = { alpha: 0 };
+
+                if (special === SPECIAL_TYPES.LINE_ROW) {
+                    effect = this.scene.add.rectangle(this.boardOffset.x + boardWidth / 2, pos.y, boardWidth, this.gemSize * 0.5, color, 0.8);
+                    tweenProps = { alpha: 0, scaleY: 0.1 };
+                } else if (special === SPECIAL_TYPES.LINE_COL) {
+                    effect = this.scene.add.rectangle(pos.x, this.boardOffset.y + boardHeight / 2, this.gemSize * 0.5, boardHeight, color, 0.8);
+                    tweenProps = { alpha: 0, scaleX: 0.1 };
+                } else if (special === SPECIAL_TYPES.BOMB) {
+                    effect = this.scene.add.circle(pos.x, pos.y, this.gemSize * (SPECIAL_BOMB_RADIUS + 0.5), color, 0.7).setScale(0.2);
+                    tweenProps = { alpha: 0, scale: 1.2 };
+                } else if (special === SPECIAL_TYPES.COLOR_BOMB) {
+                    // Flash every gem of the bomb's colour
+                    this.iterateSprites((sprite) => {
+                        if (sprite.getData('gemType') !== gemType) return;
+                        const ring = this.scene.add.circle(sprite.x, sprite.y, this.gemSize * 0.5, color, 0.6).setDepth(10);
+                        effects.push(this.tweenEffectAndDestroy(ring, { alpha: 0, scale: 1.5 }));
+                    });
+                }
+
+                if (effect) {
+                    effect.setDepth(10);
+                    effects.push(this.tweenEffectAndDestroy(effect, tweenProps));
                 }
+            });
+
+            Promise.all(effects)
+                .then(() => resolve())
+                .catch(error => { console.error("BoardView: Error during special activations:", error); resolve(); });
+        });
+    }
+
+    /**
+     * Replaces every sprite with a fresh board matching the model, fading it in.
+     * Used when the model jumps to an unrelated state (undo/redo, regenerated board).
+     */
+    rebuildBoard(puzzleState) {
+        console.log("BoardView: Rebuilding board visuals...");
+        return new Promise((resolve) => {
+            this.createBoard(puzzleState);
+            const fadePromises = [];
+            this.iterateSprites((sprite) => {
+                sprite.setAlpha(0);
+                fadePromises.push(new Promise((resolveFade) => {
+                    this.scene.tweens.add({
+                        targets: sprite, alpha: 1,
+                        duration: TWEEN_DURATION_SHUFFLE, ease: 'Sine.easeIn',
+                        onComplete: () => resolveFade()
+                    });
+                }));
+            });
+            Promise.all(fadePromises)
+                .then(() => resolve())
+                .catch(error => { console.error("BoardView: Error during rebuild:", error); resolve(); });
+        });
+    }
+
+    /**
+     * Animates a reshuffle. Each sprite flies from its old cell to its new one; if the model
+     * was regenerated instead (moves is null), the board is rebuilt with a fade.
+     * @param {Array<{from: [number, number], to: [number, number]}> | null} moves
+     * @param {Array<Array<{gemType: string, special?: string}>>} finalBackendState
+     */
+    animateShuffle(moves, finalBackendState) {
+        console.log("BoardView: Animating shuffle...");
+        return new Promise((resolve) => {
+            if (!moves) {
+                this.rebuildBoard(finalBackendState).then(() => resolve());
+                return;
             }
-        } else { // col
-            const x = index;
-            if (x < 0 || x >= this.gridCols || !this.gemsSprites[x]) return;
-            const height = this.gridRows;
-            const effectiveAmount = ((amount % height) + height) % height;
-            if (effectiveAmount === 0) return;
-
-            const originalCol = this.gemsSprites[x];
-            for (let y = 0; y < height; y++) tempSprites.push(originalCol[y]);
-            const shifted = [...tempSprites.slice(height - effectiveAmount), ...tempSprites.slice(0, height - effectiveAmount)];
-            for (let y = 0; y < height; y++) {
-                 const sprite = shifted[y];
-                 this.gemsSprites[x][y] = sprite;
-                 if (sprite) { // Update logical position stored on sprite
-                     sprite.setData('gridX', x);
-                     sprite.setData('gridY', y);
-                 }
+
+            const newGrid = [];
+            for (let x = 0; x < this.gridCols; x++) {
+                newGrid[x] = new Array(this.gridRows).fill(null);
+                for (let y = 0; y < this.gridRows; y++) {
+                    if (this.isFixedCell(x, y)) newGrid[x][y] = this.getSpriteAt(x, y); // Obstacles aren't shuffled
+                }
             }
+            const shufflePromises = [];
+            moves.forEach(({ from: [fromX, fromY], to: [toX, toY] }) => {
+                const sprite = this.getSpriteAt(fromX, fromY);
+                if (!sprite) {
+                    console.warn(`BoardView: No sprite at [${fromX}, ${fromY}] to shuffle.`);
+                    return;
+                }
+                newGrid[toX][toY] = sprite;
+                sprite.setData('gridX', toX);
+                sprite.setData('gridY', toY);
+
+                const targetPos = this.getSpritePosition(toX, toY);
+                shufflePromises.push(new Promise((resolveMove) => {
+                    this.scene.tweens.killTweensOf(sprite);
+                    this.scene.tweens.add({
+                        targets: sprite,
+                        x: targetPos.x,
+                        y: targetPos.y,
+                        angle: 360,
+                        duration: TWEEN_DURATION_SHUFFLE,
+                        delay: Phaser.Math.Between(0, TWEEN_DURATION_SHUFFLE / 3),
+                        ease: 'Cubic.easeInOut',
+                        onComplete: () => {
+                            sprite.setPosition(targetPos.x, targetPos.y);
+                            sprite.setAngle(0);
+                            resolveMove();
+                        }
+                    });
+                }));
+            });
+            this.gemsSprites = newGrid;
+
+            Promise.all(shufflePromises)
+                .then(() => { console.log("BoardView: Shuffle complete."); resolve(); })
+                .catch(error => { console.error("BoardView: Error during shuffle:", error); resolve(); });
+        });
+    }
+
+    /** Pulses an outline around the row or column a hint suggests moving. */
+    showHint(moveAction) {
+        this.clearHint();
+        if (!moveAction) return;
+
+        const { rowOrCol, index } = moveAction;
+        const boardWidth = this.gridCols * this.gemSize;
+        const boardHeight = this.gridRows * this.gemSize;
+        const isRow = rowOrCol === 'row';
+        const centerPos = this.getSpritePosition(isRow ? 0 : index, isRow ? index : 0);
+        const rectX = isRow ? this.boardOffset.x + boardWidth / 2 : centerPos.x;
+        const rectY = isRow ? centerPos.y : this.boardOffset.y + boardHeight / 2;
+
+        this.hintHighlight = this.scene.add.rectangle(
+            rectX, rectY,
+            isRow ? boardWidth : this.gemSize,
+            isRow ? this.gemSize : boardHeight
+        ).setStrokeStyle(Math.max(2, Math.round(this.gemSize * 0.06)), 0xffff66, 1).setDepth(5);
+
+        this.scene.tweens.add({
+            targets: this.hintHighlight,
+            alpha: 0.2,
+            duration: TWEEN_DURATION_HINT_PULSE,
+            ease: 'Sine.easeInOut',
+            yoyo: true,
+            repeat: -1
+        });
+    }
+
+    /** Removes the hint highlight, if any. */
+    clearHint() {
+        if (this.hintHighlight) {
+            this.scene.tweens.killTweensOf(this.hintHighlight);
+            this.hintHighlight.destroy();
+            this.hintHighlight = null;
+        }
+    }
+
+    /**
+     * Outlines the keyboard cursor's cell, or its whole row or column while that line is grabbed.
+     * @param {number} x
+     * @param {number} y
+     * @param {'row' | 'col' | null} [grabbed]
+     */
+    showCursor(x, y, grabbed = null) {
+        this.cursor = { x, y, grabbed };
+        this.drawCursor();
+    }
+
+    /** Removes the keyboard cursor outline. */
+    hideCursor() {
+        this.cursor = null;
+        this.drawCursor();
+    }
+
+    /** Redraws the cursor outline at the current gem size and offset. */
+    drawCursor() {
+        if (this.cursorHighlight) {
+            this.cursorHighlight.destroy();
+            this.cursorHighlight = null;
         }
+        if (!this.cursor) return;
+        const { x, y, grabbed } = this.cursor;
+        const boardWidth = this.gridCols * this.gemSize;
+        const boardHeight = this.gridRows * this.gemSize;
+        const pos = this.getSpritePosition(x, y);
+        this.cursorHighlight = this.scene.add.rectangle(
+            grabbed === 'row' ? this.boardOffset.x + boardWidth / 2 : pos.x,
+            grabbed === 'col' ? this.boardOffset.y + boardHeight / 2 : pos.y,
+            grabbed === 'row' ? boardWidth : this.gemSize,
+            grabbed === 'col' ? boardHeight : this.gemSize
+        ).setStrokeStyle(Math.max(2, Math.round(this.gemSize * 0.06)), 0x66ccff, 1).setDepth(6); // Above the hint
+    }
+
+    /**
+     * Updates the internal gemsSprites array structure after a move. Mirrors
+     * BackendPuzzle.applyMoveToGrid: obstacle cells stay, the other sprites rotate past them.
+     */
+    updateGemsSpritesArrayAfterMove(moveAction) {
+        // console.log("BoardView: Updating gemsSprites array structure."); // Less verbose
+        const { rowOrCol, index, amount } = moveAction;
+        const isRow = rowOrCol === 'row';
+        if (index < 0 || index >= (isRow ? this.gridRows : this.gridCols)) return;
+        if (!isRow && !this.gemsSprites[index]) return;
+
+        const lineLength = isRow ? this.gridCols : this.gridRows;
+        const slots = [];
+        for (let i = 0; i < lineLength; i++) {
+            if (!this.isFixedCell(isRow ? i : index, isRow ? index : i)) slots.push(i);
+        }
+        const count = slots.length;
+        const effectiveAmount = count > 0 ? ((amount % count) + count) % count : 0;
+        if (effectiveAmount === 0) return;
+
+        const tempSprites = slots.map(i => (isRow ? this.gemsSprites[i]?.[index] : this.gemsSprites[index][i]));
+        slots.forEach((slot, i) => {
+            const x = isRow ? slot : index;
+            const y = isRow ? index : slot;
+            if (!this.gemsSprites[x]) return;
+            const sprite = tempSprites[(i - effectiveAmount + count) % count];
+            this.gemsSprites[x][y] = sprite;
+            if (sprite) { // Update logical position stored on sprite
+                sprite.setData('gridX', x);
+                sprite.setData('gridY', y);
+            }
+        });
+    }
+
+    /**
+     * Reads the obstacle cells from the model grid and redraws their overlays.
+     * @param {Array<Array<{gemType: string | null, obstacle?: string, layers?: number}>>} puzzleState
+     */
+    updateObstacles(puzzleState) {
+        this.obstacles = [];
+        this.fixedCells = new Set();
+        (puzzleState || []).forEach((column, x) => (column || []).forEach((cell, y) => {
+            if (!cell?.obstacle) return;
+            this.obstacles.push({ x, y, obstacle: cell.obstacle, layers: cell.layers });
+            this.fixedCells.add(`${x},${y}`);
+        }));
+        this.drawObstacles();
+    }
+
+    /** @returns {boolean} True if the cell holds an obstacle (its sprite, if any, never moves). */
+    isFixedCell(x, y) {
+        return this.fixedCells.has(`${x},${y}`);
     }
 
     /** Destroys all sprites and clears the board representation. */
     destroyBoard() {
         console.log("BoardView: Destroying board visuals...");
+        this.clearHint();
+        if (this.cursorHighlight) { // The cursor itself is kept for the next createBoard
+            this.cursorHighlight.destroy();
+            this.cursorHighlight = null;
+        }
         this.gemGroup.clear(true, true); // Destroy children and remove them from group
         this.gemsSprites = [];
+        this.obstacles = [];
+        this.fixedCells = new Set();
+        if (this.obstacleGraphics) {
+            this.obstacleGraphics.destroy();
+            this.obstacleGraphics = null;
+        }
     }
 
     // --- Internal Helper Methods ---
@@ -419,7 +781,7 @@ export class BoardView {
     }
 
     /** Creates a single sprite, adds to group, stores data, places in gemsSprites array. */
-    createSprite(gridX, gridY, gemType, startVisualY = undefined) {
+    createSprite(gridX, gridY, gemType, startVisualY = undefined, special = null) {
         const textureKey = AssetKeys.GEM_TEXTURE(gemType, 0); // Default frame
         if (!this.scene.textures.exists(textureKey)) {
             console.error(`Texture missing: ${textureKey}`); return null;
@@ -439,6 +801,9 @@ export class BoardView {
         sprite.setData('gemType', gemType);
         sprite.setScale(this.calculateSpriteScale(sprite));
         sprite.setInteractive(); // Enable input detection ON the sprite (used by Scene)
+        if (special) {
+            this.applySpecialVisual(sprite, special);
+        }
 
         if (startVisualY !== undefined) {
             sprite.setAlpha(0); // Start invisible if spawning from above
@@ -461,6 +826,82 @@ export class BoardView {
         return sprite;
     }
 
+    /** Marks a sprite as a special gem and gives it that type's distinct look. */
+    applySpecialVisual(sprite, special) {
+        const visual = SPECIAL_VISUALS[special];
+        if (!visual) {
+            console.warn(`BoardView: No visual defined for special gem '${special}'.`);
+            return;
+        }
+        sprite.setData('special', special);
+        if (sprite.preFX) { // WebGL only
+            sprite.preFX.clear();
+            sprite.preFX.padding = Math.ceil(this.gemSize * 0.1);
+            sprite.preFX.addGlow(visual.glow, 4, 0, false, 0.1, 12);
+            if (visual.shine) sprite.preFX.addShine(0.6, 0.3, 4);
+        } else {
+            sprite.setTint(visual.tint);
+        }
+    }
+
+    /** Redraws the rock, ice and lock overlays at the current gem size and offset. */
+    drawObstacles() {
+        if (this.obstacles.length === 0) {
+            this.obstacleGraphics?.clear();
+            return;
+        }
+        if (!this.obstacleGraphics) {
+            this.obstacleGraphics = this.scene.add.graphics().setDepth(2); // Above gems, below hints
+        }
+        const g = this.obstacleGraphics;
+        g.clear();
+        const size = this.gemSize * 0.94;
+        const lineWidth = Math.max(2, Math.round(this.gemSize * 0.06));
+
+        this.obstacles.forEach(({ x, y, obstacle, layers }) => {
+            const { x: cx, y: cy } = this.getSpritePosition(x, y);
+            const left = cx - size / 2;
+            const top = cy - size / 2;
+            const visual = OBSTACLE_VISUALS[obstacle];
+            if (!visual) return;
+
+            if (obstacle === OBSTACLE_TYPES.ROCK) {
+                g.fillStyle(visual.fill, 1);
+                g.fillRoundedRect(left, top, size, size, size * 0.2);
+                g.lineStyle(lineWidth, visual.line, 1);
+                g.strokeRoundedRect(left, top, size, size, size * 0.2);
+                g.lineBetween(cx - size * 0.25, cy - size * 0.1, cx + size * 0.05, cy + size * 0.2);
+            } else if (obstacle === OBSTACLE_TYPES.ICE) {
+                // Thicker ice is more opaque
+                g.fillStyle(visual.fill, 0.25 + 0.5 * ((layers || 1) / ICE_MAX_LAYERS));
+                g.fillRect(left, top, size, size);
+                g.lineStyle(lineWidth, visual.line, 0.9);
+                g.strokeRect(left, top, size, size);
+            } else {
+                g.lineStyle(lineWidth, visual.line, 1);
+                g.strokeRect(left, top, size, size);
+                g.lineBetween(left, top, left + size, top + size);
+                g.lineBetween(left + size, top, left, top + size);
+            }
+        });
+    }
+
+    /** Tweens a temporary effect object and destroys it when done. */
+    tweenEffectAndDestroy(effect, tweenProps) {
+        return new Promise((resolveEffect) => {
+            this.scene.tweens.add({
+                targets: effect,
+                ...tweenProps,
+                duration: TWEEN_DURATION_SPECIAL,
+                ease: 'Quad.easeOut',
+                onComplete: () => {
+                    effect.destroy();
+                    resolveEffect();
+                }
+            });
+        });
+    }
+
     /** Gets the sprite at [x, y] if active, otherwise null. */
     getSpriteAt(x, y) {
         const sprite = this.gemsSprites[x]?.[y];
@@ -499,29 +940,103 @@ export class BoardView {
         }
     }
 
-    /** Utility to sync sprite visual positions to their stored logical grid coords. */
-    syncSpritesToGridPositions() {
-         console.warn("BoardView: Attempting to sync sprites to logical grid positions.");
-         this.iterateSprites((sprite, x, y) => {
-              const logicalX = sprite.getData('gridX');
-              const logicalY = sprite.getData('gridY');
-              // Basic check: does the sprite's stored logical position match its array position?
-              if (logicalX !== x || logicalY !== y) {
-                   console.warn(`Sync Mismatch: Sprite at array pos [${x},${y}] has logical pos [${logicalX},${logicalY}]`);
-                   // Optionally force visual snap based on stored logical position
-                   // const targetPos = this.getSpritePosition(logicalX, logicalY);
-                   // sprite.setPosition(targetPos.x, targetPos.y);
-              } else {
-                   // Ensure visual position matches array position
-                   const targetPos = this.getSpritePosition(x, y);
-                   if(Math.round(sprite.x) !== targetPos.x || Math.round(sprite.y) !== targetPos.y) {
-                       console.warn(`Sync Visual Correction: Snapping sprite at [${x},${y}] to correct visual position.`);
-                       this.scene.tweens.killTweensOf(sprite);
-                       sprite.setPosition(targetPos.x, targetPos.y);
-                   }
-              }
-              sprite.setScale(this.calculateSpriteScale(sprite));
-              sprite.setAlpha(1); // Ensure visible
-         });
-    }
-}
\ No newline at end of file
+    /**
+     * Makes the sprites match the model: creates missing gems, retextures wrong types or specials,
+     * destroys sprites on empty or rock cells and ones the grid no longer tracks, snaps idle sprites
+     * back onto their cell and redraws obstacle overlays that changed. Sprites still tweening keep
+     * their motion, so this is safe to call during a layout tween.
+     * @param {Array<Array<import('./BackendPuzzle').PuzzleCell | null>>} puzzleState
+     * @returns {ViewRepairs} What had to be fixed; all zero when view and model already agreed.
+     */
+    reconcile(puzzleState) {
+        const repairs = { created: 0, retextured: 0, destroyed: 0, moved: 0, obstacles: 0 };
+        if (!Array.isArray(puzzleState) || puzzleState.length !== this.gridCols) {
+            console.error(`BoardView: Cannot reconcile with a grid that isn't ${this.gridCols} columns wide.`);
+            return repairs;
+        }
+        const tracked = new Set();
+        for (let x = 0; x < this.gridCols; x++) {
+            if (!this.gemsSprites[x]) this.gemsSprites[x] = new Array(this.gridRows).fill(null);
+            for (let y = 0; y < this.gridRows; y++) {
+                const cell = puzzleState[x]?.[y];
+                let sprite = this.getSpriteAt(x, y);
+                if (sprite && tracked.has(sprite)) sprite = null; // Also referenced by an earlier cell
+                if (!cell?.gemType) {
+                    if (sprite) {
+                        this.safelyDestroySprite(sprite);
+                        repairs.destroyed++;
+                    }
+                    this.gemsSprites[x][y] = null;
+                    continue;
+                }
+                if (!sprite) {
+                    sprite = this.createSprite(x, y, cell.gemType, undefined, cell.special);
+                    if (sprite) {
+                        tracked.add(sprite);
+                        repairs.created++;
+                    }
+                    continue;
+                }
+                tracked.add(sprite);
+                if (sprite.getData('gemType') !== cell.gemType || (sprite.getData('special') || null) !== (cell.special || null)) {
+                    this.setSpriteGem(sprite, cell.gemType, cell.special);
+                    repairs.retextured++;
+                }
+                const target = this.getSpritePosition(x, y);
+                const wrongCell = sprite.getData('gridX') !== x || sprite.getData('gridY') !== y;
+                const offCell = !this.scene.tweens.isTweening(sprite)
+                    && (Math.round(sprite.x) !== target.x || Math.round(sprite.y) !== target.y || sprite.alpha !== 1);
+                if (wrongCell || offCell) {
+                    this.scene.tweens.killTweensOf(sprite);
+                    sprite.setData('gridX', x);
+                    sprite.setData('gridY', y);
+                    sprite.setPosition(target.x, target.y).setAlpha(1).setAngle(0);
+                    sprite.setScale(this.calculateSpriteScale(sprite));
+                    repairs.moved++;
+                }
+            }
+        }
+        // Left behind by an interrupted animation; exploding gems are still tweening and go by themselves
+        [...this.gemGroup.getChildren()].forEach(sprite => {
+            if (tracked.has(sprite) || this.scene.tweens.isTweening(sprite)) return;
+            this.safelyDestroySprite(sprite);
+            repairs.destroyed++;
+        });
+
+        const obstacleKey = ({ x, y, obstacle, layers }) => `${x},${y},${obstacle},${layers || 0}`;
+        const modelObstacles = [];
+        puzzleState.forEach((column, x) => (column || []).forEach((cell, y) => {
+            if (cell?.obstacle) modelObstacles.push(obstacleKey({ x, y, obstacle: cell.obstacle, layers: cell.layers }));
+        }));
+        if (modelObstacles.join(';') !== this.obstacles.map(obstacleKey).join(';')) {
+            this.updateObstacles(puzzleState);
+            repairs.obstacles++;
+        }
+        return repairs;
+    }
+
+    /** Changes a sprite's gem type and special look in place. */
+    setSpriteGem(sprite, gemType, special = null) {
+        const textureKey = AssetKeys.GEM_TEXTURE(gemType, 0);
+        if (this.scene.textures.exists(textureKey)) {
+            sprite.setTexture(textureKey);
+        } else {
+            console.error(`Texture missing: ${textureKey}`);
+        }
+        sprite.setData('gemType', gemType);
+        sprite.setData('special', null);
+        sprite.preFX?.clear();
+        sprite.clearTint();
+        if (special) this.applySpecialVisual(sprite, special);
+        sprite.setScale(this.calculateSpriteScale(sprite));
+    }
+}
+
+/**
+ * @typedef {object} ViewRepairs
+ * @property {number} created - Sprites added for gems the view was missing.
+ * @property {number} retextured - Sprites showing the wrong gem type or special.
+ * @property {number} destroyed - Sprites on cells without a gem, or not on the grid at all.
+ * @property {number} moved - Sprites with the wrong cell recorded, or resting off their cell or faded.
+ * @property {number} obstacles - Times the obstacle overlays were out of date and redrawn.
+ */
@@ -1,5 +1,103 @@
 import Phaser from 'phaser';
+import { validateEventPayload } from './GameEvents';
+
+export const EVENT_INSPECTOR_MAX_ENTRIES = 200; // Entries an inspector keeps, oldest dropped first
+
+/**
+ * Handlers added through a scope, removed together by clear() without touching anyone else's
+ * handlers for the same events.
+ */
+export class EventScope {
+    /** @type {GameEventBus} */
+    bus;
+    /** @type {Array<{eventName: string, handler: Function, context: *}>} */
+    subscriptions = [];
+
+    /** @param {GameEventBus} bus */
+    constructor(bus) {
+        this.bus = bus;
+    }
+
+    /**
+     * @param {string} eventName - One of GAME_EVENTS.
+     * @param {Function} handler
+     * @param {*} [context]
+     * @returns {this}
+     */
+    on(eventName, handler, context) {
+        this.bus.on(eventName, handler, context);
+        this.subscriptions.push({ eventName, handler, context });
+        return this;
+    }
+
+    /** Removes every handler added through this scope. */
+    clear() {
+        this.subscriptions.forEach(({ eventName, handler, context }) => this.bus.off(eventName, handler, context));
+        this.subscriptions = [];
+    }
+}
+
+/**
+ * Phaser's EventEmitter with the GAME_EVENTS contract on top: in development every emit is checked
+ * against EVENT_SCHEMAS and malformed payloads are warned about, and inspectors can watch the
+ * traffic.
+ */
+export class GameEventBus extends Phaser.Events.EventEmitter {
+    /** @type {boolean} Check payloads on emit. On in development builds. */
+    validatePayloads = Boolean(import.meta.env?.DEV);
+    /** @type {Set<function(EventLogEntry): void>} */
+    inspectors = new Set();
+
+    emit(eventName, ...args) {
+        const checked = this.validatePayloads || this.inspectors.size > 0;
+        const problems = checked ? validateEventPayload(eventName, args[0]) : [];
+        if (this.validatePayloads && problems.length > 0) {
+            console.warn(`EventBus: Malformed '${eventName}' event: ${problems.join('; ')}.`, args[0]);
+        }
+        if (this.inspectors.size > 0) {
+            const entry = { eventName, payload: args[0], problems, listeners: this.listenerCount(eventName), at: Date.now() };
+            this.inspectors.forEach(inspector => inspector(entry));
+        }
+        return super.emit(eventName, ...args);
+    }
+
+    /**
+     * Subscribes a single handler.
+     * @param {string} eventName - One of GAME_EVENTS.
+     * @param {Function} handler
+     * @param {*} [context]
+     * @returns {function(): void} Removes exactly this handler; handy as a React effect cleanup.
+     */
+    subscribe(eventName, handler, context) {
+        this.on(eventName, handler, context);
+        return () => this.off(eventName, handler, context);
+    }
+
+    /** @returns {EventScope} A fresh scope to add handlers to and clear() them all at once. */
+    scope() {
+        return new EventScope(this);
+    }
+
+    /**
+     * Calls the inspector for every emitted event, before its listeners run.
+     * @param {function(EventLogEntry): void} inspector
+     * @returns {function(): void} Detaches the inspector.
+     */
+    inspect(inspector) {
+        this.inspectors.add(inspector);
+        return () => this.inspectors.delete(inspector);
+    }
+}
 
 // Used to emit events between React components and Phaser scenes
 // https://newdocs.phaser.io/docs/3.70.0/Phaser.Events.EventEmitter
-export const EventBus = new Phaser.Events.EventEmitter();
\ No newline at end of file
+export const EventBus = new GameEventBus();
+
+/**
+ * @typedef {object} EventLogEntry
+ * @property {string} eventName
+ * @property {*} payload
+ * @property {string[]} problems - From validateEventPayload; empty if well-formed.
+ * @property {number} listeners - Listeners the event reached.
+ * @property {number} at - Date.now() when emitted.
+ */
@@ -8,15 +8,73 @@ export class ExplodeAndReplacePhase {
     matches; // Array of matches, each match is an array of [x, y] coordinates
     /** @type {Array<[number, string[]]>} */
     replacements; // Array of [columnIndex, [gemType1, gemType2, ...]] for gems to spawn
+    /** @type {PhaseScore} */
+    score; // Points awarded for this phase
+    /** @type {Array<[number, number]> | null} */
+    clearedCoords; // Every cell that explodes (matches + special activations - new specials); null = matches only
+    /** @type {SpecialGem[]} */
+    specialsCreated; // Special gems left behind by 4/5/L/T matches
+    /** @type {SpecialGem[]} */
+    activatedSpecials; // Special gems that went off during this phase
+    /** @type {Object<string, number>} */
+    gemsClearedByType; // Cleared gem count per gem type, e.g. { green: 4 }
+    /** @type {ClearedGem[]} */
+    clearedGems; // Every cleared gem with its cell, before the board refills
+    /** @type {ObstacleHit[]} */
+    obstaclesHit; // Ice cracked and locks broken during this phase
 
     /**
      * Creates an ExplodeAndReplacePhase result.
      * @param {Array<Array<[number, number]>>} matches - The coordinates of matched gems.
      * @param {Array<[number, string[]]>} replacements - The new gems needed per column.
+     * @param {PhaseScore} [score] - Score breakdown for the matches.
+     * @param {object} [specials] - Special gem results for this phase.
+     * @param {Array<[number, number]>} [specials.clearedCoords]
+     * @param {SpecialGem[]} [specials.specialsCreated]
+     * @param {SpecialGem[]} [specials.activatedSpecials]
+     * @param {Object<string, number>} [specials.gemsClearedByType]
+     * @param {ClearedGem[]} [specials.clearedGems]
+     * @param {ObstacleHit[]} [specials.obstaclesHit]
      */
-    constructor(matches, replacements) {
+    constructor(matches, replacements, score, specials = {}) {
         this.matches = matches || [];
         this.replacements = replacements || [];
+        this.score = score || ExplodeAndReplacePhase.emptyScore();
+        this.clearedCoords = specials.clearedCoords || null;
+        this.specialsCreated = specials.specialsCreated || [];
+        this.activatedSpecials = specials.activatedSpecials || [];
+        this.gemsClearedByType = specials.gemsClearedByType || {};
+        this.clearedGems = specials.clearedGems || [];
+        this.obstaclesHit = specials.obstaclesHit || [];
+    }
+
+    /**
+     * Gets the unique coordinates of every gem that explodes in this phase.
+     * @returns {Array<[number, number]>}
+     */
+    getClearedCoords() {
+        if (this.clearedCoords) return this.clearedCoords;
+        const seen = new Set();
+        const coords = [];
+        this.matches.forEach(match => match.forEach(([x, y]) => {
+            const key = `${x},${y}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                coords.push([x, y]);
+            }
+        }));
+        return coords;
+    }
+
+    /**
+     * @param {number} [cascadeDepth]
+     * @returns {PhaseScore} A zero score breakdown.
+     */
+    static emptyScore(cascadeDepth = 0) {
+        return {
+            gems: 0, base: 0, lengthBonus: 0, intersectionBonus: 0, specialBonus: 0,
+            cascadeDepth, multiplier: 1, total: 0
+        };
     }
 
     /**
@@ -27,3 +85,38 @@ export class ExplodeAndReplacePhase {
         return this.matches.length === 0;
     }
 }
+
+/**
+ * @typedef {object} PhaseScore
+ * @property {number} gems - Unique gems exploded.
+ * @property {number} base - Points for the exploded gems.
+ * @property {number} lengthBonus - Bonus for 4- and 5+-long matches.
+ * @property {number} intersectionBonus - Bonus for gems shared by a row and a column match.
+ * @property {number} specialBonus - Points for extra gems cleared by special gem activations.
+ * @property {number} cascadeDepth - 0 for the player's move, 1+ for each cascade after it.
+ * @property {number} multiplier - Cascade multiplier applied to the sum of the above.
+ * @property {number} total - Points added to the running score.
+ */
+
+/**
+ * @typedef {object} SpecialGem
+ * @property {number} x
+ * @property {number} y
+ * @property {string} gemType
+ * @property {string} special - One of SPECIAL_TYPES.
+ */
+
+/**
+ * @typedef {object} ClearedGem
+ * @property {number} x
+ * @property {number} y
+ * @property {string} gemType
+ */
+
+/**
+ * @typedef {object} ObstacleHit
+ * @property {number} x
+ * @property {number} y
+ * @property {string} obstacle - OBSTACLE_TYPES.ICE or OBSTACLE_TYPES.LOCKED.
+ * @property {number} layers - Ice layers left; 0 means the gem is now free.
+ */
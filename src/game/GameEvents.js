@@ -0,0 +1,158 @@
+// src/game/GameEvents.js
+
+/** Every event sent over the EventBus. Use these instead of the raw strings. See "React Bridge" in README.md. */
+export const GAME_EVENTS = {
+    // Sent by scenes when they are ready to be driven by React
+    CURRENT_SCENE_READY: 'current-scene-ready',
+
+    // React / map -> Game scene
+    CESIUM_LOCATION_SELECTED: 'cesium-location-selected',
+    HINT_REQUESTED: 'hint-requested',
+    UNDO_REQUESTED: 'undo-requested',
+    REDO_REQUESTED: 'redo-requested',
+    SET_RULE_MODE: 'set-rule-mode',
+    SET_GAME_MODE: 'set-game-mode',
+    SET_BOARD_CONFIG: 'set-board-config',
+    LEVEL_REQUESTED: 'level-requested',
+    REPLAY_EXPORT_REQUESTED: 'replay-export-requested',
+    REPLAY_PLAY_REQUESTED: 'replay-play-requested',
+    INVENTORY_SPEND_REQUESTED: 'inventory-spend-requested',
+
+    // Game scene -> React
+    BOARD_CONFIG_CHANGED: 'board-config-changed',
+    BOARD_SHUFFLED: 'board-shuffled',
+    BOARD_VIEW_REPAIRED: 'board-view-repaired',
+    GAME_MODE_CHANGED: 'game-mode-changed',
+    RULE_MODE_CHANGED: 'rule-mode-changed',
+    HISTORY_CHANGED: 'history-changed',
+    HINT_SHOWN: 'hint-shown',
+    MOVE_REJECTED: 'move-rejected',
+    SCORE_CHANGED: 'score-changed',
+    LIMITS_CHANGED: 'limits-changed',
+    GAME_ENDED: 'game-ended',
+    LEVELS_AVAILABLE: 'levels-available',
+    LEVEL_PROGRESS: 'level-progress',
+    LOCATION_CHANGED: 'location-changed',
+    HABITAT_CODES_UNMAPPED: 'habitat-codes-unmapped',
+    SPAWN_DISTRIBUTION_CHANGED: 'spawn-distribution-changed',
+    SESSION_RESTORED: 'session-restored',
+    REPLAY_EXPORTED: 'replay-exported',
+    SPECIES_PROGRESS: 'species-progress',
+    SPECIES_DISCOVERED: 'species-discovered',
+    SPECIES_COLLECTION_CHANGED: 'species-collection-changed',
+    INVENTORY_CHANGED: 'inventory-changed',
+    INVENTORY_SPEND_FAILED: 'inventory-spend-failed',
+    CONSERVATION_UNLOCKED: 'conservation-unlocked',
+
+    // Replay scene -> React
+    REPLAY_DIVERGENCE: 'replay-divergence'
+};
+
+/**
+ * Payload schema per event. null means the event carries no payload; a type string describes a
+ * bare value; an object describes the payload's fields. Types are string, number, boolean, array,
+ * object or any, joined with '|' for alternatives; a trailing '?' also allows null or a missing value.
+ * Fields not listed are allowed, so a schema only pins down what listeners rely on.
+ * @type {Object<string, EventSchema>}
+ */
+export const EVENT_SCHEMAS = {
+    [GAME_EVENTS.CURRENT_SCENE_READY]: 'object',
+
+    [GAME_EVENTS.CESIUM_LOCATION_SELECTED]: {
+        habitats: 'array|object', habitatGrid: 'array?', species: 'array?',
+        lon: 'number?', lat: 'number?', dataset: 'string?', seed: 'number?'
+    },
+    [GAME_EVENTS.HINT_REQUESTED]: null,
+    [GAME_EVENTS.UNDO_REQUESTED]: null,
+    [GAME_EVENTS.REDO_REQUESTED]: null,
+    [GAME_EVENTS.SET_RULE_MODE]: 'string',
+    [GAME_EVENTS.SET_GAME_MODE]: 'string',
+    [GAME_EVENTS.SET_BOARD_CONFIG]: 'string|object',
+    [GAME_EVENTS.LEVEL_REQUESTED]: 'string|object',
+    [GAME_EVENTS.REPLAY_EXPORT_REQUESTED]: null,
+    [GAME_EVENTS.REPLAY_PLAY_REQUESTED]: 'string|object?', // Replay file contents; none replays the current game
+    [GAME_EVENTS.INVENTORY_SPEND_REQUESTED]: { playerId: 'string?', itemId: 'string' },
+
+    [GAME_EVENTS.BOARD_CONFIG_CHANGED]: { cols: 'number', rows: 'number', gemTypes: 'array', habitatBlend: 'number?' },
+    [GAME_EVENTS.BOARD_SHUFFLED]: { reason: 'string', regenerated: 'boolean' },
+    [GAME_EVENTS.BOARD_VIEW_REPAIRED]: { reason: 'string', repairs: 'object', totals: 'object' },
+    [GAME_EVENTS.GAME_MODE_CHANGED]: 'string',
+    [GAME_EVENTS.RULE_MODE_CHANGED]: 'string',
+    [GAME_EVENTS.HISTORY_CHANGED]: { canUndo: 'boolean', canRedo: 'boolean' },
+    [GAME_EVENTS.HINT_SHOWN]: 'object?', // null when the hint is hidden
+    [GAME_EVENTS.MOVE_REJECTED]: { move: 'object', ruleMode: 'string' },
+    [GAME_EVENTS.SCORE_CHANGED]: { score: 'number', delta: 'number', breakdown: 'object?' },
+    [GAME_EVENTS.LIMITS_CHANGED]: { mode: 'string', movesUsed: 'number', movesLeft: 'number?', secondsLeft: 'number?' },
+    [GAME_EVENTS.GAME_ENDED]: {
+        mode: 'string', reason: 'string', outcome: 'string?', score: 'number', movesUsed: 'number',
+        gemsClearedByType: 'object', location: 'object?', level: 'object?', stars: 'number?', objectives: 'array?'
+    },
+    [GAME_EVENTS.LEVELS_AVAILABLE]: 'array',
+    [GAME_EVENTS.LEVEL_PROGRESS]: {
+        id: 'string', name: 'string', movesUsed: 'number', movesLeft: 'number?', secondsLeft: 'number?', objectives: 'array'
+    },
+    [GAME_EVENTS.LOCATION_CHANGED]: { location: 'object?', dataset: 'string?', habitats: 'array' },
+    [GAME_EVENTS.HABITAT_CODES_UNMAPPED]: { dataset: 'string', codes: 'array', location: 'object?', report: 'object' },
+    [GAME_EVENTS.SPAWN_DISTRIBUTION_CHANGED]: { distribution: 'object', habitatBlend: 'number' },
+    [GAME_EVENTS.SESSION_RESTORED]: { location: 'object?', habitats: 'array|object?', species: 'array?' },
+    [GAME_EVENTS.REPLAY_EXPORTED]: 'string',
+    [GAME_EVENTS.SPECIES_PROGRESS]: 'array',
+    [GAME_EVENTS.SPECIES_DISCOVERED]: {
+        name: 'string', gemTypes: 'array', method: 'string', location: 'object?', discoveredAt: 'string', collected: 'number'
+    },
+    [GAME_EVENTS.SPECIES_COLLECTION_CHANGED]: 'array',
+    [GAME_EVENTS.INVENTORY_CHANGED]: { playerId: 'string', inventory: 'object' },
+    [GAME_EVENTS.INVENTORY_SPEND_FAILED]: { playerId: 'string', itemId: 'string?', reason: 'string' },
+    [GAME_EVENTS.CONSERVATION_UNLOCKED]: { playerId: 'string', itemId: 'string', name: 'string' },
+
+    [GAME_EVENTS.REPLAY_DIVERGENCE]: { eventIndex: 'number', reason: 'string' }
+};
+
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+const typeOf = (value) => {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+};
+
+/**
+ * @param {*} value
+ * @param {string} type - Schema type string, e.g. 'number?' or 'array|object'.
+ * @returns {boolean}
+ */
+const matchesType = (value, type) => {
+    const optional = type.endsWith('?');
+    if (value === undefined || value === null) return optional;
+    const actual = typeOf(value);
+    return type.replace(/\?$/, '').split('|').some(expected => expected === 'any' || expected === actual);
+};
+
+/**
+ * Checks an event's name and payload against the registry.
+ * @param {string} eventName
+ * @param {*} payload - First argument passed to emit.
+ * @returns {string[]} Problems found; empty if the event is well-formed.
+ */
+export function validateEventPayload(eventName, payload) {
+    if (!KNOWN_EVENTS.has(eventName)) return [`unknown event '${eventName}'`];
+    const schema = EVENT_SCHEMAS[eventName];
+    if (schema === null) {
+        return payload === undefined ? [] : [`expected no payload, got ${typeOf(payload)}`];
+    }
+    if (typeof schema === 'string') {
+        return matchesType(payload, schema) ? [] : [`payload must be ${schema}, got ${typeOf(payload)}`];
+    }
+    if (typeOf(payload) !== 'object') return [`payload must be an object, got ${typeOf(payload)}`];
+    const problems = [];
+    Object.entries(schema).forEach(([field, type]) => {
+        if (!matchesType(payload[field], type)) {
+            problems.push(payload[field] === undefined ? `missing ${field}` : `${field} must be ${type}, got ${typeOf(payload[field])}`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * @typedef {null | string | Object<string, string>} EventSchema
+ */
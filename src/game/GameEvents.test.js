@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { GAME_EVENTS, EVENT_SCHEMAS, validateEventPayload } from './GameEvents';
+
+describe('validateEventPayload', () => {
+    it('has a schema for every event', () => {
+        expect(Object.values(GAME_EVENTS).filter(eventName => !(eventName in EVENT_SCHEMAS))).toEqual([]);
+    });
+
+    it('accepts well-formed payloads, optional fields and extra fields', () => {
+        expect(validateEventPayload(GAME_EVENTS.CESIUM_LOCATION_SELECTED, { habitats: { 104: 1 }, lon: 8.5, lat: null, extra: true })).toEqual([]);
+        expect(validateEventPayload(GAME_EVENTS.HINT_REQUESTED)).toEqual([]);
+        expect(validateEventPayload(GAME_EVENTS.HINT_SHOWN, null)).toEqual([]);
+        expect(validateEventPayload(GAME_EVENTS.SET_BOARD_CONFIG, 'mobile')).toEqual([]);
+    });
+
+    it('names each problem', () => {
+        expect(validateEventPayload('made-up')).toEqual(["unknown event 'made-up'"]);
+        expect(validateEventPayload(GAME_EVENTS.UNDO_REQUESTED, 1)).toEqual(['expected no payload, got number']);
+        expect(validateEventPayload(GAME_EVENTS.SET_RULE_MODE, ['strict'])).toEqual(['payload must be string, got array']);
+        expect(validateEventPayload(GAME_EVENTS.HISTORY_CHANGED, 'yes')).toEqual(['payload must be an object, got string']);
+        expect(validateEventPayload(GAME_EVENTS.CESIUM_LOCATION_SELECTED, { lon: '8.5' })).toEqual([
+            'missing habitats',
+            'lon must be number?, got string'
+        ]);
+    });
+});
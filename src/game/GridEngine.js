@@ -0,0 +1,285 @@
+// src/game/GridEngine.js
+import { OBSTACLE_TYPES } from './constants';
+
+export const NO_GEM = 0; // Code for cells that can't match: empty, rock or ice
+
+/**
+ * Flat typed-array copy of a board for testing moves quickly: one byte per cell holds the gem type
+ * code (index into typeNames + 1, or NO_GEM), another whether the cell is fixed. Cells are stored
+ * column-major like the board, at x * height + y. Testing a move reuses the same scratch buffers, so
+ * checking every candidate move for a match allocates nothing; only getMatches builds coordinate
+ * arrays. The board itself (specials, obstacle layers) stays in BackendPuzzle's nested grid, where
+ * phases resolve; load() refreshes the copy from it.
+ */
+export class GridEngine {
+    /** @type {number} */
+    width;
+    /** @type {number} */
+    height;
+    /** @type {Uint8Array} Gem type code per cell. */
+    gems;
+    /** @type {Uint8Array} 1 for obstacle cells, which stay put when their line is shifted. */
+    fixed;
+    /** @type {Uint8Array} Board with the move under test applied. */
+    scratch;
+    /** @type {Uint8Array} Cells in a run of three or more, from the last countMatchedCells. */
+    runMask;
+    /** @type {Uint8Array} Movable positions along the line being shifted. */
+    slots;
+    /** @type {Uint8Array} Gems of the line being shifted. */
+    line;
+    /** @type {string[]} Gem type per code - 1. */
+    typeNames = [];
+    /** @type {Map<string, number>} */
+    typeCodes = new Map();
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        const size = width * height;
+        this.gems = new Uint8Array(size);
+        this.fixed = new Uint8Array(size);
+        this.scratch = new Uint8Array(size);
+        this.runMask = new Uint8Array(size);
+        this.slots = new Uint8Array(Math.max(width, height));
+        this.line = new Uint8Array(Math.max(width, height));
+    }
+
+    /**
+     * @param {string} gemType
+     * @returns {number} The type's code, assigned on first sight.
+     */
+    codeFor(gemType) {
+        let code = this.typeCodes.get(gemType);
+        if (code === undefined) {
+            this.typeNames.push(gemType);
+            code = this.typeNames.length;
+            this.typeCodes.set(gemType, code);
+        }
+        return code;
+    }
+
+    /**
+     * Copies a board in. Matchable cells follow BackendPuzzle.isMatchableCell and fixed cells
+     * BackendPuzzle.isFixedCell.
+     * @param {Array<Array<import('./BackendPuzzle').PuzzleCell | null>>} grid - Column-major, width x height.
+     * @returns {this}
+     */
+    load(grid) {
+        for (let x = 0; x < this.width; x++) {
+            const column = grid[x];
+            for (let y = 0; y < this.height; y++) {
+                const cell = column?.[y];
+                const i = x * this.height + y;
+                const matchable = !!cell?.gemType && cell.obstacle !== OBSTACLE_TYPES.ROCK && cell.obstacle !== OBSTACLE_TYPES.ICE;
+                this.gems[i] = matchable ? this.codeFor(cell.gemType) : NO_GEM;
+                this.fixed[i] = cell?.obstacle ? 1 : 0;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * @param {'row' | 'col'} rowOrCol
+     * @param {number} index
+     * @returns {number} Movable cells in the line; they fill this.slots.
+     */
+    collectSlots(rowOrCol, index) {
+        const isRow = rowOrCol === 'row';
+        const lineLength = isRow ? this.width : this.height;
+        let count = 0;
+        for (let i = 0; i < lineLength; i++) {
+            const cell = isRow ? i * this.height + index : index * this.height + i;
+            if (!this.fixed[cell]) this.slots[count++] = i;
+        }
+        return count;
+    }
+
+    /**
+     * Shifts a line of cells in place like BackendPuzzle.applyMoveToGrid: movable gems rotate
+     * through the line's movable slots, obstacles stay put.
+     * @param {Uint8Array} cells - this.gems or this.scratch.
+     * @param {'row' | 'col'} rowOrCol
+     * @param {number} index
+     * @param {number} amount - Positive moves right/down.
+     */
+    shiftLine(cells, rowOrCol, index, amount) {
+        const isRow = rowOrCol === 'row';
+        if (index < 0 || index >= (isRow ? this.height : this.width)) return;
+        const count = this.collectSlots(rowOrCol, index);
+        const shift = count > 0 ? ((amount % count) + count) % count : 0;
+        if (shift === 0) return;
+        // Row cells are height apart, column cells adjacent
+        const first = isRow ? index : index * this.height;
+        const step = isRow ? this.height : 1;
+        for (let i = 0; i < count; i++) this.line[i] = cells[first + this.slots[i] * step];
+        for (let i = 0; i < count; i++) cells[first + this.slots[i] * step] = this.line[(i - shift + count) % count];
+    }
+
+    /**
+     * Marks every cell in a run of three or more in this.runMask.
+     * @param {Uint8Array} cells
+     * @returns {number} Distinct cells marked; cells in two runs count once.
+     */
+    countMatchedCells(cells) {
+        const { width, height } = this;
+        this.runMask.fill(0);
+        let matched = 0;
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height - 2;) {
+                const code = cells[x * height + y];
+                let length = 1;
+                if (code !== NO_GEM) {
+                    while (y + length < height && cells[x * height + y + length] === code) length++;
+                    if (length >= 3) matched += this.markRun(x * height + y, length, 1);
+                }
+                y += length;
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width - 2;) {
+                const code = cells[x * height + y];
+                let length = 1;
+                if (code !== NO_GEM) {
+                    while (x + length < width && cells[(x + length) * height + y] === code) length++;
+                    if (length >= 3) matched += this.markRun(x * height + y, length, height);
+                }
+                x += length;
+            }
+        }
+        return matched;
+    }
+
+    /**
+     * @param {number} start - First cell of the run.
+     * @param {number} length
+     * @param {number} step - 1 along a column, height along a row.
+     * @returns {number} Cells newly marked in this.runMask.
+     */
+    markRun(start, length, step) {
+        let marked = 0;
+        for (let k = 0, i = start; k < length; k++, i += step) {
+            if (!this.runMask[i]) {
+                this.runMask[i] = 1;
+                marked++;
+            }
+        }
+        return marked;
+    }
+
+    /**
+     * @param {Uint8Array} cells
+     * @returns {boolean} Whether any row or column has three in a row. Stops at the first.
+     */
+    hasMatch(cells) {
+        const { width, height } = this;
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height - 2; y++) {
+                const code = cells[x * height + y];
+                if (code !== NO_GEM && cells[x * height + y + 1] === code && cells[x * height + y + 2] === code) return true;
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width - 2; x++) {
+                const code = cells[x * height + y];
+                if (code !== NO_GEM && cells[(x + 1) * height + y] === code && cells[(x + 2) * height + y] === code) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Runs of three or more, in the order and shape of BackendPuzzle.getMatches: columns first,
+     * then rows, each run as [x, y] cells.
+     * @param {Uint8Array} cells
+     * @returns {Array<Array<[number, number]>>}
+     */
+    getMatches(cells) {
+        const { width, height } = this;
+        const matches = [];
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height - 2;) {
+                const code = cells[x * height + y];
+                let length = 1;
+                if (code !== NO_GEM) {
+                    while (y + length < height && cells[x * height + y + length] === code) length++;
+                    if (length >= 3) matches.push(Array.from({ length }, (_, i) => [x, y + i]));
+                }
+                y += length;
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width - 2;) {
+                const code = cells[x * height + y];
+                let length = 1;
+                if (code !== NO_GEM) {
+                    while (x + length < width && cells[(x + length) * height + y] === code) length++;
+                    if (length >= 3) matches.push(Array.from({ length }, (_, i) => [x + i, y]));
+                }
+                x += length;
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Applies a move to the scratch copy of the loaded board.
+     * @param {{rowOrCol: 'row' | 'col', index: number, amount: number}} move
+     * @returns {Uint8Array} this.scratch, valid until the next call.
+     */
+    applyToScratch({ rowOrCol, index, amount }) {
+        this.scratch.set(this.gems);
+        this.shiftLine(this.scratch, rowOrCol, index, amount);
+        return this.scratch;
+    }
+
+    /**
+     * @param {{rowOrCol: 'row' | 'col', index: number, amount: number}} move
+     * @returns {boolean} Whether the move makes at least one match.
+     */
+    moveMakesMatch(move) {
+        return this.hasMatch(this.applyToScratch(move));
+    }
+
+    /**
+     * @param {{rowOrCol: 'row' | 'col', index: number, amount: number}} move
+     * @returns {number} Distinct cells the move's own matches would clear (0 if none), cascades not included.
+     */
+    countMatchedCellsForMove(move) {
+        return this.countMatchedCells(this.applyToScratch(move));
+    }
+
+    /**
+     * Tries every distinct shift of every line, as BackendPuzzle.getAllPossibleMoves lists them.
+     * @returns {boolean} Whether any of them makes a match.
+     */
+    hasAnyMatchingMove() {
+        for (let index = 0; index < this.height; index++) {
+            if (this.lineHasMatchingShift('row', index)) return true;
+        }
+        for (let index = 0; index < this.width; index++) {
+            if (this.lineHasMatchingShift('col', index)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {'row' | 'col'} rowOrCol
+     * @param {number} index
+     * @returns {boolean} Whether any shift of the line makes a match.
+     */
+    lineHasMatchingShift(rowOrCol, index) {
+        const lineLength = this.collectSlots(rowOrCol, index);
+        for (let shift = 1; shift < lineLength; shift++) {
+            const amount = shift <= lineLength / 2 ? shift : shift - lineLength;
+            this.scratch.set(this.gems);
+            this.shiftLine(this.scratch, rowOrCol, index, amount);
+            if (this.hasMatch(this.scratch)) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BackendPuzzle } from './BackendPuzzle';
+import { MoveAction } from './MoveAction';
+import { OBSTACLE_TYPES, RULE_MODES } from './constants';
+
+// Straightforward scan of the nested grid, the way matches were found before GridEngine:
+// columns first (top to bottom), then rows, runs of three or more matchable gems
+const findRuns = (grid, width, height) => {
+    const runs = [];
+    const gemAt = ([x, y]) => (BackendPuzzle.isMatchableCell(grid[x][y]) ? grid[x][y].gemType : null);
+    const scan = (lineCount, lineLength, cellAt) => {
+        for (let line = 0; line < lineCount; line++) {
+            let start = 0;
+            for (let i = 1; i <= lineLength; i++) {
+                const gemType = gemAt(cellAt(line, start));
+                if (i < lineLength && gemType && gemAt(cellAt(line, i)) === gemType) continue;
+                if (gemType && i - start >= 3) {
+                    runs.push(Array.from({ length: i - start }, (_, k) => cellAt(line, start + k)));
+                }
+                start = i;
+            }
+        }
+    };
+    scan(width, height, (x, y) => [x, y]);
+    scan(height, width, (y, x) => [x, y]);
+    return runs;
+};
+
+const cellsIn = (runs) => new Set(runs.flat().map(([x, y]) => `${x},${y}`)).size;
+
+/** Boards with obstacles, so moves skip fixed cells and some lines can't shift at all. */
+const makePuzzle = (seed) => {
+    const puzzle = new BackendPuzzle(7, 8, { seed });
+    puzzle.startBoard(seed, []);
+    const types = Object.values(OBSTACLE_TYPES);
+    puzzle.placeObstacles(Array.from({ length: seed % 6 }, (_, i) => ({
+        x: (seed * 3 + i * 5) % 7,
+        y: (seed + i * 3) % 8,
+        type: types[(seed + i) % types.length],
+        layers: 1 + (i % 2)
+    })));
+    return puzzle;
+};
+
+const SEEDS = Array.from({ length: 40 }, (_, i) => i + 1);
+
+describe('GridEngine', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('finds the same matches as a scan of the nested grid', () => {
+        SEEDS.forEach(seed => {
+            const puzzle = makePuzzle(seed);
+            puzzle.getAllPossibleMoves().forEach(move => {
+                const grid = structuredClone(puzzle.puzzleState);
+                puzzle.applyMoveToGrid(grid, move);
+                expect(puzzle.getMatches(grid)).toEqual(findRuns(grid, puzzle.width, puzzle.height));
+                expect(puzzle.getMatchesFromHypotheticalMove(move)).toEqual(findRuns(grid, puzzle.width, puzzle.height));
+            });
+        });
+    });
+
+    it('counts the cells a move clears like the nested grid scan', () => {
+        SEEDS.forEach(seed => {
+            const puzzle = makePuzzle(seed);
+            puzzle.getAllPossibleMoves().forEach(move => {
+                const grid = structuredClone(puzzle.puzzleState);
+                puzzle.applyMoveToGrid(grid, move);
+                expect(puzzle.countMatchedCellsForMove(move)).toBe(cellsIn(findRuns(grid, puzzle.width, puzzle.height)));
+            });
+        });
+    });
+
+    it('accepts exactly the strict moves that make a match', () => {
+        let matchingMoves = 0;
+        SEEDS.forEach(seed => {
+            const puzzle = makePuzzle(seed);
+            puzzle.setRuleMode(RULE_MODES.STRICT);
+            const matching = puzzle.getAllPossibleMoves().filter(move => {
+                const grid = structuredClone(puzzle.puzzleState);
+                puzzle.applyMoveToGrid(grid, move);
+                const makesMatch = findRuns(grid, puzzle.width, puzzle.height).length > 0;
+                expect(puzzle.isValidMove(move)).toBe(makesMatch);
+                return makesMatch;
+            });
+            expect(puzzle.hasAnyValidMove()).toBe(matching.length > 0);
+            expect(puzzle.getRankedMoves().map(({ move }) => move)).toEqual(expect.arrayContaining(matching));
+            expect(puzzle.getRankedMoves()).toHaveLength(matching.length);
+            matchingMoves += matching.length;
+        });
+        expect(matchingMoves).toBeGreaterThan(0);
+    });
+
+    it('ranks the matching moves by what their whole cascade clears, then by score, keeping move order for ties', () => {
+        SEEDS.slice(0, 10).forEach(seed => {
+            const puzzle = makePuzzle(seed);
+            const order = puzzle.getAllPossibleMoves().map(move => JSON.stringify(move));
+            const ranked = puzzle.getRankedMoves();
+            ranked.forEach(({ move, gemsCleared, score }, i) => {
+                if (i < 2) {
+                    // Same numbers as actually playing the move out
+                    const played = puzzle.clone();
+                    let phase = played.getNextExplodeAndReplacePhase([move], 0);
+                    let cleared = 0;
+                    for (let depth = 1; !phase.isNothingToDo(); depth++) {
+                        cleared += phase.getClearedCoords().length;
+                        phase = played.getNextExplodeAndReplacePhase([], depth);
+                    }
+                    expect(gemsCleared).toBe(cleared);
+                    expect(score).toBe(played.getScore() - puzzle.getScore());
+                }
+                if (i === 0) return;
+                const previous = ranked[i - 1];
+                expect(previous.gemsCleared).toBeGreaterThanOrEqual(gemsCleared);
+                if (previous.gemsCleared !== gemsCleared) return;
+                expect(previous.score).toBeGreaterThanOrEqual(score);
+                if (previous.score === score) {
+                    expect(order.indexOf(JSON.stringify(previous.move))).toBeLessThan(order.indexOf(JSON.stringify(move)));
+                }
+            });
+        });
+    });
+
+    it('rejects shifts that leave every gem in place', () => {
+        const rows = ['bgrb', 'grbg', 'rbgr', 'bgrb'];
+        const types = { b: 'blue', g: 'green', r: 'red' };
+        const puzzle = new BackendPuzzle(4, 4, {
+            seed: 1,
+            puzzleState: [0, 1, 2, 3].map(x => rows.map(row => ({ gemType: types[row[x]] })))
+        });
+        puzzle.placeObstacles([{ x: 3, y: 0, type: OBSTACLE_TYPES.ROCK }]);
+        expect(puzzle.isValidMove(new MoveAction('row', 0, 3))).toBe(false);
+        expect(puzzle.isValidMove(new MoveAction('row', 1, 4))).toBe(false);
+        expect(puzzle.isValidMove(new MoveAction('row', 0, 0))).toBe(false);
+        expect(puzzle.isValidMove(new MoveAction('row', 0, 1))).toBe(true);
+    });
+});
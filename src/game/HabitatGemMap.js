@@ -0,0 +1,175 @@
+// src/game/HabitatGemMap.js
+import { GEM_TYPES } from './constants';
+
+/** Bump when the table layout changes. See "Habitat Gem Maps" in README.md. */
+export const HABITAT_MAP_FORMAT_VERSION = 1;
+
+// Habitat codes are class * 100 + subclass, e.g. 104 is forest (class 1) subtype 4
+export const HABITAT_CLASS_SIZE = 100;
+
+/** @param {number} code @returns {number} The class a habitat code belongs to (1 for 100-199). */
+export const habitatClassOf = (code) => Math.floor(code / HABITAT_CLASS_SIZE);
+
+/**
+ * Parses and validates a habitat-to-gem table. Every problem is reported at once so the table
+ * can be fixed in one pass.
+ * @param {string | object} source - JSON string or already-parsed object.
+ * @returns {HabitatGemMap}
+ */
+export function parseHabitatGemMap(source) {
+    const raw = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!raw || typeof raw !== 'object') throw new Error("Habitat gem map must be a JSON object.");
+    const problems = [];
+
+    if (raw.v !== HABITAT_MAP_FORMAT_VERSION) problems.push(`v must be ${HABITAT_MAP_FORMAT_VERSION}, got ${raw.v}`);
+    if (typeof raw.dataset !== 'string' || raw.dataset === '') problems.push("dataset must be a non-empty string");
+
+    const codes = new Map();
+    const ranges = [];
+    const classes = new Map();
+    if (!Array.isArray(raw.mappings) || raw.mappings.length === 0) {
+        problems.push("mappings must be a non-empty array");
+    } else {
+        raw.mappings.forEach((entry, i) => {
+            const keys = ['code', 'range', 'class'].filter(key => entry?.[key] !== undefined);
+            if (keys.length !== 1) {
+                problems.push(`mappings[${i}] must have exactly one of code, range or class`);
+                return;
+            }
+            if (!GEM_TYPES.includes(entry.gemType)) {
+                problems.push(`mappings[${i}].gemType must be one of ${GEM_TYPES.join(', ')}`);
+                return;
+            }
+            const isCode = (value) => Number.isInteger(value) && value >= 0;
+            if (keys[0] === 'code') {
+                if (!isCode(entry.code)) problems.push(`mappings[${i}].code must be a non-negative integer`);
+                else if (codes.has(entry.code)) problems.push(`mappings[${i}].code ${entry.code} is mapped twice`);
+                else codes.set(entry.code, entry.gemType);
+            } else if (keys[0] === 'range') {
+                const [from, to] = Array.isArray(entry.range) ? entry.range : [];
+                if (!Array.isArray(entry.range) || entry.range.length !== 2 || !isCode(from) || !isCode(to) || from > to) {
+                    problems.push(`mappings[${i}].range must be [from, to] with from <= to`);
+                } else if (ranges.some(range => from <= range.to && to >= range.from)) {
+                    problems.push(`mappings[${i}].range [${from}, ${to}] overlaps another range`);
+                } else {
+                    ranges.push({ from, to, gemType: entry.gemType });
+                }
+            } else if (!isCode(entry.class)) {
+                problems.push(`mappings[${i}].class must be a non-negative integer`);
+            } else if (classes.has(entry.class)) {
+                problems.push(`mappings[${i}].class ${entry.class} is mapped twice`);
+            } else {
+                classes.set(entry.class, entry.gemType);
+            }
+        });
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid habitat gem map '${raw.dataset ?? '?'}': ${problems.join('; ')}.`);
+    }
+    return new HabitatGemMap({ dataset: raw.dataset, name: raw.name || raw.dataset, codes, ranges, classes });
+}
+
+/**
+ * Parses a file holding an array of tables, one per map dataset (the format of
+ * public/assets/habitat-gem-maps.json). Invalid tables are skipped with an error.
+ * @param {string | object[]} source
+ * @returns {HabitatGemMap[]} In file order; the first one is the default.
+ */
+export function parseHabitatGemMapPack(source) {
+    const raw = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!Array.isArray(raw)) throw new Error("Habitat gem map pack must be a JSON array of tables.");
+    const maps = [];
+    raw.forEach(entry => {
+        try {
+            maps.push(parseHabitatGemMap(entry));
+        } catch (error) {
+            console.error("HabitatGemMap: Skipping table:", error.message);
+        }
+    });
+    return maps;
+}
+
+/**
+ * Picks the table for a map dataset, falling back to the first (default) table.
+ * @param {HabitatGemMap[]} maps
+ * @param {string | null | undefined} dataset
+ * @returns {HabitatGemMap | null} Null only if there are no tables at all.
+ */
+export function selectHabitatGemMap(maps, dataset) {
+    const match = dataset ? maps.find(map => map.dataset === dataset) : null;
+    if (dataset && !match) {
+        console.warn(`HabitatGemMap: No table for dataset '${dataset}'. Using '${maps[0]?.dataset}'.`);
+    }
+    return match || maps[0] || null;
+}
+
+/**
+ * Maps habitat codes to gem types. The most specific rule wins: an exact code, then a range,
+ * then the code's class. Codes with no rule are remembered so they can be reported.
+ */
+export class HabitatGemMap {
+    /** @type {string} Id of the map dataset these codes come from. */
+    dataset;
+    /** @type {string} */
+    name;
+    /** @type {Map<number, string>} */
+    codes;
+    /** @type {Array<{from: number, to: number, gemType: string}>} */
+    ranges;
+    /** @type {Map<number, string>} */
+    classes;
+    /** @type {Map<number, number>} Unmapped code -> number of locations it was received for. */
+    unmapped = new Map();
+
+    /**
+     * Use parseHabitatGemMap to build one from JSON.
+     * @param {{dataset: string, name: string, codes: Map<number, string>, ranges: Array<{from: number, to: number, gemType: string}>, classes: Map<number, string>}} table
+     */
+    constructor({ dataset, name, codes, ranges, classes }) {
+        this.dataset = dataset;
+        this.name = name;
+        this.codes = codes;
+        this.ranges = ranges;
+        this.classes = classes;
+    }
+
+    /**
+     * @param {number} code - Habitat code from the map.
+     * @returns {string | null} The gem type for the code, or null if the table doesn't cover it.
+     */
+    getGemType(code) {
+        if (this.codes.has(code)) return this.codes.get(code);
+        const range = this.ranges.find(({ from, to }) => code >= from && code <= to);
+        if (range) return range.gemType;
+        return this.classes.get(habitatClassOf(code)) ?? null;
+    }
+
+    /**
+     * Notes the habitat codes received for a location and returns those the table can't map.
+     * @param {number[]} habitatValues
+     * @returns {number[]} Distinct unmapped codes, in the order received.
+     */
+    recordHabitats(habitatValues) {
+        const unmapped = [...new Set(habitatValues || [])]
+            .filter(code => typeof code === 'number' && !isNaN(code) && this.getGemType(code) === null);
+        unmapped.forEach(code => this.unmapped.set(code, (this.unmapped.get(code) || 0) + 1));
+        return unmapped;
+    }
+
+    /** @returns {UnmappedHabitatReport} Every unmapped code seen so far, most frequent first. */
+    getUnmappedReport() {
+        return {
+            dataset: this.dataset,
+            codes: [...this.unmapped.entries()]
+                .map(([code, locations]) => ({ code, locations }))
+                .sort((a, b) => (b.locations - a.locations) || (a.code - b.code))
+        };
+    }
+}
+
+/**
+ * @typedef {object} UnmappedHabitatReport
+ * @property {string} dataset
+ * @property {Array<{code: number, locations: number}>} codes - Unmapped codes with the number of locations they came from.
+ */
@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { parseHabitatGemMap, parseHabitatGemMapPack, selectHabitatGemMap, habitatClassOf } from './HabitatGemMap';
+
+const mapPack = readFileSync(new URL('../../public/assets/habitat-gem-maps.json', import.meta.url), 'utf8');
+
+const table = (mappings, dataset = 'test') => ({ v: 1, dataset, mappings });
+
+describe('parseHabitatGemMap', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('loads every shipped table', () => {
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const maps = parseHabitatGemMapPack(mapPack);
+        expect(maps.map(({ dataset }) => dataset)).toEqual(JSON.parse(mapPack).map(({ dataset }) => dataset));
+        expect(errors).not.toHaveBeenCalled();
+    });
+
+    it('prefers an exact code, then a range, then the class', () => {
+        const map = parseHabitatGemMap(table([
+            { class: 9, gemType: 'blue' },
+            { range: [900, 905], gemType: 'white' },
+            { code: 903, gemType: 'red' }
+        ]));
+        expect(map.getGemType(903)).toBe('red');
+        expect(map.getGemType(904)).toBe('white');
+        expect(map.getGemType(906)).toBe('blue');
+        expect(map.getGemType(1001)).toBeNull();
+        expect(habitatClassOf(906)).toBe(9);
+    });
+
+    it('reports every problem at once', () => {
+        expect(() => parseHabitatGemMap(table([
+            { code: 1, class: 1, gemType: 'blue' },
+            { code: 2, gemType: 'purple' },
+            { range: [10, 20], gemType: 'blue' },
+            { range: [15, 30], gemType: 'red' },
+            { class: 3, gemType: 'blue' },
+            { class: 3, gemType: 'red' }
+        ]))).toThrow(
+            "Invalid habitat gem map 'test': mappings[0] must have exactly one of code, range or class; " +
+            "mappings[1].gemType must be one of black, blue, green, orange, red, white; " +
+            "mappings[3].range [15, 30] overlaps another range; mappings[5].class 3 is mapped twice."
+        );
+        expect(() => parseHabitatGemMap({ v: 2, mappings: [] })).toThrow(
+            "Invalid habitat gem map '?': v must be 1, got 2; dataset must be a non-empty string; mappings must be a non-empty array."
+        );
+    });
+
+    it('keeps valid tables in a pack and skips the rest', () => {
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const maps = parseHabitatGemMapPack([table([], 'bad'), table([{ class: 1, gemType: 'green' }])]);
+        expect(maps.map(({ dataset }) => dataset)).toEqual(['test']);
+        expect(errors).toHaveBeenCalledOnce();
+    });
+});
+
+describe('HabitatGemMap', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('reports unmapped codes, most frequent first', () => {
+        const map = parseHabitatGemMap(table([{ class: 1, gemType: 'green' }]));
+        expect(map.recordHabitats([104, 700, 700, 1401, NaN])).toEqual([700, 1401]);
+        expect(map.recordHabitats([1401, 105])).toEqual([1401]);
+        expect(map.getUnmappedReport()).toEqual({
+            dataset: 'test',
+            codes: [{ code: 1401, locations: 2 }, { code: 700, locations: 1 }]
+        });
+    });
+
+    it('falls back to the first table for an unknown dataset', () => {
+        const warnings = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const maps = [parseHabitatGemMap(table([{ class: 1, gemType: 'green' }], 'a')), parseHabitatGemMap(table([{ class: 1, gemType: 'blue' }], 'b'))];
+        expect(selectHabitatGemMap(maps, 'b').dataset).toBe('b');
+        expect(selectHabitatGemMap(maps, null).dataset).toBe('a');
+        expect(warnings).not.toHaveBeenCalled();
+        expect(selectHabitatGemMap(maps, 'c').dataset).toBe('a');
+        expect(warnings).toHaveBeenCalledOnce();
+        expect(selectHabitatGemMap([], 'a')).toBeNull();
+    });
+});
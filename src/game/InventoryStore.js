@@ -0,0 +1,213 @@
+// src/game/InventoryStore.js
+import { SessionStore } from './SessionStore';
+
+/** Bump when the saved inventory layout changes. */
+export const INVENTORY_VERSION = 1;
+export const INVENTORY_STORAGE_PREFIX = 'may-phaser.inventory.';
+export const DEFAULT_PLAYER_ID = 'currentPlayer';
+export const INVENTORY_HISTORY_MAX = 50; // Spends kept in the history, most recent last
+
+export const INVENTORY_ITEM_KINDS = {
+    BOOSTER: 'booster', // Used up straight away on the current game
+    UNLOCK: 'unlock'    // Conservation project, bought once and kept
+};
+
+export const BOOSTER_EFFECTS = {
+    MOVES: 'moves',    // Adds `amount` moves to a move limit
+    SECONDS: 'seconds' // Adds `amount` seconds to a countdown
+};
+
+/**
+ * What gems can be spent on. `cost` is gems per type.
+ * @type {Object<string, InventoryItem>}
+ */
+export const INVENTORY_ITEMS = {
+    'extra-moves': {
+        kind: INVENTORY_ITEM_KINDS.BOOSTER, name: 'Extra moves', effect: BOOSTER_EFFECTS.MOVES, amount: 5,
+        cost: { green: 15, blue: 15 }
+    },
+    'extra-time': {
+        kind: INVENTORY_ITEM_KINDS.BOOSTER, name: 'Extra time', effect: BOOSTER_EFFECTS.SECONDS, amount: 30,
+        cost: { orange: 15, white: 15 }
+    },
+    'wetland-reserve': { kind: INVENTORY_ITEM_KINDS.UNLOCK, name: 'Wetland reserve', cost: { blue: 60, green: 40 } },
+    'coral-nursery': { kind: INVENTORY_ITEM_KINDS.UNLOCK, name: 'Coral nursery', cost: { red: 50, blue: 50 } },
+    'forest-corridor': { kind: INVENTORY_ITEM_KINDS.UNLOCK, name: 'Forest corridor', cost: { green: 100, black: 20 } }
+};
+
+const addCounts = (target, counts, sign = 1) => {
+    Object.entries(counts).forEach(([key, count]) => {
+        target[key] = (target[key] || 0) + sign * count;
+    });
+};
+
+/**
+ * A player's gems (by type and by the habitat they came from), per-location history, spends and
+ * conservation unlocks, kept in versioned JSON in localStorage.
+ */
+export class InventoryStore {
+    /** @type {string} */
+    playerId;
+    /** @type {Storage | null} */
+    storage;
+    /** @type {string} */
+    key;
+    /** @type {Inventory} */
+    inventory;
+
+    /**
+     * @param {string} [playerId]
+     * @param {Storage | null} [storage] - Defaults to window.localStorage when available.
+     */
+    constructor(playerId = DEFAULT_PLAYER_ID, storage = SessionStore.defaultStorage()) {
+        this.playerId = playerId;
+        this.storage = storage;
+        this.key = INVENTORY_STORAGE_PREFIX + playerId;
+        this.load();
+    }
+
+    /** @param {string} playerId @returns {Inventory} */
+    static emptyInventory(playerId) {
+        return { v: INVENTORY_VERSION, playerId, gems: {}, habitats: {}, locations: {}, history: [], unlocks: [] };
+    }
+
+    /**
+     * @param {{lon: number, lat: number} | null} location
+     * @returns {string} Key for the location's history; nearby clicks (within ~100 m) share one.
+     */
+    static locationKey(location) {
+        return location ? `${location.lat.toFixed(3)},${location.lon.toFixed(3)}` : 'unknown';
+    }
+
+    /**
+     * @param {Object<string, number>} gems - Gems per type the player has.
+     * @param {Object<string, number>} cost - Gems per type needed.
+     * @returns {Object<string, number>} Gems per type still missing; empty if affordable.
+     */
+    static getShortfall(gems, cost) {
+        const missing = {};
+        Object.entries(cost).forEach(([gemType, count]) => {
+            const have = gems[gemType] || 0;
+            if (have < count) missing[gemType] = count - have;
+        });
+        return missing;
+    }
+
+    /** Reads the saved inventory. An unreadable one is logged and replaced by an empty one. */
+    load() {
+        this.inventory = InventoryStore.emptyInventory(this.playerId);
+        const raw = this.storage?.getItem(this.key);
+        if (!raw) return;
+        try {
+            const saved = JSON.parse(raw);
+            if (saved?.v !== INVENTORY_VERSION) throw new Error(`Unsupported inventory version ${saved?.v}.`);
+            this.inventory = { ...this.inventory, ...saved, playerId: this.playerId };
+        } catch (error) {
+            console.error(`InventoryStore: Could not read the inventory of '${this.playerId}':`, error);
+        }
+    }
+
+    /** @returns {boolean} True if written. */
+    save() {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.inventory));
+            return true;
+        } catch (error) {
+            console.error("InventoryStore: Failed to save inventory:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Credits cleared gems to the totals and to the location's history, then saves.
+     * @param {Object<string, number>} gems - Gems cleared per type.
+     * @param {Object<string, number>} habitats - Gems cleared per originating habitat code.
+     * @param {{lon: number, lat: number} | null} location
+     */
+    credit(gems, habitats, location) {
+        if (Object.keys(gems).length === 0) return;
+        const key = InventoryStore.locationKey(location);
+        const now = new Date().toISOString();
+        const entry = this.inventory.locations[key] ||
+            { location: location || null, gems: {}, habitats: {}, firstPlayedAt: now, lastPlayedAt: now };
+        addCounts(this.inventory.gems, gems);
+        addCounts(this.inventory.habitats, habitats);
+        addCounts(entry.gems, gems);
+        addCounts(entry.habitats, habitats);
+        entry.lastPlayedAt = now;
+        this.inventory.locations[key] = entry;
+        this.save();
+    }
+
+    /**
+     * Takes back an earlier credit, e.g. when the move that earned it is undone, then saves.
+     * A type can go negative if its gems were spent in the meantime; crediting them again settles it.
+     * @param {Object<string, number>} gems - As passed to credit().
+     * @param {Object<string, number>} habitats - As passed to credit().
+     * @param {{lon: number, lat: number} | null} location
+     */
+    debit(gems, habitats, location) {
+        if (Object.keys(gems).length === 0) return;
+        addCounts(this.inventory.gems, gems, -1);
+        addCounts(this.inventory.habitats, habitats, -1);
+        const entry = this.inventory.locations[InventoryStore.locationKey(location)];
+        if (entry) {
+            addCounts(entry.gems, gems, -1);
+            addCounts(entry.habitats, habitats, -1);
+        }
+        this.save();
+    }
+
+    /**
+     * Pays for an item and records it. Whether a booster can be used right now is up to the caller.
+     * @param {string} itemId - Key of INVENTORY_ITEMS.
+     * @returns {{ok: boolean, reason: string | null}} reason says why nothing was spent.
+     */
+    spend(itemId) {
+        const item = INVENTORY_ITEMS[itemId];
+        if (!item) return { ok: false, reason: `Unknown item '${itemId}'.` };
+        if (item.kind === INVENTORY_ITEM_KINDS.UNLOCK && this.inventory.unlocks.includes(itemId)) {
+            return { ok: false, reason: `${item.name} is already unlocked.` };
+        }
+        const missing = InventoryStore.getShortfall(this.inventory.gems, item.cost);
+        if (Object.keys(missing).length > 0) {
+            const list = Object.entries(missing).map(([gemType, count]) => `${count} ${gemType}`).join(', ');
+            return { ok: false, reason: `Not enough gems for ${item.name}: need ${list} more.` };
+        }
+        Object.entries(item.cost).forEach(([gemType, count]) => {
+            this.inventory.gems[gemType] -= count;
+        });
+        if (item.kind === INVENTORY_ITEM_KINDS.UNLOCK) this.inventory.unlocks.push(itemId);
+        this.inventory.history.push({ itemId, cost: { ...item.cost }, at: new Date().toISOString() });
+        if (this.inventory.history.length > INVENTORY_HISTORY_MAX) this.inventory.history.shift();
+        this.save();
+        return { ok: true, reason: null };
+    }
+
+    /** @returns {Inventory} A copy, safe to hand to the UI. */
+    getSnapshot() {
+        return JSON.parse(JSON.stringify(this.inventory));
+    }
+}
+
+/**
+ * @typedef {object} InventoryItem
+ * @property {string} kind - One of INVENTORY_ITEM_KINDS.
+ * @property {string} name
+ * @property {Object<string, number>} cost - Gems per type.
+ * @property {string} [effect] - Boosters only, one of BOOSTER_EFFECTS.
+ * @property {number} [amount] - Boosters only: moves or seconds added.
+ */
+
+/**
+ * @typedef {object} Inventory
+ * @property {number} v - INVENTORY_VERSION.
+ * @property {string} playerId
+ * @property {Object<string, number>} gems - Gems per type, after spends.
+ * @property {Object<string, number>} habitats - Gems ever cleared per originating habitat code.
+ * @property {Object<string, {location: {lon: number, lat: number} | null, gems: Object<string, number>,
+ *     habitats: Object<string, number>, firstPlayedAt: string, lastPlayedAt: string}>} locations - By locationKey.
+ * @property {Array<{itemId: string, cost: Object<string, number>, at: string}>} history - Recent spends, oldest first.
+ * @property {string[]} unlocks - Conservation unlocks bought (keys of INVENTORY_ITEMS).
+ */
@@ -0,0 +1,77 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { InventoryStore, INVENTORY_STORAGE_PREFIX } from './InventoryStore';
+
+/** In-memory stand-in for localStorage. */
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+const here = { lon: 8.5417, lat: 47.3769 };
+
+describe('InventoryStore', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('credits gems to the totals and the location', () => {
+        const store = new InventoryStore('p1', memoryStorage());
+        store.credit({ green: 4, blue: 2 }, { 104: 4 }, here);
+        store.credit({ green: 1 }, {}, { lon: 8.54171, lat: 47.37691 });
+        const { gems, habitats, locations } = store.getSnapshot();
+        expect(gems).toEqual({ green: 5, blue: 2 });
+        expect(habitats).toEqual({ 104: 4 });
+        expect(Object.keys(locations)).toEqual([InventoryStore.locationKey(here)]);
+        expect(locations[InventoryStore.locationKey(here)].gems).toEqual({ green: 5, blue: 2 });
+    });
+
+    it('takes a credit back', () => {
+        const store = new InventoryStore('p1', memoryStorage());
+        store.credit({ green: 4, blue: 2 }, { 104: 4, 501: 2 }, here);
+        store.debit({ green: 4 }, { 104: 4 }, here);
+        const { gems, habitats, locations } = store.getSnapshot();
+        expect(gems).toEqual({ green: 0, blue: 2 });
+        expect(habitats).toEqual({ 104: 0, 501: 2 });
+        expect(locations[InventoryStore.locationKey(here)].gems).toEqual({ green: 0, blue: 2 });
+    });
+
+    it('spends gems it has and says what is missing otherwise', () => {
+        const store = new InventoryStore('p1', memoryStorage());
+        store.credit({ green: 20, blue: 10 }, {}, here);
+        expect(store.spend('extra-moves')).toEqual({ ok: false, reason: "Not enough gems for Extra moves: need 5 blue more." });
+        store.credit({ blue: 5 }, {}, here);
+        expect(store.spend('extra-moves')).toEqual({ ok: true, reason: null });
+        expect(store.getSnapshot().gems).toEqual({ green: 5, blue: 0 });
+        expect(store.getSnapshot().history.map(({ itemId }) => itemId)).toEqual(['extra-moves']);
+        expect(store.spend('nope')).toEqual({ ok: false, reason: "Unknown item 'nope'." });
+    });
+
+    it('buys an unlock only once', () => {
+        const store = new InventoryStore('p1', memoryStorage());
+        store.credit({ blue: 120, green: 80 }, {}, here);
+        expect(store.spend('wetland-reserve').ok).toBe(true);
+        expect(store.spend('wetland-reserve')).toEqual({ ok: false, reason: "Wetland reserve is already unlocked." });
+        expect(store.getSnapshot().unlocks).toEqual(['wetland-reserve']);
+    });
+
+    it('keeps each player apart across reloads', () => {
+        const storage = memoryStorage();
+        new InventoryStore('p1', storage).credit({ red: 3 }, {}, here);
+        expect(new InventoryStore('p1', storage).getSnapshot().gems).toEqual({ red: 3 });
+        expect(new InventoryStore('p2', storage).getSnapshot().gems).toEqual({});
+    });
+
+    it('starts empty when the save is unreadable', () => {
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const storage = memoryStorage();
+        storage.setItem(`${INVENTORY_STORAGE_PREFIX}p1`, '{not json');
+        storage.setItem(`${INVENTORY_STORAGE_PREFIX}p2`, JSON.stringify({ v: 99, gems: { red: 1 } }));
+        expect(new InventoryStore('p1', storage).getSnapshot().gems).toEqual({});
+        expect(new InventoryStore('p2', storage).getSnapshot().gems).toEqual({});
+        expect(errors).toHaveBeenCalledTimes(2);
+    });
+});
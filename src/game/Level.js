@@ -0,0 +1,266 @@
+// src/game/Level.js
+import { GEM_TYPES, OBSTACLE_TYPES, ICE_MAX_LAYERS, DEFAULT_HABITAT_BLEND } from './constants';
+import { MIN_BOARD_SIZE, MAX_BOARD_SIZE, MIN_GEM_TYPES } from './BoardConfig';
+
+/** Bump when the level file layout changes. See "Level Format" in README.md. */
+export const LEVEL_FORMAT_VERSION = 1;
+
+export const OBJECTIVE_TYPES = {
+    COLLECT: 'collect', // Clear `count` gems of `gemType` (any type if omitted)
+    SCORE: 'score'      // Reach `target` points
+};
+
+export const LEVEL_OUTCOMES = {
+    WON: 'won',
+    LOST: 'lost'
+};
+
+// One letter per gem type in a level's `layout` rows
+export const LAYOUT_GEM_CODES = {
+    k: 'black',
+    b: 'blue',
+    g: 'green',
+    o: 'orange',
+    r: 'red',
+    w: 'white'
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Parses and validates a level definition. Every problem is reported at once so a level
+ * author can fix the file in one pass.
+ * @param {string | object} source - JSON string or already-parsed object.
+ * @returns {LevelDefinition} The level with defaults filled in.
+ */
+export function parseLevel(source) {
+    const raw = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!raw || typeof raw !== 'object') throw new Error("Level must be a JSON object.");
+    const problems = [];
+
+    if (raw.v !== LEVEL_FORMAT_VERSION) problems.push(`v must be ${LEVEL_FORMAT_VERSION}, got ${raw.v}`);
+    if (typeof raw.id !== 'string' || raw.id === '') problems.push("id must be a non-empty string");
+
+    const board = raw.board || {};
+    ['cols', 'rows'].forEach(key => {
+        if (!Number.isInteger(board[key]) || board[key] < MIN_BOARD_SIZE || board[key] > MAX_BOARD_SIZE) {
+            problems.push(`board.${key} must be an integer from ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}`);
+        }
+    });
+    const gemTypes = board.gemTypes === undefined ? [...GEM_TYPES] : board.gemTypes;
+    if (!Array.isArray(gemTypes) || gemTypes.length < MIN_GEM_TYPES || gemTypes.some(t => !GEM_TYPES.includes(t))) {
+        problems.push(`board.gemTypes must list at least ${MIN_GEM_TYPES} of ${GEM_TYPES.join(', ')}`);
+    }
+    const habitatBlend = board.habitatBlend ?? DEFAULT_HABITAT_BLEND;
+    if (typeof habitatBlend !== 'number' || !(habitatBlend >= 0 && habitatBlend <= 1)) {
+        problems.push("board.habitatBlend must be a number from 0 to 1");
+    }
+
+    if (raw.layout !== undefined) {
+        if (!Array.isArray(raw.layout) || raw.layout.length !== board.rows) {
+            problems.push(`layout must have one string per row (${board.rows})`);
+        } else {
+            raw.layout.forEach((row, y) => {
+                if (typeof row !== 'string' || row.length !== board.cols) {
+                    problems.push(`layout[${y}] must be ${board.cols} characters long`);
+                    return;
+                }
+                [...row].forEach((code, x) => {
+                    const gemType = LAYOUT_GEM_CODES[code];
+                    if (!gemType || (Array.isArray(gemTypes) && !gemTypes.includes(gemType))) {
+                        problems.push(`layout[${y}][${x}] '${code}' is not one of the level's gem types`);
+                    }
+                });
+            });
+        }
+    }
+
+    const obstacles = raw.obstacles === undefined ? [] : raw.obstacles;
+    if (!Array.isArray(obstacles)) {
+        problems.push("obstacles must be an array");
+    } else {
+        const occupied = new Set();
+        obstacles.forEach((obstacle, i) => {
+            if (!Object.values(OBSTACLE_TYPES).includes(obstacle?.type)) {
+                problems.push(`obstacles[${i}].type must be one of ${Object.values(OBSTACLE_TYPES).join(', ')}`);
+            }
+            const { x, y } = obstacle || {};
+            if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= board.cols || y >= board.rows) {
+                problems.push(`obstacles[${i}] must be inside the ${board.cols}x${board.rows} board`);
+            } else if (occupied.has(`${x},${y}`)) {
+                problems.push(`obstacles[${i}] is on a cell that already has an obstacle`);
+            }
+            occupied.add(`${x},${y}`);
+            if (obstacle?.layers !== undefined && (obstacle.type !== OBSTACLE_TYPES.ICE ||
+                !Number.isInteger(obstacle.layers) || obstacle.layers < 1 || obstacle.layers > ICE_MAX_LAYERS)) {
+                problems.push(`obstacles[${i}].layers must be an integer from 1 to ${ICE_MAX_LAYERS}, on ice only`);
+            }
+        });
+    }
+
+    const limits = raw.limits || {};
+    if (limits.moves !== undefined && !isPositiveInteger(limits.moves)) problems.push("limits.moves must be a positive integer");
+    if (limits.seconds !== undefined && !isPositiveInteger(limits.seconds)) problems.push("limits.seconds must be a positive integer");
+
+    if (!Array.isArray(raw.objectives) || raw.objectives.length === 0) {
+        problems.push("objectives must be a non-empty array");
+    } else {
+        raw.objectives.forEach((objective, i) => {
+            if (objective?.type === OBJECTIVE_TYPES.COLLECT) {
+                if (!isPositiveInteger(objective.count)) problems.push(`objectives[${i}].count must be a positive integer`);
+                if (objective.gemType !== undefined && !(Array.isArray(gemTypes) && gemTypes.includes(objective.gemType))) {
+                    problems.push(`objectives[${i}].gemType '${objective.gemType}' is not one of the level's gem types`);
+                }
+            } else if (objective?.type === OBJECTIVE_TYPES.SCORE) {
+                if (!isPositiveInteger(objective.target)) problems.push(`objectives[${i}].target must be a positive integer`);
+            } else {
+                problems.push(`objectives[${i}].type must be one of ${Object.values(OBJECTIVE_TYPES).join(', ')}`);
+            }
+        });
+    }
+
+    const stars = raw.stars === undefined ? [] : raw.stars;
+    if (!Array.isArray(stars) || stars.length > 3 || stars.some((s, i) => !isPositiveInteger(s) || (i > 0 && s <= stars[i - 1]))) {
+        problems.push("stars must be up to 3 increasing positive score thresholds");
+    }
+    if (raw.seed !== undefined && !Number.isInteger(raw.seed)) problems.push("seed must be an integer");
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid level '${raw.id ?? '?'}': ${problems.join('; ')}.`);
+    }
+
+    return {
+        v: raw.v,
+        id: raw.id,
+        name: raw.name || raw.id,
+        board: { cols: board.cols, rows: board.rows, gemTypes: [...gemTypes], habitatBlend },
+        layout: raw.layout ? [...raw.layout] : null,
+        obstacles: obstacles.map(({ x, y, type, layers }) => (
+            type === OBSTACLE_TYPES.ICE ? { x, y, type, layers: layers ?? 1 } : { x, y, type }
+        )),
+        limits: { moves: limits.moves ?? null, seconds: limits.seconds ?? null },
+        objectives: raw.objectives.map(objective => ({ ...objective })),
+        stars: [...stars],
+        seed: raw.seed ?? null
+    };
+}
+
+/**
+ * Parses a file holding an array of levels (the format of public/assets/levels.json).
+ * Invalid levels are skipped with an error so one bad entry doesn't hide the rest.
+ * @param {string | object[]} source
+ * @returns {LevelDefinition[]}
+ */
+export function parseLevelPack(source) {
+    const raw = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!Array.isArray(raw)) throw new Error("Level pack must be a JSON array of levels.");
+    const levels = [];
+    raw.forEach(entry => {
+        try {
+            levels.push(parseLevel(entry));
+        } catch (error) {
+            console.error("Level: Skipping level:", error.message);
+        }
+    });
+    return levels;
+}
+
+/**
+ * Converts a level's `layout` rows (row-major letters) to BackendPuzzle's column-major grid.
+ * @param {LevelDefinition} level
+ * @returns {Array<Array<{gemType: string}>> | null} Null if the level has no fixed layout.
+ */
+export function layoutToGrid(level) {
+    if (!level.layout) return null;
+    const grid = [];
+    for (let x = 0; x < level.board.cols; x++) {
+        grid[x] = [];
+        for (let y = 0; y < level.board.rows; y++) {
+            grid[x][y] = { gemType: LAYOUT_GEM_CODES[level.layout[y][x]] };
+        }
+    }
+    return grid;
+}
+
+/**
+ * Tracks a level's objectives as phases resolve and decides when it is won or lost.
+ */
+export class LevelProgress {
+    /** @type {LevelDefinition} */
+    level;
+    /** @type {Object<string, number>} Gems cleared per type. */
+    cleared = {};
+    /** @type {number} Gems cleared of any type. */
+    clearedTotal = 0;
+
+    /** @param {LevelDefinition} level */
+    constructor(level) {
+        this.level = level;
+    }
+
+    /** @param {import('./ExplodeAndReplacePhase').ExplodeAndReplacePhase} phase */
+    recordPhase(phase) {
+        Object.entries(phase.gemsClearedByType).forEach(([gemType, count]) => {
+            this.cleared[gemType] = (this.cleared[gemType] || 0) + count;
+            this.clearedTotal += count;
+        });
+    }
+
+    /**
+     * @param {number} score - Current board score.
+     * @returns {Array<object & {current: number, goal: number, done: boolean}>} Each objective with its progress.
+     */
+    getObjectives(score) {
+        return this.level.objectives.map(objective => {
+            let current;
+            let goal;
+            if (objective.type === OBJECTIVE_TYPES.SCORE) {
+                current = score;
+                goal = objective.target;
+            } else {
+                current = objective.gemType ? (this.cleared[objective.gemType] || 0) : this.clearedTotal;
+                goal = objective.count;
+            }
+            return { ...objective, current: Math.min(current, goal), goal, done: current >= goal };
+        });
+    }
+
+    /**
+     * @param {object} state
+     * @param {number} state.score
+     * @param {number} state.movesUsed
+     * @param {boolean} [state.timeUp]
+     * @param {number | null} [state.moveLimit] - Overrides limits.moves, e.g. after an extra-moves booster.
+     * @returns {string | null} One of LEVEL_OUTCOMES, or null while the level is still in play.
+     */
+    getOutcome({ score, movesUsed, timeUp = false, moveLimit = this.level.limits.moves }) {
+        if (this.getObjectives(score).every(objective => objective.done)) return LEVEL_OUTCOMES.WON;
+        if (timeUp || (moveLimit !== null && movesUsed >= moveLimit)) return LEVEL_OUTCOMES.LOST;
+        return null;
+    }
+
+    /**
+     * @param {number} score
+     * @param {string} outcome - One of LEVEL_OUTCOMES.
+     * @returns {number} 0-3. A won level earns at least one star.
+     */
+    getStars(score, outcome) {
+        if (outcome !== LEVEL_OUTCOMES.WON) return 0;
+        return Math.max(1, this.level.stars.filter(threshold => score >= threshold).length);
+    }
+}
+
+/**
+ * @typedef {object} LevelDefinition
+ * @property {number} v - LEVEL_FORMAT_VERSION.
+ * @property {string} id
+ * @property {string} name
+ * @property {import('./BoardConfig').BoardConfig} board
+ * @property {string[] | null} layout - One string per row, one LAYOUT_GEM_CODES letter per cell.
+ * @property {Array<{x: number, y: number, type: string, layers?: number}>} obstacles - Placed on the dealt board.
+ *     type is one of OBSTACLE_TYPES; ice always has layers.
+ * @property {{moves: number | null, seconds: number | null}} limits
+ * @property {Array<{type: string, gemType?: string, count?: number, target?: number}>} objectives
+ * @property {number[]} stars - Score thresholds for 1, 2 and 3 stars.
+ * @property {number | null} seed - Fixed seed; null uses the map location like free play.
+ */
@@ -0,0 +1,123 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { parseLevel, parseLevelPack, layoutToGrid, LevelProgress, LEVEL_OUTCOMES } from './Level';
+import { GEM_TYPES, DEFAULT_HABITAT_BLEND } from './constants';
+
+const levelPack = readFileSync(new URL('../../public/assets/levels.json', import.meta.url), 'utf8');
+
+const level = (overrides = {}) => ({
+    v: 1,
+    id: 'test',
+    board: { cols: 5, rows: 6 },
+    objectives: [{ type: 'score', target: 1000 }],
+    ...overrides
+});
+
+describe('parseLevel', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('loads every shipped level', () => {
+        const raw = JSON.parse(levelPack);
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+        expect(parseLevelPack(levelPack).map(({ id }) => id)).toEqual(raw.map(({ id }) => id));
+        expect(errors).not.toHaveBeenCalled();
+    });
+
+    it('fills in defaults', () => {
+        expect(parseLevel(level())).toEqual({
+            v: 1,
+            id: 'test',
+            name: 'test',
+            board: { cols: 5, rows: 6, gemTypes: [...GEM_TYPES], habitatBlend: DEFAULT_HABITAT_BLEND },
+            layout: null,
+            obstacles: [],
+            limits: { moves: null, seconds: null },
+            objectives: [{ type: 'score', target: 1000 }],
+            stars: [],
+            seed: null
+        });
+        expect(parseLevel(level({ obstacles: [{ x: 1, y: 2, type: 'ice' }] })).obstacles).toEqual([{ x: 1, y: 2, type: 'ice', layers: 1 }]);
+    });
+
+    it('reports every problem at once', () => {
+        expect(() => parseLevel(level({
+            v: 2,
+            board: { cols: 5, rows: 6, gemTypes: ['blue', 'green'] },
+            limits: { moves: 0 },
+            stars: [300, 200]
+        }))).toThrow(
+            "Invalid level 'test': v must be 1, got 2; board.gemTypes must list at least 3 of " +
+            `${GEM_TYPES.join(', ')}; limits.moves must be a positive integer; ` +
+            "stars must be up to 3 increasing positive score thresholds."
+        );
+    });
+
+    it.each([
+        [{ layout: ['bbbbb'] }, "layout must have one string per row (6)"],
+        [{ board: { cols: 3, rows: 3, gemTypes: ['blue', 'green', 'red'] }, layout: ['bgr', 'bgo', 'bgr'] }, "layout[1][2] 'o' is not one of the level's gem types"],
+        [{ obstacles: [{ x: 5, y: 0, type: 'rock' }] }, "obstacles[0] must be inside the 5x6 board"],
+        [{ obstacles: [{ x: 1, y: 1, type: 'rock' }, { x: 1, y: 1, type: 'ice' }] }, "obstacles[1] is on a cell that already has an obstacle"],
+        [{ obstacles: [{ x: 1, y: 1, type: 'rock', layers: 2 }] }, "obstacles[0].layers must be an integer from 1 to 3, on ice only"],
+        [{ objectives: [] }, "objectives must be a non-empty array"],
+        [{ objectives: [{ type: 'collect', gemType: 'purple', count: 5 }] }, "objectives[0].gemType 'purple' is not one of the level's gem types"]
+    ])('rejects %j', (overrides, problem) => {
+        expect(() => parseLevel(level(overrides))).toThrow(`Invalid level 'test': ${problem}.`);
+    });
+
+    it('skips invalid levels in a pack', () => {
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+        expect(parseLevelPack([level({ id: 'bad', v: 0 }), level()]).map(({ id }) => id)).toEqual(['test']);
+        expect(errors).toHaveBeenCalledOnce();
+    });
+});
+
+describe('layoutToGrid', () => {
+    it('turns layout rows into columns', () => {
+        const parsed = parseLevel(level({
+            board: { cols: 3, rows: 3, gemTypes: ['blue', 'green', 'red'] },
+            layout: ['bgr', 'rbg', 'ggb']
+        }));
+        expect(layoutToGrid(parsed)).toEqual([
+            [{ gemType: 'blue' }, { gemType: 'red' }, { gemType: 'green' }],
+            [{ gemType: 'green' }, { gemType: 'blue' }, { gemType: 'green' }],
+            [{ gemType: 'red' }, { gemType: 'green' }, { gemType: 'blue' }]
+        ]);
+        expect(layoutToGrid(parseLevel(level()))).toBeNull();
+    });
+});
+
+describe('LevelProgress', () => {
+    const collectLevel = parseLevel(level({
+        limits: { moves: 10 },
+        objectives: [{ type: 'collect', gemType: 'green', count: 5 }, { type: 'collect', count: 8 }],
+        stars: [100, 200, 300]
+    }));
+
+    it('tracks collect objectives by type and in total', () => {
+        const progress = new LevelProgress(collectLevel);
+        progress.recordPhase({ gemsClearedByType: { green: 3, blue: 3 } });
+        expect(progress.getObjectives(0).map(({ current, goal, done }) => [current, goal, done])).toEqual([[3, 5, false], [6, 8, false]]);
+        progress.recordPhase({ gemsClearedByType: { green: 4 } });
+        expect(progress.getObjectives(0).map(({ current, done }) => [current, done])).toEqual([[5, true], [8, true]]);
+    });
+
+    it('is won when every objective is done, lost when out of moves or time', () => {
+        const progress = new LevelProgress(collectLevel);
+        expect(progress.getOutcome({ score: 0, movesUsed: 9 })).toBeNull();
+        expect(progress.getOutcome({ score: 0, movesUsed: 10 })).toBe(LEVEL_OUTCOMES.LOST);
+        expect(progress.getOutcome({ score: 0, movesUsed: 10, moveLimit: 15 })).toBeNull();
+        expect(progress.getOutcome({ score: 0, movesUsed: 1, timeUp: true })).toBe(LEVEL_OUTCOMES.LOST);
+        progress.recordPhase({ gemsClearedByType: { green: 8 } });
+        expect(progress.getOutcome({ score: 0, movesUsed: 10 })).toBe(LEVEL_OUTCOMES.WON);
+    });
+
+    it('awards at least one star for a win', () => {
+        const progress = new LevelProgress(collectLevel);
+        expect(progress.getStars(50, LEVEL_OUTCOMES.WON)).toBe(1);
+        expect(progress.getStars(250, LEVEL_OUTCOMES.WON)).toBe(2);
+        expect(progress.getStars(300, LEVEL_OUTCOMES.WON)).toBe(3);
+        expect(progress.getStars(300, LEVEL_OUTCOMES.LOST)).toBe(0);
+    });
+});
@@ -0,0 +1,77 @@
+// src/game/MoveInput.js
+import { MoveAction } from './MoveAction';
+import { MOVE_THRESHOLD } from './constants';
+
+// Pointer and keyboard input turned into board coordinates and MoveActions, without Phaser,
+// so a keyboard move and a drag of the same length are provably the same move.
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * @param {'row' | 'col'} direction
+ * @param {{cols: number, rows: number}} board
+ * @returns {number} Most cells a line can be shifted either way: one short of its length.
+ */
+export function maxShift(direction, board) {
+    return (direction === 'row' ? board.cols : board.rows) - 1;
+}
+
+/**
+ * Turns a finished drag into a move. Drags shorter than MOVE_THRESHOLD cells move nothing; longer
+ * ones round to whole cells, clamped to maxShift. Obstacles don't shorten the limit:
+ * BackendPuzzle.applyMoveToGrid wraps the amount over the line's movable cells.
+ * @param {number} deltaX - Pointer travel in pixels.
+ * @param {number} deltaY
+ * @param {'row' | 'col'} direction - The line the drag grabbed.
+ * @param {number} startGridX - Cell the drag started on.
+ * @param {number} startGridY
+ * @param {{cols: number, rows: number, gemSize: number}} board
+ * @returns {MoveAction}
+ */
+export function dragToMoveAction(deltaX, deltaY, direction, startGridX, startGridY, board) {
+    const cellsMoved = (direction === 'row' ? deltaX : deltaY) / board.gemSize;
+    const index = direction === 'row' ? startGridY : startGridX;
+    const amount = Math.abs(cellsMoved) >= MOVE_THRESHOLD ? Math.round(cellsMoved) : 0;
+    const limit = maxShift(direction, board);
+    return new MoveAction(direction, index, clamp(amount, -limit, limit));
+}
+
+/**
+ * @param {{x: number, y: number}} cursor
+ * @param {[number, number]} step - Arrow key as [dx, dy].
+ * @param {{cols: number, rows: number}} board
+ * @returns {{x: number, y: number}} The cursor moved one cell, kept on the board.
+ */
+export function moveKeyboardCursor(cursor, [dx, dy], board) {
+    return {
+        x: clamp(cursor.x + dx, 0, board.cols - 1),
+        y: clamp(cursor.y + dy, 0, board.rows - 1)
+    };
+}
+
+/**
+ * @param {number} shift - Cells the grabbed line is shifted so far.
+ * @param {[number, number]} step - Arrow key as [dx, dy]; arrows across the line leave the shift as it is.
+ * @param {'row' | 'col'} direction - The grabbed line.
+ * @param {{cols: number, rows: number}} board
+ * @returns {number} The new shift, clamped to maxShift like a drag.
+ */
+export function shiftKeyboardLine(shift, [dx, dy], direction, board) {
+    const along = direction === 'row' ? dx : dy;
+    const limit = maxShift(direction, board);
+    return clamp(shift + along, -limit, limit);
+}
+
+/**
+ * Commits a keyboard grab as the drag of the same length would.
+ * @param {number} shift - From shiftKeyboardLine.
+ * @param {'row' | 'col'} direction
+ * @param {number} startGridX - The cursor cell that grabbed the line.
+ * @param {number} startGridY
+ * @param {{cols: number, rows: number, gemSize: number}} board
+ * @returns {MoveAction}
+ */
+export function keyboardShiftToMoveAction(shift, direction, startGridX, startGridY, board) {
+    const delta = shift * board.gemSize;
+    return dragToMoveAction(delta, delta, direction, startGridX, startGridY, board);
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { dragToMoveAction, moveKeyboardCursor, shiftKeyboardLine, keyboardShiftToMoveAction, maxShift } from './MoveInput';
+import { BackendPuzzle } from './BackendPuzzle';
+import { MoveAction } from './MoveAction';
+import { OBSTACLE_TYPES } from './constants';
+
+const BOARD = { cols: 6, rows: 4, gemSize: 50 };
+
+const ARROWS = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+
+/** Presses arrows on a grabbed line, as Game.shiftKeyboardGrab does, and returns the shift. */
+const pressArrows = (direction, arrows) => arrows.reduce(
+    (shift, arrow) => shiftKeyboardLine(shift, ARROWS[arrow], direction, BOARD), 0);
+
+describe('dragToMoveAction', () => {
+    it('rounds a drag along its line to whole cells and ignores small ones', () => {
+        expect(dragToMoveAction(120, 300, 'row', 2, 1, BOARD)).toEqual(new MoveAction('row', 1, 2));
+        expect(dragToMoveAction(300, -80, 'col', 2, 1, BOARD)).toEqual(new MoveAction('col', 2, -2));
+        expect(dragToMoveAction(10, 0, 'row', 0, 3, BOARD)).toEqual(new MoveAction('row', 3, 0));
+    });
+
+    it('clamps to one short of the line length', () => {
+        expect(dragToMoveAction(5000, 0, 'row', 0, 0, BOARD).amount).toBe(BOARD.cols - 1);
+        expect(dragToMoveAction(0, -5000, 'col', 0, 0, BOARD).amount).toBe(-(BOARD.rows - 1));
+    });
+});
+
+describe('keyboard moves', () => {
+    it('keeps the cursor on the board', () => {
+        expect(moveKeyboardCursor({ x: 0, y: 0 }, ARROWS.left, BOARD)).toEqual({ x: 0, y: 0 });
+        expect(moveKeyboardCursor({ x: 5, y: 2 }, ARROWS.down, BOARD)).toEqual({ x: 5, y: 3 });
+        expect(moveKeyboardCursor({ x: 5, y: 3 }, ARROWS.right, BOARD)).toEqual({ x: 5, y: 3 });
+    });
+
+    it('shifts only along the grabbed line', () => {
+        expect(pressArrows('row', ['right', 'up', 'right', 'left'])).toBe(1);
+        expect(pressArrows('col', ['up', 'right', 'up'])).toBe(-2);
+    });
+
+    it('commits the same move as a drag of the same length', () => {
+        [
+            ['row', ['right', 'right']],
+            ['row', ['left']],
+            ['col', ['down', 'down', 'down']],
+            ['col', ['up', 'down']]
+        ].forEach(([direction, arrows]) => {
+            const shift = pressArrows(direction, arrows);
+            const drag = direction === 'row' ? [shift * BOARD.gemSize, 7] : [7, shift * BOARD.gemSize];
+            expect(keyboardShiftToMoveAction(shift, direction, 3, 2, BOARD))
+                .toEqual(dragToMoveAction(drag[0], drag[1], direction, 3, 2, BOARD));
+        });
+    });
+
+    it('clamps like a drag on a line with obstacles, and the board wraps the shift over its movable cells', () => {
+        const rows = ['rgbowk', 'gbowkr', 'bowkrg', 'owkrgb'];
+        const letters = { r: 'red', g: 'green', b: 'blue', o: 'orange', w: 'white', k: 'black' };
+        const puzzle = new BackendPuzzle(BOARD.cols, BOARD.rows, {
+            seed: 1,
+            puzzleState: Array.from({ length: BOARD.cols }, (_, x) => rows.map(row => ({ gemType: letters[row[x]] })))
+        });
+        puzzle.placeObstacles([{ x: 1, y: 0, type: OBSTACLE_TYPES.ROCK }, { x: 4, y: 0, type: OBSTACLE_TYPES.ICE }]);
+
+        const shift = pressArrows('row', Array(10).fill('right'));
+        expect(shift).toBe(maxShift('row', BOARD));
+        const keyboardMove = keyboardShiftToMoveAction(shift, 'row', 0, 0, BOARD);
+        expect(keyboardMove).toEqual(dragToMoveAction(5000, 0, 'row', 0, 0, BOARD));
+        expect(keyboardMove.amount).toBe(BOARD.cols - 1);
+
+        // Four movable cells, so shifting by five lands where shifting by one does
+        const shifted = structuredClone(puzzle.puzzleState);
+        puzzle.applyMoveToGrid(shifted, keyboardMove);
+        const oneStep = structuredClone(puzzle.puzzleState);
+        puzzle.applyMoveToGrid(oneStep, new MoveAction('row', 0, 1));
+        expect(shifted).toEqual(oneStep);
+        expect(shifted.map(column => column[0].gemType)).toEqual(['black', null, 'red', 'blue', 'white', 'orange']);
+        expect(puzzle.isValidMove(keyboardMove)).toBe(true);
+    });
+});
@@ -0,0 +1,147 @@
+// src/game/ReplayRecorder.js
+import { hashString } from './SeededRandom';
+
+/** Bump when the replay file layout changes. */
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Compact event codes used in replay files
+export const REPLAY_EVENT = {
+    MOVE: 'm',
+    UNDO: 'u',
+    REDO: 'r'
+};
+
+/**
+ * Records a session as a compact replay: the starting board (seed, habitats and a snapshot),
+ * then every committed move with its timestamp, the phases it produced and a hash of the
+ * resulting board. The Replay scene plays it back and flags any divergence.
+ */
+export class ReplayRecorder {
+    /** @type {ReplayFile | null} */
+    replay = null;
+    /** @type {number} */
+    startTime = 0;
+
+    /**
+     * Starts a new recording, discarding the previous one.
+     * @param {object} start
+     * @param {number} start.seed
+     * @param {import('./BackendPuzzle').HabitatInfluence} start.habitats
+     * @param {{lon: number, lat: number} | null} start.location
+     * @param {import('./BackendPuzzle').SerializedPuzzle} start.puzzle - Board the recording starts from.
+     * @param {boolean} start.fromSeed - True if the board was freshly dealt by BackendPuzzle.startBoard(seed, habitats),
+     *     so playback can regenerate it instead of trusting the snapshot.
+     */
+    start({ seed, habitats, location, puzzle, fromSeed }) {
+        this.startTime = Date.now();
+        this.replay = {
+            v: REPLAY_FORMAT_VERSION,
+            recordedAt: new Date(this.startTime).toISOString(),
+            seed,
+            habitats: habitats && !Array.isArray(habitats) ? { ...habitats } : [...(habitats || [])],
+            location: location || null,
+            fromSeed: !!fromSeed,
+            start: puzzle,
+            events: []
+        };
+    }
+
+    /** @returns {boolean} */
+    isRecording() {
+        return this.replay !== null;
+    }
+
+    /**
+     * @param {import('./MoveAction').MoveAction} moveAction
+     * @param {import('./ExplodeAndReplacePhase').ExplodeAndReplacePhase[]} phases - Phases the move produced, cascades included.
+     * @param {Array<Array<{gemType: string}>>} resultingGrid - Board after the move settled (and any reshuffle).
+     */
+    recordMove(moveAction, phases, resultingGrid) {
+        if (!this.replay) return;
+        this.replay.events.push([
+            this._elapsed(),
+            REPLAY_EVENT.MOVE,
+            moveAction.rowOrCol === 'row' ? 'r' : 'c',
+            moveAction.index,
+            moveAction.amount,
+            phases.filter(phase => !phase.isNothingToDo()).map(phase => ReplayRecorder.encodePhase(phase)),
+            ReplayRecorder.hashGrid(resultingGrid)
+        ]);
+    }
+
+    /**
+     * @param {'undo' | 'redo'} kind
+     * @param {Array<Array<{gemType: string}>>} resultingGrid
+     */
+    recordHistoryStep(kind, resultingGrid) {
+        if (!this.replay) return;
+        const code = kind === 'undo' ? REPLAY_EVENT.UNDO : REPLAY_EVENT.REDO;
+        this.replay.events.push([this._elapsed(), code, ReplayRecorder.hashGrid(resultingGrid)]);
+    }
+
+    /** @returns {ReplayFile | null} A copy of the recording so far. */
+    getReplay() {
+        return this.replay ? JSON.parse(JSON.stringify(this.replay)) : null;
+    }
+
+    /** @returns {string} The recording as a JSON string, for download. */
+    toJSON() {
+        return JSON.stringify(this.replay);
+    }
+
+    /**
+     * Parses and sanity-checks a replay file.
+     * @param {string | object} source - JSON string or already-parsed object.
+     * @returns {ReplayFile}
+     */
+    static parse(source) {
+        const replay = typeof source === 'string' ? JSON.parse(source) : source;
+        if (!replay || replay.v !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay?.v}. Expected ${REPLAY_FORMAT_VERSION}.`);
+        }
+        if (!replay.start || !Array.isArray(replay.start.puzzleState) || !Array.isArray(replay.events)) {
+            throw new Error("Replay is missing its starting board or events.");
+        }
+        return replay;
+    }
+
+    /**
+     * Compact, comparable form of a phase: [score, cleared coords flattened, replacements].
+     * @param {import('./ExplodeAndReplacePhase').ExplodeAndReplacePhase} phase
+     * @returns {[number, number[], Array<[number, string[]]>]}
+     */
+    static encodePhase(phase) {
+        return [phase.score.total, phase.getClearedCoords().flat(), phase.replacements];
+    }
+
+    /**
+     * FNV-1a hash of gem types, specials and obstacles, used to spot a replay drifting from the recording.
+     * Cells without an obstacle hash as they did before obstacles existed.
+     * @param {import('./BackendPuzzle').PuzzleCell[][]} grid
+     * @returns {string} 8 hex digits.
+     */
+    static hashGrid(grid) {
+        const text = grid.map(column => column.map(cell => {
+            const obstacle = cell?.obstacle ? `:${cell.obstacle}${cell.layers ?? ''}` : '';
+            return `${cell?.gemType ?? '-'}${cell?.special ?? ''}${obstacle};`;
+        }).join('')).join('');
+        return hashString(text).toString(16).padStart(8, '0');
+    }
+
+    _elapsed() {
+        return Date.now() - this.startTime;
+    }
+}
+
+/**
+ * @typedef {object} ReplayFile
+ * @property {number} v - REPLAY_FORMAT_VERSION.
+ * @property {string} recordedAt - ISO timestamp.
+ * @property {number} seed
+ * @property {number[] | Object<string, number>} habitats - Codes, or code -> coverage fraction.
+ * @property {{lon: number, lat: number} | null} location
+ * @property {boolean} fromSeed - Start board can be regenerated from seed + habitats.
+ * @property {import('./BackendPuzzle').SerializedPuzzle} start
+ * @property {Array<Array<*>>} events - [ms, 'm', 'r'|'c', index, amount, encodedPhases, gridHash]
+ *     or [ms, 'u'|'r', gridHash].
+ */
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { ReplayRecorder, REPLAY_EVENT, REPLAY_FORMAT_VERSION } from './ReplayRecorder';
+import { BackendPuzzle } from './BackendPuzzle';
+import { MoveAction } from './MoveAction';
+import { parseHabitatGemMapPack, selectHabitatGemMap } from './HabitatGemMap';
+
+const habitatGemMap = selectHabitatGemMap(
+    parseHabitatGemMapPack(readFileSync(new URL('../../public/assets/habitat-gem-maps.json', import.meta.url), 'utf8')), null);
+
+const MOVES = [['row', 0, 1], ['col', 2, -1], ['row', 5, 3], ['col', 6, 2], ['row', 3, -2], ['col', 0, 1], ['row', 7, 1], ['col', 4, -3]]
+    .map(([rowOrCol, index, amount]) => new MoveAction(rowOrCol, index, amount));
+
+/** Plays a move the way Game and the Replay scene do: move, cascades, then a reshuffle if the board is dead. */
+const playMove = (puzzle, move) => {
+    const phases = [];
+    let depth = 0;
+    let phase = puzzle.getNextExplodeAndReplacePhase([move], depth);
+    while (!phase.isNothingToDo()) {
+        phases.push(phase);
+        phase = puzzle.getNextExplodeAndReplacePhase([], ++depth);
+    }
+    if (!puzzle.hasAnyValidMove()) puzzle.reshuffle();
+    return phases;
+};
+
+const record = () => {
+    const puzzle = new BackendPuzzle(7, 8, { habitatGemMap });
+    puzzle.startBoard(5, [104, 1001, 1401]);
+    const recorder = new ReplayRecorder();
+    recorder.start({ seed: 5, habitats: [104, 1001, 1401], location: null, puzzle: puzzle.serialize(), fromSeed: true });
+    MOVES.forEach(move => recorder.recordMove(move, playMove(puzzle, move), puzzle.getGridState()));
+    return ReplayRecorder.parse(recorder.toJSON());
+};
+
+describe('ReplayRecorder', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('plays back to the recorded phases and boards', () => {
+        const replay = record();
+        const puzzle = new BackendPuzzle(replay.start.width, replay.start.height, { habitatGemMap });
+        puzzle.startBoard(replay.seed, replay.habitats);
+        expect(ReplayRecorder.hashGrid(puzzle.getGridState())).toBe(ReplayRecorder.hashGrid(replay.start.puzzleState));
+
+        replay.events.forEach(([, code, direction, index, amount, phases, hash]) => {
+            expect(code).toBe(REPLAY_EVENT.MOVE);
+            const produced = playMove(puzzle, new MoveAction(direction === 'r' ? 'row' : 'col', index, amount));
+            expect(JSON.parse(JSON.stringify(produced.map(ReplayRecorder.encodePhase)))).toEqual(phases);
+            expect(ReplayRecorder.hashGrid(puzzle.getGridState())).toBe(hash);
+        });
+    });
+
+    // Recordings from earlier builds must keep replaying: if this changes, bump REPLAY_FORMAT_VERSION
+    it('deals and plays a seed the same way as when replays were introduced', () => {
+        const replay = record();
+        expect(ReplayRecorder.hashGrid(replay.start.puzzleState)).toBe('c148ffd6');
+        expect(replay.events.flatMap(event => event[5])).toHaveLength(12);
+        expect(replay.events.at(-1)[6]).toBe('22c45267');
+    });
+
+    it('rejects other versions and files without a board', () => {
+        expect(() => ReplayRecorder.parse({ v: REPLAY_FORMAT_VERSION + 1 })).toThrow("Unsupported replay version");
+        expect(() => ReplayRecorder.parse({ v: REPLAY_FORMAT_VERSION, events: [] })).toThrow("missing its starting board");
+    });
+});
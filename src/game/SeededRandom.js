@@ -0,0 +1,133 @@
+// src/game/SeededRandom.js
+
+/**
+ * FNV-1a string hash. Stable across runs and platforms, for deriving seeds and fingerprints.
+ * @param {string} text
+ * @returns {number} 32-bit unsigned hash.
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small, fast, seedable pseudo-random number generator (mulberry32).
+ * Used by BackendPuzzle so a board can be reproduced from its seed.
+ * Any object exposing the same methods can be injected instead.
+ */
+export class SeededRandom {
+    /** @type {number} */
+    seed;
+    /** @type {number} */
+    state;
+
+    /**
+     * @param {number} [seed] - 32-bit unsigned seed. A random seed is chosen if omitted.
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Creates a seed from Math.random, for sessions that don't provide one.
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Derives a stable seed from a map location, so the same spot always yields the same board.
+     * @param {number} lon - Longitude in degrees.
+     * @param {number} lat - Latitude in degrees.
+     * @returns {number} 32-bit unsigned seed.
+     */
+    static seedFromLocation(lon, lat) {
+        // Round to ~1m so tiny floating point differences from the map don't change the seed
+        return hashString(`${Number(lon).toFixed(5)},${Number(lat).toFixed(5)}`);
+    }
+
+    /** @returns {number} The seed this generator was last (re)seeded with. */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Reseeds the generator and rewinds it to the start of the sequence.
+     * @param {number} seed
+     */
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.state = this.seed;
+    }
+
+    /** @returns {number} Internal state, for snapshotting mid-sequence. */
+    getState() {
+        return this.state;
+    }
+
+    /** @param {number} state - A value previously returned by getState(). */
+    setState(state) {
+        this.state = Number(state) >>> 0;
+    }
+
+    /** @returns {number} Float in [0, 1). */
+    next() {
+        let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} maxExclusive
+     * @returns {number} Integer in [0, maxExclusive).
+     */
+    nextInt(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    /**
+     * @template T
+     * @param {T[]} items
+     * @returns {T | undefined} A random element of the array.
+     */
+    pick(items) {
+        return items[this.nextInt(items.length)];
+    }
+
+    /**
+     * @template T
+     * @param {T[]} items
+     * @param {number[]} weights - Non-negative, one per item. Falls back to pick() if they sum to 0.
+     * @returns {T | undefined} An element chosen with probability proportional to its weight.
+     */
+    weightedPick(items, weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (!(total > 0)) return this.pick(items);
+        let roll = this.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return items[i];
+        }
+        return items[items.length - 1]; // Float rounding left a sliver past the last weight
+    }
+
+    /**
+     * Fisher-Yates shuffle in place.
+     * @template T
+     * @param {T[]} items
+     * @returns {T[]} The same array, shuffled.
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { SeededRandom, hashString } from './SeededRandom';
+
+const draw = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+describe('SeededRandom', () => {
+    it('repeats the sequence for a seed', () => {
+        expect(draw(new SeededRandom(42), 20)).toEqual(draw(new SeededRandom(42), 20));
+        expect(draw(new SeededRandom(42), 20)).not.toEqual(draw(new SeededRandom(43), 20));
+    });
+
+    it('continues from a saved state', () => {
+        const rng = new SeededRandom(7);
+        draw(rng, 5);
+        const resumed = new SeededRandom(1);
+        resumed.setState(rng.getState());
+        expect(draw(resumed, 10)).toEqual(draw(rng, 10));
+    });
+
+    it('rewinds when reseeded', () => {
+        const rng = new SeededRandom(7);
+        const first = draw(rng, 5);
+        rng.setSeed(7);
+        expect(rng.getSeed()).toBe(7);
+        expect(draw(rng, 5)).toEqual(first);
+    });
+
+    it('keeps nextInt within range', () => {
+        const rng = new SeededRandom(3);
+        const values = Array.from({ length: 1000 }, () => rng.nextInt(6));
+        expect(Math.min(...values)).toBe(0);
+        expect(Math.max(...values)).toBe(5);
+        expect(values.every(Number.isInteger)).toBe(true);
+    });
+
+    it('never picks a zero weight, and picks uniformly when all are zero', () => {
+        const rng = new SeededRandom(5);
+        const picks = new Set(Array.from({ length: 200 }, () => rng.weightedPick(['a', 'b', 'c'], [1, 0, 3])));
+        expect([...picks].sort()).toEqual(['a', 'c']);
+        const fallback = new Set(Array.from({ length: 200 }, () => rng.weightedPick(['a', 'b', 'c'], [0, 0, 0])));
+        expect([...fallback].sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('shuffles in place without losing items', () => {
+        const items = [1, 2, 3, 4, 5, 6, 7, 8];
+        const shuffled = new SeededRandom(11).shuffle(items);
+        expect(shuffled).toBe(items);
+        expect([...shuffled].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+        expect(new SeededRandom(11).shuffle([1, 2, 3, 4, 5, 6, 7, 8])).toEqual(shuffled);
+    });
+
+    it('derives the same seed for nearby map positions', () => {
+        expect(SeededRandom.seedFromLocation(8.5417001, 47.3769)).toBe(SeededRandom.seedFromLocation(8.5416999, 47.3769));
+        expect(SeededRandom.seedFromLocation(8.5417, 47.3769)).not.toBe(SeededRandom.seedFromLocation(8.5418, 47.3769));
+    });
+});
+
+describe('hashString', () => {
+    it('is 32-bit FNV-1a', () => {
+        expect(hashString('')).toBe(0x811c9dc5);
+        expect(hashString('a')).toBe(0xe40c292c);
+        expect(hashString('foobar')).toBe(0xbf9cf968);
+    });
+});
@@ -0,0 +1,164 @@
+// src/game/SessionStore.js
+import { GEM_TYPES, GAME_MODES, DEFAULT_GAME_MODE, DEFAULT_HABITAT_BLEND, MODE_MOVE_LIMIT } from './constants';
+
+/** Bump when the saved shape changes, and add a step to SESSION_MIGRATIONS. */
+export const SESSION_SCHEMA_VERSION = 6;
+export const SESSION_STORAGE_KEY = 'may-phaser.session';
+
+/**
+ * Upgrades a save from version N to N+1, keyed by N. Version 1 is the first layout that shipped.
+ * @type {Object<number, (save: object) => object>}
+ */
+const SESSION_MIGRATIONS = {
+    // v2: boards have a configurable gem set; older boards used every gem type
+    1: (save) => ({
+        ...save,
+        version: 2,
+        puzzle: { ...save.puzzle, gemTypes: save.puzzle?.gemTypes || [...GEM_TYPES] }
+    }),
+    // v3: sessions record their game mode; older ones were played before modes existed, i.e. endless
+    2: (save) => ({
+        ...save,
+        version: 3,
+        mode: save.mode || { id: DEFAULT_GAME_MODE, secondsLeft: null, gemsClearedByType: {} }
+    }),
+    // v4: boards weight habitat spawns by coverage and blend; older boards weighted habitats equally, fully blended
+    3: (save) => ({
+        ...save,
+        version: 4,
+        puzzle: {
+            ...save.puzzle,
+            habitatWeights: save.puzzle?.habitatWeights ?? null,
+            habitatBlend: save.puzzle?.habitatBlend ?? DEFAULT_HABITAT_BLEND
+        }
+    }),
+    // v5: boards can map habitat zones onto regions; older boards used the location's habitats everywhere
+    4: (save) => ({
+        ...save,
+        version: 5,
+        puzzle: { ...save.puzzle, habitatZones: save.puzzle?.habitatZones ?? null }
+    }),
+    // v6: modes record their move limit, which extra-moves boosters raise; older ones had the mode's own
+    5: (save) => ({
+        ...save,
+        version: 6,
+        mode: {
+            ...save.mode,
+            movesLimit: save.mode?.movesLimit ?? (save.mode?.id === GAME_MODES.MOVES ? MODE_MOVE_LIMIT : null)
+        }
+    })
+};
+
+/**
+ * Persists the current game session (board, spawn queue, habitats, species, score, seed)
+ * as versioned JSON so it survives a page reload.
+ */
+export class SessionStore {
+    /** @type {Storage | null} */
+    storage;
+    /** @type {string} */
+    key;
+    /** @type {string | null} Why the last load() discarded the save; null if it didn't. */
+    discardReason = null;
+
+    /**
+     * @param {Storage | null} [storage] - Defaults to window.localStorage when available.
+     * @param {string} [key]
+     */
+    constructor(storage = SessionStore.defaultStorage(), key = SESSION_STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    /** @returns {Storage | null} localStorage, or null if unavailable (private mode, Node). */
+    static defaultStorage() {
+        try {
+            return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+        } catch (e) {
+            console.warn("SessionStore: localStorage is not accessible.", e);
+            return null;
+        }
+    }
+
+    /**
+     * Brings a parsed save up to SESSION_SCHEMA_VERSION.
+     * @param {object} save
+     * @returns {SavedSession}
+     */
+    static migrate(save) {
+        let current = save;
+        let version = current?.version;
+        if (!Number.isInteger(version) || version < 1) throw new Error(`Unsupported session version ${version}.`);
+        while (version < SESSION_SCHEMA_VERSION) {
+            const step = SESSION_MIGRATIONS[version];
+            if (!step) throw new Error(`No migration from session version ${version}.`);
+            current = step(current);
+            version = current.version;
+        }
+        if (version > SESSION_SCHEMA_VERSION) {
+            throw new Error(`Session version ${version} is newer than supported version ${SESSION_SCHEMA_VERSION}.`);
+        }
+        return current;
+    }
+
+    /** @returns {boolean} True if a save exists (it may still fail to load). */
+    hasSave() {
+        return !!this.storage && this.storage.getItem(this.key) !== null;
+    }
+
+    /**
+     * @param {Omit<SavedSession, 'version' | 'savedAt'>} session
+     * @returns {boolean} True if written.
+     */
+    save(session) {
+        if (!this.storage) return false;
+        try {
+            const payload = { ...session, version: SESSION_SCHEMA_VERSION, savedAt: new Date().toISOString() };
+            this.storage.setItem(this.key, JSON.stringify(payload));
+            return true;
+        } catch (error) {
+            console.error("SessionStore: Failed to save session:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Reads and migrates the saved session. Corrupt saves and saves from versions this build can't
+     * read are discarded, with the reason in discardReason.
+     * @returns {SavedSession | null}
+     */
+    load() {
+        this.discardReason = null;
+        if (!this.hasSave()) return null;
+        try {
+            const session = SessionStore.migrate(JSON.parse(this.storage.getItem(this.key)));
+            if (!session.puzzle || !Array.isArray(session.puzzle.puzzleState)) {
+                throw new Error("Saved session has no board.");
+            }
+            return session;
+        } catch (error) {
+            console.error("SessionStore: Discarding unreadable session:", error);
+            this.discardReason = error.message;
+            this.clear();
+            return null;
+        }
+    }
+
+    clear() {
+        if (this.storage) this.storage.removeItem(this.key);
+    }
+}
+
+/**
+ * @typedef {object} SavedSession
+ * @property {number} version - SESSION_SCHEMA_VERSION at save time.
+ * @property {string | null} savedAt - ISO timestamp.
+ * @property {{lon: number, lat: number} | null} location
+ * @property {number[] | Object<string, number>} habitats - Habitat codes received for the location,
+ *     or code -> coverage fraction.
+ * @property {Array<string | {name: string, habitats?: number[]}>} species - Species received for the location.
+ *     Entries with habitats are additive: the plain names older saves hold are still read as they are.
+ * @property {import('./BackendPuzzle').SerializedPuzzle} puzzle - Board, spawn queue, seed/RNG state, score and moves.
+ * @property {{id: string, movesLimit: number | null, secondsLeft: number | null, gemsClearedByType: Object<string, number>}} mode -
+ *     Game mode and its progress (movesLimit includes extra-moves boosters; null without a move limit).
+ */
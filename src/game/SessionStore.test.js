@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionStore, SESSION_SCHEMA_VERSION, SESSION_STORAGE_KEY } from './SessionStore';
+import { BackendPuzzle } from './BackendPuzzle';
+import { GEM_TYPES, GAME_MODES, DEFAULT_HABITAT_BLEND, MODE_MOVE_LIMIT } from './constants';
+
+/** In-memory stand-in for localStorage. */
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+const board = () => {
+    const puzzle = new BackendPuzzle(7, 8, { seed: 3 });
+    puzzle.setHabitatInfluence([104]);
+    return puzzle.serialize();
+};
+
+describe('SessionStore', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('loads what it saved', () => {
+        const store = new SessionStore(memoryStorage());
+        const session = {
+            location: { lon: 8.5, lat: 47.4 },
+            habitats: [104],
+            species: ['Alpine newt'],
+            puzzle: board(),
+            mode: { id: GAME_MODES.TIMED, movesLimit: null, secondsLeft: 42, gemsClearedByType: { green: 4 } }
+        };
+        expect(store.hasSave()).toBe(false);
+        expect(store.save(session)).toBe(true);
+        expect(store.load()).toEqual({ ...session, version: SESSION_SCHEMA_VERSION, savedAt: expect.any(String) });
+        expect(store.discardReason).toBeNull();
+    });
+
+    it('brings a version 1 save up to date', () => {
+        const puzzle = board();
+        delete puzzle.gemTypes;
+        const migrated = SessionStore.migrate({ version: 1, location: null, habitats: [], species: [], puzzle });
+        expect(migrated.version).toBe(SESSION_SCHEMA_VERSION);
+        expect(migrated.puzzle.gemTypes).toEqual(GEM_TYPES);
+        expect(migrated.mode).toEqual({ id: GAME_MODES.ENDLESS, movesLimit: null, secondsLeft: null, gemsClearedByType: {} });
+        expect(migrated.puzzle.habitatWeights).toBeNull();
+        expect(migrated.puzzle.habitatBlend).toBe(DEFAULT_HABITAT_BLEND);
+        expect(migrated.puzzle.habitatZones).toBeNull();
+    });
+
+    it('keeps what a version 2 save already has', () => {
+        const puzzle = { ...board(), gemTypes: ['blue', 'green', 'red', 'white'] };
+        const migrated = SessionStore.migrate({ version: 2, puzzle });
+        expect(migrated.puzzle.gemTypes).toEqual(['blue', 'green', 'red', 'white']);
+        expect(migrated.mode.id).toBe(GAME_MODES.ENDLESS);
+    });
+
+    it('gives a limited-moves session from before boosters its mode\'s move limit', () => {
+        const mode = { id: GAME_MODES.MOVES, secondsLeft: null, gemsClearedByType: {} };
+        expect(SessionStore.migrate({ version: 5, puzzle: board(), mode }).mode.movesLimit).toBe(MODE_MOVE_LIMIT);
+        expect(SessionStore.migrate({ version: 5, puzzle: board(), mode: { ...mode, movesLimit: 35 } }).mode.movesLimit).toBe(35);
+    });
+
+    it.each([
+        [{ puzzle: {} }, "Unsupported session version undefined."],
+        [{ version: 0 }, "Unsupported session version 0."],
+        [{ version: 1.5 }, "Unsupported session version 1.5."],
+        [{ version: SESSION_SCHEMA_VERSION + 1 }, `Session version ${SESSION_SCHEMA_VERSION + 1} is newer than supported version ${SESSION_SCHEMA_VERSION}.`]
+    ])('rejects %j', (save, message) => {
+        expect(() => SessionStore.migrate(save)).toThrow(message);
+    });
+
+    it.each([
+        ['{not json', /JSON/],
+        [JSON.stringify({ puzzle: { puzzleState: [] } }), "Unsupported session version undefined."],
+        [JSON.stringify({ version: SESSION_SCHEMA_VERSION + 1, puzzle: { puzzleState: [] } }), /is newer than supported/],
+        [JSON.stringify({ version: SESSION_SCHEMA_VERSION, puzzle: {} }), "Saved session has no board."]
+    ])('clears the unreadable save %s and says why', (saved, reason) => {
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const storage = memoryStorage();
+        storage.setItem(SESSION_STORAGE_KEY, saved);
+        const store = new SessionStore(storage);
+        expect(store.load()).toBeNull();
+        expect(store.hasSave()).toBe(false);
+        expect(store.discardReason).toMatch(reason);
+        expect(errors).toHaveBeenCalledOnce();
+    });
+
+    it('does nothing without storage', () => {
+        const store = new SessionStore(null);
+        expect(store.save({ puzzle: board() })).toBe(false);
+        expect(store.hasSave()).toBe(false);
+        expect(store.load()).toBeNull();
+        expect(store.discardReason).toBeNull();
+    });
+});
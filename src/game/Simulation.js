@@ -0,0 +1,218 @@
+// src/game/Simulation.js
+import { BackendPuzzle } from './BackendPuzzle';
+import { SeededRandom } from './SeededRandom';
+import { RULE_MODES, DEFAULT_RULE_MODE, MODE_MOVE_LIMIT } from './constants';
+import { resolveBoardConfig } from './BoardConfig';
+
+export const SIMULATION_MAX_CASCADES = 100; // Cascade phases followed per move before giving up on it
+
+/**
+ * Move pickers for simulated games. Each gets the live puzzle and the strategy's own PRNG (kept
+ * apart from the puzzle's so a strategy never changes which gems spawn) and returns a move, or
+ * null if it has none.
+ * @type {Object<string, function(BackendPuzzle, SeededRandom): (import('./MoveAction').MoveAction | null)>}
+ */
+export const SIMULATION_STRATEGIES = {
+    // Any legal move: in zen rules most of these match nothing
+    random: (puzzle, rng) => {
+        const moves = puzzle.getAllPossibleMoves().filter(move => puzzle.isValidMove(move));
+        return moves.length > 0 ? rng.pick(moves) : null;
+    },
+    // The move whose own matches clear the most cells, ignoring what the cascade does
+    greedy: (puzzle, rng) => {
+        let best = [];
+        let bestCleared = 0;
+        puzzle.getAllPossibleMoves().forEach(move => {
+            const cleared = puzzle.countMatchedCellsForMove(move);
+            if (cleared > bestCleared) {
+                best = [move];
+                bestCleared = cleared;
+            } else if (cleared === bestCleared && cleared > 0) {
+                best.push(move);
+            }
+        });
+        return best.length > 0 ? rng.pick(best) : SIMULATION_STRATEGIES.random(puzzle, rng);
+    },
+    // What the hint shows: the whole cascade simulated for every matching move
+    hint: (puzzle, rng) => {
+        const [best] = puzzle.getRankedMoves();
+        return best ? best.move : SIMULATION_STRATEGIES.random(puzzle, rng);
+    }
+};
+
+/**
+ * Plays one game without Phaser: the same model calls the Game scene makes, minus the animations.
+ * Dead boards are reshuffled after a move, as in the scene.
+ * @param {object} options
+ * @param {number} options.seed - Board seed; also seeds the strategy's PRNG.
+ * @param {import('./BackendPuzzle').HabitatInfluence} [options.habitats]
+ * @param {import('./BackendPuzzle').HabitatZoneGrid | null} [options.habitatZones]
+ * @param {string} [options.strategy] - Key of SIMULATION_STRATEGIES.
+ * @param {number} [options.moves] - Moves to play. Defaults to MODE_MOVE_LIMIT.
+ * @param {string | Partial<import('./BoardConfig').BoardConfig>} [options.boardConfig]
+ * @param {import('./HabitatGemMap').HabitatGemMap | null} [options.habitatGemMap]
+ * @param {string} [options.ruleMode] - One of RULE_MODES.
+ * @returns {SimulatedGame}
+ */
+export function simulateGame({
+    seed, habitats = [], habitatZones = null, strategy = 'greedy', moves = MODE_MOVE_LIMIT,
+    boardConfig, habitatGemMap = null, ruleMode = DEFAULT_RULE_MODE
+}) {
+    const pickMove = SIMULATION_STRATEGIES[strategy];
+    if (!pickMove) throw new Error(`Unknown strategy '${strategy}'. Use one of ${Object.keys(SIMULATION_STRATEGIES).join(', ')}.`);
+    const config = resolveBoardConfig(boardConfig);
+    const puzzle = new BackendPuzzle(config.cols, config.rows, {
+        seed, gemTypes: config.gemTypes, habitatGemMap, habitatBlend: config.habitatBlend
+    });
+    puzzle.setRuleMode(ruleMode);
+    const strategyRng = new SeededRandom(seed);
+    const { reshuffled } = puzzle.startBoard(seed, habitats, habitatZones);
+
+    const game = {
+        seed,
+        strategy,
+        movesPlayed: 0,
+        score: 0,
+        gemsCleared: 0,
+        matchingMoves: 0,
+        cascades: 0,
+        maxCascadeDepth: 0,
+        cascadeCapHits: 0,
+        deadBoards: 0,
+        initialReshuffle: reshuffled,
+        clearedByType: Object.fromEntries(config.gemTypes.map(gemType => [gemType, 0])),
+        boardByType: Object.fromEntries(config.gemTypes.map(gemType => [gemType, 0]))
+    };
+
+    for (let i = 0; i < moves; i++) {
+        const move = pickMove(puzzle, strategyRng);
+        if (!move) break;
+        let phase = puzzle.getNextExplodeAndReplacePhase([move], 0);
+        game.movesPlayed++;
+        let depth = 0;
+        while (!phase.isNothingToDo()) {
+            game.gemsCleared += phase.clearedGems.length;
+            phase.clearedGems.forEach(({ gemType }) => {
+                game.clearedByType[gemType] = (game.clearedByType[gemType] || 0) + 1;
+            });
+            if (depth === SIMULATION_MAX_CASCADES) {
+                game.cascadeCapHits++;
+                break;
+            }
+            depth++;
+            phase = puzzle.getNextExplodeAndReplacePhase([], depth);
+        }
+        if (depth > 0) {
+            game.matchingMoves++;
+            game.cascades += depth - 1;
+            game.maxCascadeDepth = Math.max(game.maxCascadeDepth, depth - 1);
+        }
+        if (!puzzle.hasAnyValidMove()) {
+            game.deadBoards++;
+            puzzle.reshuffle();
+        }
+        // Colour mix of the board the player sees next
+        puzzle.puzzleState.forEach(column => column.forEach(cell => {
+            if (cell?.gemType) game.boardByType[cell.gemType] = (game.boardByType[cell.gemType] || 0) + 1;
+        }));
+    }
+    game.score = puzzle.getScore();
+    return game;
+}
+
+const toShares = (counts) => {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return Object.fromEntries(Object.entries(counts).map(([key, count]) => [key, total > 0 ? count / total : 0]));
+};
+
+const addCounts = (target, counts) => {
+    Object.entries(counts).forEach(([key, count]) => {
+        target[key] = (target[key] || 0) + count;
+    });
+};
+
+/**
+ * Aggregates simulated games.
+ * @param {SimulatedGame[]} games
+ * @returns {SimulationSummary}
+ */
+export function summarizeSimulation(games) {
+    const sum = (field) => games.reduce((total, game) => total + game[field], 0);
+    const moves = sum('movesPlayed');
+    const matchingMoves = sum('matchingMoves');
+    const clearedByType = {};
+    const boardByType = {};
+    games.forEach(game => {
+        addCounts(clearedByType, game.clearedByType);
+        addCounts(boardByType, game.boardByType);
+    });
+    return {
+        games: games.length,
+        moves,
+        averageScore: games.length > 0 ? sum('score') / games.length : 0,
+        gemsClearedPerMove: moves > 0 ? sum('gemsCleared') / moves : 0,
+        matchingMoveRate: moves > 0 ? matchingMoves / moves : 0,
+        averageCascadeDepth: matchingMoves > 0 ? sum('cascades') / matchingMoves : 0,
+        maxCascadeDepth: games.reduce((max, game) => Math.max(max, game.maxCascadeDepth), 0),
+        cascadeCapHits: sum('cascadeCapHits'),
+        deadBoardsPerMove: moves > 0 ? sum('deadBoards') / moves : 0,
+        gamesWithDeadBoard: games.filter(game => game.deadBoards > 0).length / Math.max(1, games.length),
+        initialReshuffleRate: games.filter(game => game.initialReshuffle).length / Math.max(1, games.length),
+        clearedShares: toShares(clearedByType),
+        boardShares: toShares(boardByType)
+    };
+}
+
+/**
+ * One CSV row per game, with a cleared_<gemType> and board_<gemType> column per gem type.
+ * @param {SimulatedGame[]} games
+ * @returns {string}
+ */
+export function simulationToCsv(games) {
+    const gemTypes = [...new Set(games.flatMap(game => Object.keys(game.clearedByType)))];
+    const columns = [
+        'seed', 'strategy', 'movesPlayed', 'score', 'gemsCleared', 'matchingMoves', 'cascades',
+        'maxCascadeDepth', 'cascadeCapHits', 'deadBoards', 'initialReshuffle'
+    ];
+    const header = [...columns, ...gemTypes.map(t => `cleared_${t}`), ...gemTypes.map(t => `board_${t}`)];
+    const rows = games.map(game => [
+        ...columns.map(column => game[column]),
+        ...gemTypes.map(t => game.clearedByType[t] || 0),
+        ...gemTypes.map(t => game.boardByType[t] || 0)
+    ]);
+    return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * @typedef {object} SimulatedGame
+ * @property {number} seed
+ * @property {string} strategy
+ * @property {number} movesPlayed
+ * @property {number} score
+ * @property {number} gemsCleared - Cascades included.
+ * @property {number} matchingMoves - Moves that cleared anything.
+ * @property {number} cascades - Phases after the first, summed over moves.
+ * @property {number} maxCascadeDepth
+ * @property {number} cascadeCapHits - Moves whose cascade was cut off at SIMULATION_MAX_CASCADES.
+ * @property {number} deadBoards - Times the board had no valid move after a move and was reshuffled.
+ * @property {boolean} initialReshuffle - Whether the dealt board had to be reshuffled.
+ * @property {Object<string, number>} clearedByType
+ * @property {Object<string, number>} boardByType - Gems per type on the board after each move, summed.
+ */
+
+/**
+ * @typedef {object} SimulationSummary
+ * @property {number} games
+ * @property {number} moves
+ * @property {number} averageScore
+ * @property {number} gemsClearedPerMove
+ * @property {number} matchingMoveRate
+ * @property {number} averageCascadeDepth - Cascade phases per matching move.
+ * @property {number} maxCascadeDepth
+ * @property {number} cascadeCapHits
+ * @property {number} deadBoardsPerMove
+ * @property {number} gamesWithDeadBoard - Share of games that hit at least one dead board.
+ * @property {number} initialReshuffleRate
+ * @property {Object<string, number>} clearedShares - Share of cleared gems per type.
+ * @property {Object<string, number>} boardShares - Share of board cells per type, over every move.
+ */
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { simulateGame, summarizeSimulation, simulationToCsv, SIMULATION_STRATEGIES } from './Simulation';
+import { RULE_MODES } from './constants';
+
+describe('simulateGame', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('plays the same game for the same seed', () => {
+        Object.keys(SIMULATION_STRATEGIES).forEach(strategy => {
+            const options = { seed: 12, habitats: [104, 501], strategy, moves: 15 };
+            expect(simulateGame(options)).toEqual(simulateGame(options));
+        });
+    });
+
+    it('only counts gems that were cleared', () => {
+        const game = simulateGame({ seed: 5, strategy: 'hint', moves: 15, ruleMode: RULE_MODES.STRICT });
+        expect(game.movesPlayed).toBe(15);
+        expect(game.matchingMoves).toBe(15);
+        expect(Object.values(game.clearedByType).reduce((sum, count) => sum + count, 0)).toBe(game.gemsCleared);
+        expect(game.score).toBeGreaterThan(0);
+    });
+
+    it('rejects an unknown strategy', () => {
+        expect(() => simulateGame({ seed: 1, strategy: 'lucky' })).toThrow("Unknown strategy 'lucky'. Use one of random, greedy, hint.");
+    });
+});
+
+describe('summarizeSimulation', () => {
+    const games = [
+        { seed: 1, strategy: 'greedy', movesPlayed: 10, score: 500, gemsCleared: 40, matchingMoves: 8, cascades: 4, maxCascadeDepth: 2, cascadeCapHits: 0, deadBoards: 1, initialReshuffle: false, clearedByType: { blue: 30, red: 10 }, boardByType: { blue: 50, red: 50 } },
+        { seed: 2, strategy: 'greedy', movesPlayed: 10, score: 300, gemsCleared: 20, matchingMoves: 2, cascades: 0, maxCascadeDepth: 0, cascadeCapHits: 1, deadBoards: 0, initialReshuffle: true, clearedByType: { blue: 10, red: 10 }, boardByType: { blue: 30, red: 70 } }
+    ];
+
+    it('averages over games and moves', () => {
+        expect(summarizeSimulation(games)).toEqual({
+            games: 2,
+            moves: 20,
+            averageScore: 400,
+            gemsClearedPerMove: 3,
+            matchingMoveRate: 0.5,
+            averageCascadeDepth: 0.4,
+            maxCascadeDepth: 2,
+            cascadeCapHits: 1,
+            deadBoardsPerMove: 0.05,
+            gamesWithDeadBoard: 0.5,
+            initialReshuffleRate: 0.5,
+            clearedShares: { blue: 40 / 60, red: 20 / 60 },
+            boardShares: { blue: 0.4, red: 0.6 }
+        });
+    });
+
+    it('summarizes no games as zeros', () => {
+        const summary = summarizeSimulation([]);
+        expect(summary.games).toBe(0);
+        expect(summary.averageScore).toBe(0);
+        expect(summary.gemsClearedPerMove).toBe(0);
+    });
+
+    it('writes one CSV row per game', () => {
+        expect(simulationToCsv(games).split('\n')).toEqual([
+            'seed,strategy,movesPlayed,score,gemsCleared,matchingMoves,cascades,maxCascadeDepth,cascadeCapHits,deadBoards,initialReshuffle,cleared_blue,cleared_red,board_blue,board_red',
+            '1,greedy,10,500,40,8,4,2,0,1,false,30,10,50,50',
+            '2,greedy,10,300,20,2,0,0,1,0,true,10,10,30,70',
+            ''
+        ]);
+    });
+});
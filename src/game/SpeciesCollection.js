@@ -0,0 +1,218 @@
+// src/game/SpeciesCollection.js
+import { SPECIES_GEMS_TO_DISCOVER, SPECIES_DISCOVERY_SPECIALS } from './constants';
+import { SessionStore } from './SessionStore';
+import { hashString } from './SeededRandom';
+
+/** Bump when the saved collection layout changes. */
+export const SPECIES_COLLECTION_VERSION = 1;
+export const SPECIES_STORAGE_KEY = 'may-phaser.species';
+
+export const DISCOVERY_METHODS = {
+    GEMS: 'gems',  // Cleared SPECIES_GEMS_TO_DISCOVER gems of its types
+    COMBO: 'combo' // Set off one of SPECIES_DISCOVERY_SPECIALS of its colour
+};
+
+/**
+ * Associates each species at a location with habitat gem types. Species may arrive as plain names
+ * or as { name, habitats } with their own habitat codes. A species without (mappable) habitats of
+ * its own gets one of the location's habitat gem types, chosen from its name.
+ * @param {Array<string | {name: string, habitats?: number[]}>} species - As received for the location.
+ * @param {number[]} locationCodes - Habitat codes at the location.
+ * @param {import('./HabitatGemMap').HabitatGemMap | null} habitatGemMap
+ * @param {string[]} gemTypes - Gem types on the board.
+ * @returns {SpeciesTarget[]} One per distinct name, in the order received.
+ */
+export function assignSpeciesGemTypes(species, locationCodes, habitatGemMap, gemTypes) {
+    const gemTypesFor = (codes) => {
+        const mapped = new Set((codes || []).map(code => habitatGemMap?.getGemType(code)));
+        return gemTypes.filter(gemType => mapped.has(gemType));
+    };
+    const locationGemTypes = gemTypesFor(locationCodes);
+    const fallbackGemTypes = locationGemTypes.length > 0 ? locationGemTypes : gemTypes;
+
+    const targets = [];
+    const seen = new Set();
+    (species || []).forEach(entry => {
+        const name = typeof entry === 'string' ? entry.trim() : entry?.name?.trim?.();
+        if (!name || seen.has(name)) return;
+        seen.add(name);
+        let speciesGemTypes = Array.isArray(entry?.habitats) ? gemTypesFor(entry.habitats) : [];
+        if (speciesGemTypes.length === 0) {
+            // Hashed from the name, so a species keeps its colour at a location
+            speciesGemTypes = [fallbackGemTypes[hashString(name) % fallbackGemTypes.length]];
+        }
+        targets.push({ name, gemTypes: speciesGemTypes });
+    });
+    return targets;
+}
+
+/**
+ * Tracks discovery progress for the species at the current location as phases resolve.
+ * Starts afresh with each board; discoveries themselves are kept by SpeciesCollection.
+ */
+export class SpeciesProgress {
+    /** @type {SpeciesTarget[]} */
+    targets;
+    /** @type {Map<string, number>} Gems of its types cleared per species name. */
+    cleared = new Map();
+    /** @type {Set<string>} Names discovered, at this location or before. */
+    discovered;
+
+    /**
+     * @param {SpeciesTarget[]} targets
+     * @param {Iterable<string>} [alreadyDiscovered] - Names in the player's collection; they can't be discovered again.
+     */
+    constructor(targets, alreadyDiscovered = []) {
+        this.targets = targets;
+        this.discovered = new Set(alreadyDiscovered);
+    }
+
+    /**
+     * @param {import('./ExplodeAndReplacePhase').ExplodeAndReplacePhase} phase
+     * @returns {Array<SpeciesTarget & {method: string}>} Species discovered by this phase. method is one of DISCOVERY_METHODS.
+     */
+    recordPhase(phase) {
+        const found = [];
+        this.targets.forEach(target => {
+            if (this.discovered.has(target.name)) return;
+            const cleared = target.gemTypes.reduce((sum, gemType) => sum + (phase.gemsClearedByType[gemType] || 0), 0);
+            this.cleared.set(target.name, (this.cleared.get(target.name) || 0) + cleared);
+            const combo = phase.activatedSpecials.some(({ gemType, special }) =>
+                target.gemTypes.includes(gemType) && SPECIES_DISCOVERY_SPECIALS.includes(special));
+            if (combo || this.cleared.get(target.name) >= SPECIES_GEMS_TO_DISCOVER) {
+                this.discovered.add(target.name);
+                found.push({ ...target, method: combo ? DISCOVERY_METHODS.COMBO : DISCOVERY_METHODS.GEMS });
+            }
+        });
+        return found;
+    }
+
+    /** @returns {SpeciesProgressState} Copy of the counts, for undo. */
+    getState() {
+        return { cleared: [...this.cleared], discovered: [...this.discovered] };
+    }
+
+    /** @param {SpeciesProgressState} state - From getState(). */
+    setState(state) {
+        this.cleared = new Map(state.cleared);
+        this.discovered = new Set(state.discovered);
+    }
+
+    /** @returns {Array<SpeciesTarget & {cleared: number, goal: number, discovered: boolean}>} */
+    getProgress() {
+        return this.targets.map(target => ({
+            ...target,
+            cleared: Math.min(this.cleared.get(target.name) || 0, SPECIES_GEMS_TO_DISCOVER),
+            goal: SPECIES_GEMS_TO_DISCOVER,
+            discovered: this.discovered.has(target.name)
+        }));
+    }
+}
+
+/**
+ * The player's discovered species, kept in versioned JSON across locations and page loads.
+ */
+export class SpeciesCollection {
+    /** @type {Storage | null} */
+    storage;
+    /** @type {string} */
+    key;
+    /** @type {Map<string, DiscoveredSpecies>} By species name, in discovery order. */
+    entries = new Map();
+
+    /**
+     * @param {Storage | null} [storage] - Defaults to window.localStorage when available.
+     * @param {string} [key]
+     */
+    constructor(storage = SessionStore.defaultStorage(), key = SPECIES_STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.load();
+    }
+
+    /** Reads the saved collection. An unreadable one is logged and left in storage untouched. */
+    load() {
+        this.entries = new Map();
+        const raw = this.storage?.getItem(this.key);
+        if (!raw) return;
+        try {
+            const saved = JSON.parse(raw);
+            if (saved?.v !== SPECIES_COLLECTION_VERSION || !Array.isArray(saved.species)) {
+                throw new Error(`Unsupported species collection version ${saved?.v}.`);
+            }
+            saved.species
+                .filter(entry => typeof entry?.name === 'string' && Array.isArray(entry.gemTypes))
+                .forEach(entry => this.entries.set(entry.name, entry));
+        } catch (error) {
+            console.error("SpeciesCollection: Could not read the saved collection:", error);
+        }
+    }
+
+    /** @returns {boolean} True if written. */
+    save() {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ v: SPECIES_COLLECTION_VERSION, species: this.getAll() }));
+            return true;
+        } catch (error) {
+            console.error("SpeciesCollection: Failed to save collection:", error);
+            return false;
+        }
+    }
+
+    /** @param {string} name @returns {boolean} */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Adds a discovery and saves the collection. A species already collected is left as it was.
+     * @param {SpeciesTarget & {method: string}} species
+     * @param {{lon: number, lat: number} | null} location - Where it was discovered.
+     * @returns {DiscoveredSpecies}
+     */
+    add({ name, gemTypes, method }, location) {
+        if (this.entries.has(name)) return this.entries.get(name);
+        const entry = { name, gemTypes: [...gemTypes], method, location: location || null, discoveredAt: new Date().toISOString() };
+        this.entries.set(name, entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Forgets a discovery, e.g. when the move that made it is undone, and saves the collection.
+     * @param {string} name
+     * @returns {boolean} False if it wasn't collected.
+     */
+    remove(name) {
+        if (!this.entries.delete(name)) return false;
+        this.save();
+        return true;
+    }
+
+    /** @returns {DiscoveredSpecies[]} In discovery order. */
+    getAll() {
+        return [...this.entries.values()];
+    }
+}
+
+/**
+ * @typedef {object} SpeciesTarget
+ * @property {string} name
+ * @property {string[]} gemTypes - Gem types whose clears count towards discovering it.
+ */
+
+/**
+ * @typedef {object} SpeciesProgressState
+ * @property {Array<[string, number]>} cleared - Entries of SpeciesProgress.cleared.
+ * @property {string[]} discovered
+ */
+
+/**
+ * @typedef {object} DiscoveredSpecies
+ * @property {string} name
+ * @property {string[]} gemTypes
+ * @property {string} method - One of DISCOVERY_METHODS.
+ * @property {{lon: number, lat: number} | null} location
+ * @property {string} discoveredAt - ISO timestamp.
+ */
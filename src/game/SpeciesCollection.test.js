@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { assignSpeciesGemTypes, SpeciesProgress, SpeciesCollection, DISCOVERY_METHODS, SPECIES_STORAGE_KEY } from './SpeciesCollection';
+import { parseHabitatGemMap } from './HabitatGemMap';
+import { hashString } from './SeededRandom';
+import { SPECIES_GEMS_TO_DISCOVER, SPECIAL_TYPES } from './constants';
+
+/** In-memory stand-in for localStorage. */
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+const phase = (gemsClearedByType, activatedSpecials = []) => ({ gemsClearedByType, activatedSpecials });
+
+describe('assignSpeciesGemTypes', () => {
+    const habitatGemMap = parseHabitatGemMap({
+        v: 1,
+        dataset: 'test',
+        mappings: [{ code: 104, gemType: 'green' }, { code: 1001, gemType: 'blue' }, { code: 1401, gemType: 'red' }]
+    });
+    const gemTypes = ['blue', 'green', 'red', 'white'];
+
+    it('uses a species\' own habitats, else one of the location\'s chosen from its name', () => {
+        const targets = assignSpeciesGemTypes(
+            [{ name: 'Otter', habitats: [1001, 1401] }, ' Alpine newt ', 'Alpine newt', { name: '' }],
+            [104, 1001],
+            habitatGemMap,
+            gemTypes
+        );
+        expect(targets).toEqual([
+            { name: 'Otter', gemTypes: ['blue', 'red'] },
+            { name: 'Alpine newt', gemTypes: [['blue', 'green'][hashString('Alpine newt') % 2]] }
+        ]);
+    });
+
+    it('falls back to every gem type when the location has no mapped habitats', () => {
+        const [target] = assignSpeciesGemTypes(['Fox'], [9999], habitatGemMap, gemTypes);
+        expect(target.gemTypes).toEqual([gemTypes[hashString('Fox') % gemTypes.length]]);
+    });
+});
+
+describe('SpeciesProgress', () => {
+    it('discovers a species once enough of its gems are cleared', () => {
+        const progress = new SpeciesProgress([{ name: 'Otter', gemTypes: ['blue', 'red'] }]);
+        expect(progress.recordPhase(phase({ blue: SPECIES_GEMS_TO_DISCOVER - 3, green: 10 }))).toEqual([]);
+        expect(progress.getProgress()[0]).toMatchObject({ cleared: SPECIES_GEMS_TO_DISCOVER - 3, discovered: false });
+        expect(progress.recordPhase(phase({ red: 3 }))).toEqual([{ name: 'Otter', gemTypes: ['blue', 'red'], method: DISCOVERY_METHODS.GEMS }]);
+        expect(progress.recordPhase(phase({ red: 30 }))).toEqual([]);
+    });
+
+    it('discovers a species at once with a bomb of its colour, but not one already collected', () => {
+        const bomb = [{ x: 0, y: 0, gemType: 'blue', special: SPECIAL_TYPES.BOMB }];
+        const progress = new SpeciesProgress([{ name: 'Otter', gemTypes: ['blue'] }, { name: 'Heron', gemTypes: ['blue'] }], ['Heron']);
+        expect(progress.recordPhase(phase({}, bomb)).map(({ name, method }) => [name, method])).toEqual([['Otter', DISCOVERY_METHODS.COMBO]]);
+    });
+
+    it('goes back to an earlier state, as undo does', () => {
+        const progress = new SpeciesProgress([{ name: 'Otter', gemTypes: ['blue'] }]);
+        progress.recordPhase(phase({ blue: 5 }));
+        const state = progress.getState();
+        progress.recordPhase(phase({ blue: SPECIES_GEMS_TO_DISCOVER }));
+        expect(progress.getProgress()[0].discovered).toBe(true);
+
+        progress.setState(state);
+        expect(progress.getProgress()[0]).toMatchObject({ cleared: 5, discovered: false });
+        expect(progress.recordPhase(phase({ blue: SPECIES_GEMS_TO_DISCOVER - 5 }))).toHaveLength(1);
+    });
+});
+
+describe('SpeciesCollection', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('keeps discoveries across loads and ignores repeats', () => {
+        const storage = memoryStorage();
+        const collection = new SpeciesCollection(storage);
+        const first = collection.add({ name: 'Otter', gemTypes: ['blue'], method: DISCOVERY_METHODS.GEMS }, { lon: 8.5, lat: 47.4 });
+        expect(collection.add({ name: 'Otter', gemTypes: ['red'], method: DISCOVERY_METHODS.COMBO }, null)).toBe(first);
+
+        const reloaded = new SpeciesCollection(storage);
+        expect(reloaded.getAll()).toEqual([first]);
+        expect(reloaded.has('Otter')).toBe(true);
+    });
+
+    it('forgets a discovery that is taken back', () => {
+        const storage = memoryStorage();
+        const collection = new SpeciesCollection(storage);
+        collection.add({ name: 'Otter', gemTypes: ['blue'], method: DISCOVERY_METHODS.GEMS }, null);
+        expect(collection.remove('Otter')).toBe(true);
+        expect(collection.remove('Otter')).toBe(false);
+        expect(new SpeciesCollection(storage).getAll()).toEqual([]);
+    });
+
+    it('starts empty but leaves an unreadable collection in storage', () => {
+        const storage = memoryStorage();
+        storage.setItem(SPECIES_STORAGE_KEY, JSON.stringify({ v: 99, species: [] }));
+        expect(new SpeciesCollection(storage).getAll()).toEqual([]);
+        expect(storage.getItem(SPECIES_STORAGE_KEY)).not.toBeNull();
+    });
+});
@@ -8,6 +8,47 @@ export const GRID_ROWS = 8;
 export const GEM_TYPES = ['black', 'blue', 'green', 'orange', 'red', 'white'];
 export const GEM_FRAME_COUNT = 8; // Number of frames per gem type (for explosion animation, etc.)
 
+// --- Spawning ---
+// Share of picks driven by the location's habitats (0-1); the rest are uniform over the board's gem types
+export const DEFAULT_HABITAT_BLEND = 1;
+
+// --- Special Gems ---
+// Left behind by bigger matches and stored on the grid cell as `special`, alongside `gemType`.
+export const SPECIAL_TYPES = {
+    LINE_ROW: 'line_row',     // 4 in a row: clears its whole row when exploded
+    LINE_COL: 'line_col',     // 4 in a column: clears its whole column when exploded
+    BOMB: 'bomb',             // L or T shape: clears the surrounding area when exploded
+    COLOR_BOMB: 'color_bomb'  // 5 or more in a line: clears every gem of its colour when exploded
+};
+export const SPECIAL_BOMB_RADIUS = 1; // 1 = 3x3 area
+
+// --- Species Discovery ---
+export const SPECIES_GEMS_TO_DISCOVER = 30; // Gems of a species' types to clear at its location
+// A special of a species' colour going off discovers it straight away
+export const SPECIES_DISCOVERY_SPECIALS = [SPECIAL_TYPES.BOMB, SPECIAL_TYPES.COLOR_BOMB];
+
+// --- Obstacles ---
+// Stored on the grid cell as `obstacle` (with `layers` for ice). Obstacle cells never move:
+// row/column shifts and gravity pass around them.
+export const OBSTACLE_TYPES = {
+    ROCK: 'rock',     // No gem, indestructible
+    ICE: 'ice',       // Frozen gem: can't match; each adjacent match or blast removes a layer
+    LOCKED: 'locked'  // Gem that still matches; the first match or blast breaks the lock instead of clearing it
+};
+export const ICE_MAX_LAYERS = 3;
+
+// --- Dead Board Handling ---
+export const RESHUFFLE_MAX_ATTEMPTS = 50; // Permutations tried before regenerating the board from the habitat mix
+
+// --- Scoring ---
+export const SCORE_PER_GEM = 10;                 // Base points for every exploded gem
+export const SCORE_BONUS_MATCH_4 = 20;           // Extra points for a 4-long match
+export const SCORE_BONUS_MATCH_5_PLUS = 50;      // Extra points for a match of 5 or more
+export const SCORE_BONUS_INTERSECTION = 30;      // Extra points per gem shared by a row and a column match
+export const SCORE_PER_SPECIAL_CLEAR = 15;       // Points per extra gem cleared by a special gem activation
+export const SCORE_CASCADE_MULTIPLIER_STEP = 0.5; // Multiplier grows by this per cascade level (1x, 1.5x, 2x...)
+export const SCORE_CASCADE_MULTIPLIER_MAX = 4;
+
 // --- Paths ---
 export const ASSETS_PATH = 'assets/';
 
@@ -18,15 +59,50 @@ export const TWEEN_DURATION_FALL_BASE = 200;      // Base time for falling
 export const TWEEN_DURATION_FALL_PER_UNIT = 0.4;  // Additional ms per pixel distance fallen (adjust for speed)
 export const TWEEN_DURATION_FALL_MAX = 450;       // Maximum fall duration
 export const TWEEN_DURATION_LAYOUT_UPDATE = 150;  // Resize/orientation change tween
+export const TWEEN_DURATION_SPECIAL = 250;        // Special gem creation pop / activation flash
+export const TWEEN_DURATION_SHUFFLE = 450;        // Gems flying to their new cells on a reshuffle
+export const TWEEN_DURATION_SHAKE = 50;           // One swing of the "no match" shake
 
 // --- Input Thresholds ---
 export const DRAG_THRESHOLD = 10;       // Pixels pointer must move before drag direction is locked
 export const MOVE_THRESHOLD = 0.3;      // Fraction of gem size dragged needed to register as a move
 
+// --- Rule Modes ---
+export const RULE_MODES = {
+    ZEN: 'zen',       // Any shift is committed, match or not
+    STRICT: 'strict'  // Shifts that don't produce a match are rejected and snapped back
+};
+export const DEFAULT_RULE_MODE = RULE_MODES.ZEN;
+
+// --- Game Modes (free play; levels bring their own limits) ---
+export const GAME_MODES = {
+    ENDLESS: 'endless', // No limit, play until you pick another location
+    MOVES: 'moves',     // Game ends after MODE_MOVE_LIMIT moves
+    TIMED: 'timed'      // Game ends when MODE_TIME_LIMIT_SECONDS run out
+};
+export const DEFAULT_GAME_MODE = GAME_MODES.ENDLESS;
+export const MODE_MOVE_LIMIT = 30;
+export const MODE_TIME_LIMIT_SECONDS = 120;
+// Why a game ended, passed to the GameOver scene
+export const GAME_END_REASONS = {
+    OBJECTIVES_MET: 'objectives', // Level won
+    OUT_OF_MOVES: 'moves',
+    TIME_UP: 'time'
+};
+
+// --- Undo / Redo ---
+export const HISTORY_MAX_SIZE = 50; // Committed moves that can be undone
+
+// --- Hints ---
+export const HINT_IDLE_DELAY = 8000;    // Ms without input before the best move is highlighted (0 disables)
+export const TWEEN_DURATION_HINT_PULSE = 600; // One half of the hint highlight's pulse
+
 // --- Asset Keys (Centralized Naming) ---
 export const AssetKeys = {
     LOGO: 'logo',
     BACKGROUND: 'background',
+    LEVELS: 'levels', // JSON level pack, see src/game/Level.js
+    HABITAT_GEM_MAPS: 'habitatGemMaps', // JSON habitat-to-gem tables, see src/game/HabitatGemMap.js
     // Helper to get gem texture key (assuming frame 0 is the default idle state)
     GEM_TEXTURE: (type, frame = 0) => `${type}_gem_${frame}`,
     // Add sound keys here when implemented
@@ -2,12 +2,29 @@
 import Phaser from 'phaser';
 import { BackendPuzzle } from '../BackendPuzzle';
 import { MoveAction } from '../MoveAction';
+import { dragToMoveAction, moveKeyboardCursor, shiftKeyboardLine, keyboardShiftToMoveAction } from '../MoveInput';
 import { BoardView } from '../BoardView';
+import { SeededRandom } from '../SeededRandom';
+import { SessionStore } from '../SessionStore';
+import { ReplayRecorder } from '../ReplayRecorder';
+import { resolveBoardConfig, MIN_BOARD_SIZE, MAX_BOARD_SIZE, MIN_GEM_TYPES } from '../BoardConfig';
+import { parseLevel, parseLevelPack, layoutToGrid, LevelProgress, LEVEL_OUTCOMES } from '../Level';
+import { parseHabitatGemMapPack, selectHabitatGemMap } from '../HabitatGemMap';
+import { SpeciesCollection, SpeciesProgress, assignSpeciesGemTypes } from '../SpeciesCollection';
+import { InventoryStore, INVENTORY_ITEMS, INVENTORY_ITEM_KINDS, BOOSTER_EFFECTS, DEFAULT_PLAYER_ID } from '../InventoryStore';
 import {
-    GRID_COLS, GRID_ROWS, AssetKeys,
-    DRAG_THRESHOLD, MOVE_THRESHOLD // ASSETS_PATH might not be needed here
+    AssetKeys, DEFAULT_RULE_MODE, GAME_MODES, DEFAULT_GAME_MODE, GAME_END_REASONS,
+    MODE_MOVE_LIMIT, MODE_TIME_LIMIT_SECONDS, HISTORY_MAX_SIZE,
+    DRAG_THRESHOLD, HINT_IDLE_DELAY // ASSETS_PATH might not be needed here
 } from '../constants';
 import { EventBus } from '../EventBus'; // Import EventBus
+import { GAME_EVENTS } from '../GameEvents';
+
+// Arrow keys as [dx, dy] grid steps, for keyboard play
+const ARROW_STEPS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+// Keys typed into the React UI's fields aren't meant for the board
+const isTypingInField = (event) => !!event.target?.closest?.('input, textarea, select, [contenteditable="true"]');
 
 // GAME_API_BASE_URL is not directly used here anymore for initial fetch,
 // as CesiumMap.jsx handles the API call.
@@ -20,6 +37,10 @@ export class Game extends Phaser.Scene {
     backendPuzzle = null;
     /** @type {BoardView | null} */
     boardView = null;
+    /** @type {import('../EventBus').EventScope | null} EventBus handlers, cleared on shutdown. */
+    eventScope = null;
+    /** @type {ViewRepairTotals} Sprites fixed by reconcileBoard since the scene started, for diagnostics. */
+    viewRepairs = Game.emptyViewRepairs();
 
     // --- Controller State ---
     /** @type {boolean} */
@@ -40,6 +61,52 @@ export class Game extends Phaser.Scene {
     draggingSprites = [];
     /** @type {Array<{x: number, y: number, gridX: number, gridY: number}>} */
     dragStartSpritePositions = [];
+    /** @type {{x: number, y: number} | null} */
+    keyboardCursor = null; // Cell the arrow keys act on; null until the keyboard is first used on this board
+    /** @type {boolean} */
+    keyboardCursorShown = false; // Hidden while the pointer is in use
+    /** @type {number | null} */
+    keyboardShift = null; // Whole cells the line grabbed with the keyboard is shifted by; null when none is grabbed
+
+    // --- Board Configuration ---
+    /** @type {import('../BoardConfig').BoardConfig} */
+    boardConfig = resolveBoardConfig(); // Board size and gem set; survives scene restarts unless overridden
+
+    // --- Levels ---
+    /** @type {string | object | null} Level id or definition requested via scene data. */
+    levelRequest = null;
+    /** @type {import('../Level').LevelDefinition | null} Level in play; null in free play. */
+    level = null;
+    /** @type {LevelProgress | null} */
+    levelProgress = null;
+
+    // --- Game Mode / Limits ---
+    /** @type {string} */
+    gameMode = DEFAULT_GAME_MODE; // One of GAME_MODES, for free play (levels bring their own limits)
+    /** @type {{moves: number | null, seconds: number | null}} */
+    limits = { moves: null, seconds: null };
+    /** @type {number | null} */
+    secondsLeft = null;
+    /** @type {Phaser.Time.TimerEvent | null} */
+    limitTimer = null;
+    /** @type {boolean} */
+    gameEnded = false;
+    /** @type {Object<string, number>} Gems cleared per type since the board was dealt. */
+    gemsClearedByType = {};
+    /** @type {Phaser.GameObjects.Text | null} */
+    counterText = null;
+
+    // --- Species ---
+    /** @type {SpeciesCollection | null} Species the player has discovered, across locations. */
+    speciesCollection = null;
+    /** @type {SpeciesProgress | null} Discovery progress for the species at the current location. */
+    speciesProgress = null;
+
+    // --- Inventory ---
+    /** @type {string} Whose inventory cleared gems are credited to. */
+    playerId = DEFAULT_PLAYER_ID;
+    /** @type {InventoryStore | null} */
+    inventory = null;
 
     // --- Layout ---
     /** @type {number} */
@@ -48,20 +115,69 @@ export class Game extends Phaser.Scene {
     boardOffset = { x: 0, y: 0 };
 
     // --- Backend Data (now received via EventBus) ---
-    /** @type {number[] | null} */
+    /** @type {import('../BackendPuzzle').HabitatInfluence | null} */
     currentHabitatValues = null;
-    /** @type {string[] | null} */
+    /** @type {import('../BackendPuzzle').HabitatZoneGrid | null} Habitat grid sampled around the location, if the map sent one. */
+    currentHabitatZones = null;
+    /** @type {Array<string | {name: string, habitats?: number[]}> | null} Species names, or names with their own habitat codes. */
     currentSpeciesNames = null;
+    /** @type {{lon: number, lat: number} | null} */
+    currentLocation = null;
+    /** @type {import('../HabitatGemMap').HabitatGemMap[] | null} Parsed once from the JSON pack, kept across restarts. */
+    habitatGemMaps = null;
+    /** @type {import('../HabitatGemMap').HabitatGemMap | null} Table for the current location's map dataset. */
+    habitatGemMap = null;
     /** @type {boolean} */
     isBoardInitialized = false; // Tracks if board has been set up with Cesium data
 
+    // --- Persistence ---
+    /** @type {SessionStore | null} */
+    sessionStore = null;
+    /** @type {Phaser.GameObjects.Container | null} */
+    resumePrompt = null;
+    /** @type {ReplayRecorder | null} */
+    replayRecorder = null;
+
      /** @type {Phaser.GameObjects.Text | null} */
     statusText = null; // For displaying "Waiting for location..." or errors
 
+    // --- Hints ---
+    /** @type {number} */
+    hintIdleDelay = HINT_IDLE_DELAY; // Ms of inactivity before a hint is shown; 0 disables auto hints
+    /** @type {Phaser.Time.TimerEvent | null} */
+    hintTimer = null;
+
+    // --- Rules ---
+    /** @type {string} */
+    ruleMode = DEFAULT_RULE_MODE; // One of RULE_MODES; 'zen' commits any shift, 'strict' needs a match
+
     constructor() {
         super('Game');
     }
 
+    /**
+     * @param {object} [data] - Passed via scene.start('Game', data).
+     * @param {number} [data.hintIdleDelay] - Overrides HINT_IDLE_DELAY for this session.
+     * @param {string} [data.ruleMode] - One of RULE_MODES. Defaults to DEFAULT_RULE_MODE.
+     * @param {string | Partial<import('../BoardConfig').BoardConfig>} [data.boardConfig] - Preset name from
+     *     BOARD_PRESETS or { cols, rows, gemTypes }. Defaults to the board used last time.
+     * @param {string | object} [data.level] - Level id from the level pack, or a level definition.
+     *     Starts that level right away instead of waiting for a map location.
+     * @param {string} [data.mode] - One of GAME_MODES for free play. Defaults to the mode used last time.
+     * @param {string} [data.playerId] - Inventory to credit. Defaults to the player from last time.
+     */
+    init(data) {
+        this.playerId = data?.playerId || this.playerId;
+        this.gameMode = Object.values(GAME_MODES).includes(data?.mode) ? data.mode : this.gameMode;
+        this.levelRequest = data?.level || null;
+        this.level = null;
+        this.levelProgress = null;
+        this.boardConfig = resolveBoardConfig(data?.boardConfig || this.boardConfig);
+        this.hintIdleDelay = Number.isFinite(data?.hintIdleDelay) ? data.hintIdleDelay : HINT_IDLE_DELAY;
+        this.ruleMode = data?.ruleMode || DEFAULT_RULE_MODE;
+        this.viewRepairs = Game.emptyViewRepairs();
+    }
+
     create() {
         console.log("Game Scene: create");
         const { width, height } = this.scale;
@@ -87,12 +203,8 @@ export class Game extends Phaser.Scene {
         ).setOrigin(0.5).setDepth(100);
 
         // Prepare BackendPuzzle and BoardView instances, but don't create board visuals yet.
-        this.backendPuzzle = new BackendPuzzle(GRID_COLS, GRID_ROWS);
-        this.calculateBoardDimensions(); // Initial calculation for gemSize, boardOffset
-        this.boardView = new BoardView(this, {
-            cols: GRID_COLS, rows: GRID_ROWS,
-            gemSize: this.gemSize, boardOffset: this.boardOffset
-        });
+        this.habitatGemMap = this.habitatGemMap || selectHabitatGemMap(this.getHabitatGemMaps(), null);
+        this.applyBoardConfig(this.boardConfig);
         // boardView.createBoard will be called in initializeBoardFromCesium
 
         // --- Setup Input Handlers (will only work if canMove is true) ---
@@ -102,25 +214,76 @@ export class Game extends Phaser.Scene {
         this.input.on(Phaser.Input.Events.POINTER_MOVE, this.handlePointerMove, this);
         this.input.on(Phaser.Input.Events.POINTER_UP, this.handlePointerUp, this);
         this.input.on(Phaser.Input.Events.POINTER_UP_OUTSIDE, this.handlePointerUp, this);
+        this.input.keyboard?.on('keydown', this.handleKeyDown, this);
+        // Dev builds only: Shift+C copies the board as text, Shift+V loads one (see "Board Notation" in README.md)
+        if (import.meta.env?.DEV) this.input.keyboard?.on('keydown', this.handleDevKey, this);
 
         // --- Setup Resize Listener ---
         this.scale.on(Phaser.Scale.Events.RESIZE, this.handleResize, this);
 
         // --- Listen for Cesium location selection ---
-        EventBus.on('cesium-location-selected', this.initializeBoardFromCesium, this);
+        this.eventScope = EventBus.scope();
+        this.eventScope.on(GAME_EVENTS.CESIUM_LOCATION_SELECTED, this.initializeBoardFromCesium, this);
         console.log("Game Scene: Listening for 'cesium-location-selected' event.");
+        this.eventScope.on(GAME_EVENTS.HINT_REQUESTED, this.showHint, this);
+        this.eventScope.on(GAME_EVENTS.SET_RULE_MODE, this.setRuleMode, this);
+        this.eventScope.on(GAME_EVENTS.UNDO_REQUESTED, this.undoMove, this);
+        this.eventScope.on(GAME_EVENTS.REDO_REQUESTED, this.redoMove, this);
 
         this.resetDragState();
         this.canMove = false; // Input disabled until board is initialized
         this.isBoardInitialized = false;
 
-        EventBus.emit('current-scene-ready', this);
+        this.eventScope.on(GAME_EVENTS.REPLAY_EXPORT_REQUESTED, this.exportReplay, this);
+        this.eventScope.on(GAME_EVENTS.REPLAY_PLAY_REQUESTED, this.playReplay, this);
+        this.eventScope.on(GAME_EVENTS.SET_BOARD_CONFIG, this.setBoardConfig, this);
+        this.eventScope.on(GAME_EVENTS.LEVEL_REQUESTED, this.requestLevel, this);
+        this.eventScope.on(GAME_EVENTS.SET_GAME_MODE, this.setGameMode, this);
+        // Phaser doesn't call shutdown() by itself; hook it so listeners don't pile up across restarts
+        this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+
+        this.replayRecorder = new ReplayRecorder();
+
+        // Offer to pick up where a previous page load left off
+        this.sessionStore = new SessionStore();
+        this.speciesCollection = new SpeciesCollection();
+        EventBus.emit(GAME_EVENTS.SPECIES_COLLECTION_CHANGED, this.speciesCollection.getAll());
+        this.inventory = new InventoryStore(this.playerId);
+        this.emitInventoryChanged();
+        this.eventScope.on(GAME_EVENTS.INVENTORY_SPEND_REQUESTED, this.spendInventory, this);
+        const levels = this.getLevelPack();
+        EventBus.emit(GAME_EVENTS.LEVELS_AVAILABLE, levels.map(({ id, name }) => ({ id, name })));
+        if (this.levelRequest) {
+            this.startLevelFromRequest(this.levelRequest, levels);
+        } else {
+            const savedSession = this.sessionStore.load();
+            if (savedSession) {
+                this.offerResume(savedSession);
+            } else if (this.sessionStore.discardReason && this.statusText && this.statusText.active) {
+                this.statusText.setText("Your saved game could not be resumed and was cleared.\nSelect a location on the map.");
+            }
+        }
+
+        EventBus.emit(GAME_EVENTS.CURRENT_SCENE_READY, this);
         console.log("Game Scene: Create method finished. Waiting for Cesium data.");
     }
 
     // Method to handle data from CesiumMap via EventBus
     initializeBoardFromCesium(data) {
         console.log("Game Scene: Received 'cesium-location-selected' data:", data);
+        if (this.level) {
+            // A level keeps its own board; a new location just restarts it with that habitat mix
+            if (!this.canMove || this.isDragging || !data?.habitats) return;
+            this.currentHabitatValues = data.habitats;
+            this.currentHabitatZones = data.habitatGrid || null;
+            this.currentSpeciesNames = data.species || [];
+            this.currentLocation = Number.isFinite(data.lon) && Number.isFinite(data.lat) ? { lon: data.lon, lat: data.lat } : null;
+            this.useHabitatDataset(data.dataset);
+            this.reportUnmappedHabitats();
+            this.startLevel(this.level);
+            return;
+        }
+        this.dismissResumePrompt(); // Picking a new location starts a new session
         this.canMove = false; // Disable input while processing
         this.isBoardInitialized = false;
 
@@ -136,40 +299,41 @@ export class Game extends Phaser.Scene {
             }
 
             this.currentHabitatValues = data.habitats || [];
+            this.currentHabitatZones = data.habitatGrid || null;
             this.currentSpeciesNames = data.species || []; // Store if needed for other mechanics
+            const hasLocation = Number.isFinite(data.lon) && Number.isFinite(data.lat);
+            this.currentLocation = hasLocation ? { lon: data.lon, lat: data.lat } : null;
 
             if (!this.backendPuzzle) { // Should have been created in create()
-                this.backendPuzzle = new BackendPuzzle(GRID_COLS, GRID_ROWS);
+                this.applyBoardConfig(this.boardConfig);
             }
-            if (this.backendPuzzle.setHabitatInfluence) {
-                this.backendPuzzle.setHabitatInfluence(this.currentHabitatValues);
-            } else {
-                console.warn("BackendPuzzle does not have 'setHabitatInfluence'. Gem spawning might not be influenced.");
+            this.useHabitatDataset(data.dataset);
+            this.reportUnmappedHabitats();
+            // Explicit seed wins, then the clicked location, so a reported board can be rebuilt
+            let seed = SeededRandom.randomSeed();
+            if (Number.isFinite(data.seed)) {
+                seed = data.seed;
+            } else if (hasLocation) {
+                seed = SeededRandom.seedFromLocation(data.lon, data.lat);
             }
-
-            // Recalculate dimensions in case of resize before first init
-            this.calculateBoardDimensions();
-            if (!this.boardView) { // Should have been created in create()
-                 this.boardView = new BoardView(this, {
-                    cols: GRID_COLS, rows: GRID_ROWS,
-                    gemSize: this.gemSize, boardOffset: this.boardOffset
-                });
-            } else {
-                // Update layout if already exists (e.g. resize happened)
-                this.boardView.updateVisualLayout(this.gemSize, this.boardOffset);
+            // A heavily skewed habitat mix can deal a board with no possible match; startBoard reshuffles it
+            const { reshuffled, regenerated } = this.backendPuzzle.startBoard(seed, this.currentHabitatValues, this.currentHabitatZones);
+            if (reshuffled) {
+                EventBus.emit(GAME_EVENTS.BOARD_SHUFFLED, { reason: 'initial', regenerated });
             }
 
-            // Now (re)create the board visuals
-            if (this.boardView.destroyBoard) this.boardView.destroyBoard(); // Clear old sprites if any
-            this.boardView.createBoard(this.backendPuzzle.getGridState());
+            this.replayRecorder.start({
+                seed,
+                habitats: this.currentHabitatValues,
+                location: this.currentLocation,
+                puzzle: this.backendPuzzle.serialize(),
+                fromSeed: true
+            });
 
-            if (this.statusText && this.statusText.active) {
-                this.statusText.destroy();
-                this.statusText = null;
-            }
-            this.isBoardInitialized = true;
-            this.canMove = true; // Enable input
-            console.log("Game Scene: Board initialized from Cesium data. Input enabled.");
+            this.presentBoard();
+            this.startLimits(Game.limitsForMode(this.gameMode));
+            this.saveSession();
+            console.log(`Game Scene: Board initialized from Cesium data (seed ${this.backendPuzzle.getSeed()}). Input enabled.`);
 
         } catch (error) {
             console.error("Game Scene: Error initializing board from Cesium data:", error);
@@ -183,22 +347,846 @@ export class Game extends Phaser.Scene {
         }
     }
 
+    /** Builds the board visuals from the model and enables input. */
+    presentBoard() {
+        // Recalculate dimensions in case of resize before first init
+        this.calculateBoardDimensions();
+        if (!this.boardView) { // Should have been created in create()
+             this.boardView = new BoardView(this, {
+                cols: this.boardConfig.cols, rows: this.boardConfig.rows,
+                gemSize: this.gemSize, boardOffset: this.boardOffset
+            });
+        } else {
+            // Update layout if already exists (e.g. resize happened)
+            this.boardView.updateVisualLayout(this.gemSize, this.boardOffset);
+        }
+
+        // Now (re)create the board visuals
+        if (this.boardView.destroyBoard) this.boardView.destroyBoard(); // Clear old sprites if any
+        this.boardView.createBoard(this.backendPuzzle.getGridState());
+
+        if (this.statusText && this.statusText.active) {
+            this.statusText.destroy();
+            this.statusText = null;
+        }
+        this.isBoardInitialized = true;
+        this.emitScoreChanged();
+        this.emitHistoryChanged();
+        this.emitSpawnDistribution();
+        this.emitLocationChanged();
+        this.startSpeciesTracking();
+        this.canMove = true; // Enable input
+        this.scheduleHint();
+    }
+
+    // --- Board Configuration ---
+    /**
+     * Replaces the model and view with empty ones for a new board size / gem set.
+     * The caller deals the board (startBoard or restoreState) and presents it.
+     * @param {string | Partial<import('../BoardConfig').BoardConfig>} config
+     */
+    applyBoardConfig(config) {
+        this.boardConfig = resolveBoardConfig(config);
+        const { cols, rows, gemTypes, habitatBlend } = this.boardConfig;
+        if (this.boardView) this.boardView.destroyBoard();
+        this.keyboardCursor = null; // May not fit the new size
+        this.keyboardCursorShown = false;
+
+        this.backendPuzzle = new BackendPuzzle(cols, rows, { gemTypes, habitatBlend, habitatGemMap: this.habitatGemMap });
+        this.backendPuzzle.setRuleMode(this.ruleMode);
+        this.calculateBoardDimensions(); // gemSize depends on the number of cells
+        this.boardView = new BoardView(this, {
+            cols, rows,
+            gemSize: this.gemSize, boardOffset: this.boardOffset
+        });
+    }
+
+    /**
+     * Switches board size / gem set from the UI ('set-board-config'). A board in play is
+     * re-dealt at the same location, which starts a new session.
+     * @param {string | Partial<import('../BoardConfig').BoardConfig>} config
+     */
+    setBoardConfig(config) {
+        if (this.level) {
+            console.warn("Game Scene: Levels define their own board.");
+            EventBus.emit(GAME_EVENTS.BOARD_CONFIG_CHANGED, { ...this.boardConfig });
+            return;
+        }
+        if (this.isDragging || (this.isBoardInitialized && !this.canMove)) {
+            console.warn("Game Scene: Can't change the board while a move is in progress.");
+            return;
+        }
+        const hadBoard = this.isBoardInitialized;
+        this.clearHint();
+        this.isBoardInitialized = false;
+        this.canMove = false;
+        this.applyBoardConfig(config);
+        EventBus.emit(GAME_EVENTS.BOARD_CONFIG_CHANGED, { ...this.boardConfig });
+
+        if (hadBoard) {
+            this.initializeBoardFromCesium({
+                habitats: this.currentHabitatValues || [],
+                habitatGrid: this.currentHabitatZones,
+                species: this.currentSpeciesNames || [],
+                ...(this.currentLocation || {})
+            });
+        }
+    }
+
+    // --- Habitat Gem Maps ---
+    /** @returns {import('../HabitatGemMap').HabitatGemMap[]} Habitat-to-gem tables from the JSON pack (first is the default). */
+    getHabitatGemMaps() {
+        if (this.habitatGemMaps) return this.habitatGemMaps;
+        const pack = this.cache.json.get(AssetKeys.HABITAT_GEM_MAPS);
+        try {
+            this.habitatGemMaps = pack ? parseHabitatGemMapPack(pack) : [];
+        } catch (error) {
+            console.error("Game Scene: Could not read the habitat gem maps:", error);
+            this.habitatGemMaps = [];
+        }
+        if (this.habitatGemMaps.length === 0) {
+            console.warn("Game Scene: No habitat gem map loaded. Gems will spawn at random.");
+        }
+        return this.habitatGemMaps;
+    }
+
+    /**
+     * Switches to the habitat-to-gem table for a map dataset. Takes effect on the next board dealt.
+     * @param {string | null | undefined} dataset - From 'cesium-location-selected'; missing uses the default table.
+     */
+    useHabitatDataset(dataset) {
+        const map = selectHabitatGemMap(this.getHabitatGemMaps(), dataset);
+        if (map === this.habitatGemMap) return;
+        this.habitatGemMap = map;
+        this.backendPuzzle?.setHabitatGemMap(map);
+    }
+
+    /** @returns {number[]} Every habitat code received for the location, zones included (may repeat). */
+    getLocationHabitatCodes() {
+        const inputs = [this.currentHabitatValues, ...(this.currentHabitatZones || []).flat()];
+        return inputs.flatMap(input => BackendPuzzle.normalizeHabitatInfluence(typeof input === 'number' ? [input] : input).codes);
+    }
+
+    /**
+     * Reports habitat codes for the current location that the active table can't map (they spawn
+     * random gems instead), so the table can be fixed. Emits 'habitat-codes-unmapped'.
+     */
+    reportUnmappedHabitats() {
+        if (!this.habitatGemMap) return;
+        const codes = this.habitatGemMap.recordHabitats(this.getLocationHabitatCodes());
+        if (codes.length === 0) return;
+        console.warn(`Game Scene: Habitat codes with no gem mapping in '${this.habitatGemMap.dataset}':`, codes);
+        EventBus.emit(GAME_EVENTS.HABITAT_CODES_UNMAPPED, {
+            dataset: this.habitatGemMap.dataset,
+            codes,
+            location: this.currentLocation,
+            report: this.habitatGemMap.getUnmappedReport()
+        });
+    }
+
+    // --- Levels ---
+    /** @returns {import('../Level').LevelDefinition[]} Levels from the pack loaded by the Preloader. */
+    getLevelPack() {
+        const pack = this.cache.json.get(AssetKeys.LEVELS);
+        if (!pack) return [];
+        try {
+            return parseLevelPack(pack);
+        } catch (error) {
+            console.error("Game Scene: Could not read the level pack:", error);
+            return [];
+        }
+    }
+
+    /**
+     * Restarts the scene for a level chosen in the UI ('level-requested').
+     * @param {string | null} levelId - Null or '' returns to free play.
+     */
+    requestLevel(levelId) {
+        if (this.isDragging || (this.isBoardInitialized && !this.canMove)) {
+            console.warn("Game Scene: Can't switch levels while a move is in progress.");
+            return;
+        }
+        this.scene.restart({ level: levelId || null, ruleMode: this.ruleMode, mode: this.gameMode });
+    }
+
+    /**
+     * @param {string | object} request - Level id from the pack, or a level definition.
+     * @param {import('../Level').LevelDefinition[]} levels
+     */
+    startLevelFromRequest(request, levels) {
+        try {
+            const level = typeof request === 'string' ? levels.find(l => l.id === request) : parseLevel(request);
+            if (!level) throw new Error(`No level with id '${request}'.`);
+            this.startLevel(level);
+        } catch (error) {
+            console.error("Game Scene: Could not start level:", error);
+            if (this.statusText && this.statusText.active) {
+                this.statusText.setText(`Could not start level:\n${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Deals a level's board (fixed layout or seed + habitats), places its obstacles and starts its limits.
+     * @param {import('../Level').LevelDefinition} level
+     */
+    startLevel(level) {
+        this.dismissResumePrompt();
+        this.stopLimitTimer();
+        this.level = level;
+        this.levelProgress = new LevelProgress(level);
+        this.isBoardInitialized = false;
+
+        this.applyBoardConfig(level.board);
+        let seed = SeededRandom.randomSeed();
+        if (level.seed !== null) {
+            seed = level.seed;
+        } else if (this.currentLocation) {
+            seed = SeededRandom.seedFromLocation(this.currentLocation.lon, this.currentLocation.lat);
+        }
+        const habitats = this.currentHabitatValues || [];
+        const layout = layoutToGrid(level);
+        if (layout) {
+            this.backendPuzzle.startBoardFromLayout(seed, habitats, layout, this.currentHabitatZones);
+        } else {
+            const { reshuffled, regenerated } = this.backendPuzzle.startBoard(seed, habitats, this.currentHabitatZones);
+            if (reshuffled) EventBus.emit(GAME_EVENTS.BOARD_SHUFFLED, { reason: 'initial', regenerated });
+        }
+        // Only a plain seeded deal can be rebuilt by startBoard alone when replaying
+        const fromSeed = !layout && level.obstacles.length === 0;
+        if (!fromSeed) {
+            this.backendPuzzle.placeObstacles(level.obstacles);
+            if (!this.backendPuzzle.hasAnyValidMove()) {
+                const { moves } = this.backendPuzzle.reshuffle();
+                EventBus.emit(GAME_EVENTS.BOARD_SHUFFLED, { reason: 'initial', regenerated: moves === null });
+            }
+        }
+
+        this.replayRecorder.start({
+            seed,
+            habitats,
+            location: this.currentLocation,
+            puzzle: this.backendPuzzle.serialize(),
+            fromSeed
+        });
+
+        EventBus.emit(GAME_EVENTS.BOARD_CONFIG_CHANGED, { ...this.boardConfig });
+        this.presentBoard();
+        this.startLimits(level.limits);
+        console.log(`Game Scene: Level '${level.id}' started (seed ${seed}).`);
+    }
+
+    emitLevelProgress() {
+        if (!this.level || !this.backendPuzzle) return;
+        const movesUsed = this.backendPuzzle.getMoveCount();
+        EventBus.emit(GAME_EVENTS.LEVEL_PROGRESS, {
+            id: this.level.id,
+            name: this.level.name,
+            movesUsed,
+            movesLeft: this.limits.moves !== null ? Math.max(0, this.limits.moves - movesUsed) : null,
+            secondsLeft: this.secondsLeft,
+            objectives: this.levelProgress.getObjectives(this.backendPuzzle.getScore())
+        });
+    }
+
+    // --- Game Modes / Limits ---
+    /**
+     * @param {string} mode - One of GAME_MODES.
+     * @returns {{moves: number | null, seconds: number | null}}
+     */
+    static limitsForMode(mode) {
+        switch (mode) {
+            case GAME_MODES.MOVES: return { moves: MODE_MOVE_LIMIT, seconds: null };
+            case GAME_MODES.TIMED: return { moves: null, seconds: MODE_TIME_LIMIT_SECONDS };
+            default: return { moves: null, seconds: null };
+        }
+    }
+
+    /**
+     * Switches the free-play mode from the UI ('set-game-mode'). A board in play is re-dealt at
+     * the same location, so the new limits start from a fresh board.
+     * @param {string} mode - One of GAME_MODES.
+     */
+    setGameMode(mode) {
+        if (!Object.values(GAME_MODES).includes(mode)) {
+            console.warn(`Game Scene: Unknown game mode '${mode}'.`);
+            return;
+        }
+        if (this.level) {
+            console.warn("Game Scene: Levels define their own limits.");
+            return;
+        }
+        if (this.isDragging || (this.isBoardInitialized && !this.canMove)) {
+            console.warn("Game Scene: Can't change mode while a move is in progress.");
+            return;
+        }
+        this.gameMode = mode;
+        EventBus.emit(GAME_EVENTS.GAME_MODE_CHANGED, mode);
+        if (this.isBoardInitialized) {
+            this.initializeBoardFromCesium({
+                habitats: this.currentHabitatValues || [],
+                habitatGrid: this.currentHabitatZones,
+                species: this.currentSpeciesNames || [],
+                ...(this.currentLocation || {})
+            });
+        }
+    }
+
+    /**
+     * Starts the move/time limits for a freshly presented board.
+     * @param {{moves: number | null, seconds: number | null}} limits
+     * @param {object} [progress] - Carried over when resuming a saved session.
+     * @param {number | null} [progress.movesLimit] - Move limit including extra-moves boosters.
+     * @param {number | null} [progress.secondsLeft]
+     * @param {Object<string, number>} [progress.gemsClearedByType]
+     */
+    startLimits(limits, progress = {}) {
+        this.stopLimitTimer();
+        this.limits = { ...limits };
+        if (limits.moves !== null && Number.isInteger(progress.movesLimit)) this.limits.moves = progress.movesLimit;
+        this.gameEnded = false;
+        this.gemsClearedByType = { ...(progress.gemsClearedByType || {}) };
+        this.secondsLeft = limits.seconds !== null ? (progress.secondsLeft ?? limits.seconds) : null;
+        // Levels and limited runs are scored as played, so undo would only be a way around the limit
+        const limited = !!this.level || limits.moves !== null || limits.seconds !== null;
+        this.backendPuzzle.historyLimit = limited ? 0 : HISTORY_MAX_SIZE;
+        if (limited) this.backendPuzzle.clearHistory();
+        this.emitHistoryChanged();
+        if (this.secondsLeft !== null) {
+            this.limitTimer = this.time.addEvent({
+                delay: 1000,
+                loop: true,
+                callback: this.tickLimitTimer,
+                callbackScope: this
+            });
+        }
+        this.updateProgressDisplay();
+        this.checkEndConditions(); // A resumed save may already be out of moves or time
+    }
+
+    tickLimitTimer() {
+        if (this.gameEnded || this.secondsLeft === null || this.secondsLeft === 0) return;
+        this.secondsLeft--;
+        this.updateProgressDisplay();
+        if (this.secondsLeft === 0) this.checkEndConditions();
+    }
+
+    stopLimitTimer() {
+        if (this.limitTimer) {
+            this.limitTimer.remove(false);
+            this.limitTimer = null;
+        }
+    }
+
+    /**
+     * Counts a move's cleared gems towards the game, the level, species and the inventory. What it
+     * credited is kept on the move's undo step, so undo can take it back (see applyMoveCredit).
+     * @param {import('../ExplodeAndReplacePhase').ExplodeAndReplacePhase[]} phases
+     */
+    recordClearedGems(phases) {
+        const speciesBefore = this.speciesProgress?.getState() ?? null;
+        const discovered = [];
+        phases.forEach(phase => {
+            Object.entries(phase.gemsClearedByType).forEach(([gemType, count]) => {
+                this.gemsClearedByType[gemType] = (this.gemsClearedByType[gemType] || 0) + count;
+            });
+            this.levelProgress?.recordPhase(phase);
+            discovered.push(...this.recordSpeciesPhase(phase));
+        });
+        if (this.speciesProgress) EventBus.emit(GAME_EVENTS.SPECIES_PROGRESS, this.speciesProgress.getProgress());
+        const { gems, habitats } = this.creditInventory(phases);
+        this.backendPuzzle?.setLastMoveCredit({
+            gems,
+            habitats,
+            location: this.currentLocation,
+            speciesBefore,
+            speciesAfter: this.speciesProgress?.getState() ?? null,
+            discovered
+        });
+    }
+
+    /**
+     * Takes back (on undo) or gives again (on redo) everything recordClearedGems credited for a move,
+     * so undoing and redoing a move can't be used to farm gems or species.
+     * @param {MoveCredit | undefined} credit - From the move's undo step.
+     * @param {boolean} reverse - True on undo.
+     */
+    applyMoveCredit(credit, reverse) {
+        if (!credit) return;
+        const sign = reverse ? -1 : 1;
+        Object.entries(credit.gems).forEach(([gemType, count]) => {
+            this.gemsClearedByType[gemType] = (this.gemsClearedByType[gemType] || 0) + sign * count;
+        });
+        if (this.inventory && Object.keys(credit.gems).length > 0) {
+            if (reverse) {
+                this.inventory.debit(credit.gems, credit.habitats, credit.location);
+            } else {
+                this.inventory.credit(credit.gems, credit.habitats, credit.location);
+            }
+            this.emitInventoryChanged();
+        }
+        const speciesState = reverse ? credit.speciesBefore : credit.speciesAfter;
+        if (this.speciesProgress && speciesState) {
+            this.speciesProgress.setState(speciesState);
+            EventBus.emit(GAME_EVENTS.SPECIES_PROGRESS, this.speciesProgress.getProgress());
+        }
+        if (this.speciesCollection && credit.discovered.length > 0) {
+            credit.discovered.forEach(entry => {
+                if (reverse) {
+                    this.speciesCollection.remove(entry.name);
+                } else {
+                    this.speciesCollection.add(entry, entry.location);
+                }
+            });
+            EventBus.emit(GAME_EVENTS.SPECIES_COLLECTION_CHANGED, this.speciesCollection.getAll());
+        }
+    }
+
+    // --- Inventory ---
+    /**
+     * Credits every cleared gem to the player's inventory, by type and by the habitat it came from.
+     * @param {import('../ExplodeAndReplacePhase').ExplodeAndReplacePhase[]} phases
+     * @returns {{gems: Object<string, number>, habitats: Object<string, number>}} What was credited.
+     */
+    creditInventory(phases) {
+        const gems = {};
+        const habitats = {};
+        if (!this.backendPuzzle) return { gems, habitats };
+        phases.forEach(phase => phase.clearedGems.forEach(({ x, y, gemType }) => {
+            gems[gemType] = (gems[gemType] || 0) + 1;
+            const origin = this.backendPuzzle.getHabitatOrigin(gemType, x, y);
+            if (origin !== null) habitats[origin] = (habitats[origin] || 0) + 1;
+        }));
+        if (this.inventory && Object.keys(gems).length > 0) {
+            this.inventory.credit(gems, habitats, this.currentLocation);
+            this.emitInventoryChanged();
+        }
+        return { gems, habitats };
+    }
+
+    emitInventoryChanged() {
+        if (!this.inventory) return;
+        EventBus.emit(GAME_EVENTS.INVENTORY_CHANGED, { playerId: this.playerId, inventory: this.inventory.getSnapshot() });
+    }
+
+    /**
+     * Spends inventory on a booster for the current game or on a conservation unlock. Triggered by
+     * the React 'inventory-spend-requested' event; emits 'inventory-spend-failed' with the reason
+     * if nothing was spent.
+     * @param {{playerId?: string, itemId: string}} request
+     */
+    spendInventory({ playerId, itemId } = {}) {
+        if (!this.inventory || (playerId && playerId !== this.playerId)) return;
+        const item = INVENTORY_ITEMS[itemId];
+        let reason = null;
+        if (item?.kind === INVENTORY_ITEM_KINDS.BOOSTER) {
+            if (!this.isBoardInitialized || this.gameEnded) {
+                reason = "Boosters need a game in progress.";
+            } else if (item.effect === BOOSTER_EFFECTS.MOVES && this.limits.moves === null) {
+                reason = `${item.name} only works in games with a move limit.`;
+            } else if (item.effect === BOOSTER_EFFECTS.SECONDS && this.secondsLeft === null) {
+                reason = `${item.name} only works in timed games.`;
+            }
+        }
+        reason = reason || this.inventory.spend(itemId).reason;
+        if (reason) {
+            console.warn("Game Scene: Could not spend inventory:", reason);
+            EventBus.emit(GAME_EVENTS.INVENTORY_SPEND_FAILED, { playerId: this.playerId, itemId, reason });
+            return;
+        }
+
+        if (item.effect === BOOSTER_EFFECTS.MOVES) {
+            this.limits.moves += item.amount;
+        } else if (item.effect === BOOSTER_EFFECTS.SECONDS) {
+            this.secondsLeft += item.amount;
+        } else {
+            EventBus.emit(GAME_EVENTS.CONSERVATION_UNLOCKED, { playerId: this.playerId, itemId, name: item.name });
+        }
+        console.log(`Game Scene: Spent inventory on '${itemId}'.`);
+        this.emitInventoryChanged();
+        if (item.kind === INVENTORY_ITEM_KINDS.BOOSTER) {
+            this.updateProgressDisplay();
+            this.saveSession();
+        }
+    }
+
+    // --- Species ---
+    /**
+     * Starts discovery progress for the species at the location, each tied to gem types of its
+     * habitats. Every new board starts afresh; species already collected stay collected.
+     */
+    startSpeciesTracking() {
+        if (!this.speciesCollection || !this.backendPuzzle) return;
+        const targets = assignSpeciesGemTypes(
+            this.currentSpeciesNames, this.getLocationHabitatCodes(), this.habitatGemMap, this.backendPuzzle.gemTypes
+        );
+        this.speciesProgress = new SpeciesProgress(targets, this.speciesCollection.getAll().map(({ name }) => name));
+        EventBus.emit(GAME_EVENTS.SPECIES_PROGRESS, this.speciesProgress.getProgress());
+    }
+
+    /**
+     * Adds species discovered by a phase to the collection. Emits 'species-discovered' for each.
+     * @param {import('../ExplodeAndReplacePhase').ExplodeAndReplacePhase} phase
+     * @returns {import('../SpeciesCollection').DiscoveredSpecies[]} The new collection entries.
+     */
+    recordSpeciesPhase(phase) {
+        if (!this.speciesProgress) return [];
+        const found = this.speciesProgress.recordPhase(phase);
+        const entries = found.map(species => {
+            const entry = this.speciesCollection.add(species, this.currentLocation);
+            console.log(`Game Scene: Discovered species '${entry.name}' (${entry.method}).`);
+            EventBus.emit(GAME_EVENTS.SPECIES_DISCOVERED, { ...entry, collected: this.speciesCollection.entries.size });
+            return entry;
+        });
+        if (found.length > 0) EventBus.emit(GAME_EVENTS.SPECIES_COLLECTION_CHANGED, this.speciesCollection.getAll());
+        return entries;
+    }
+
+    /**
+     * Ends the game when a level is won/lost or the mode runs out of moves or time.
+     * Waits for any move in progress (cascades included) to settle first.
+     */
+    checkEndConditions() {
+        if (this.gameEnded || !this.isBoardInitialized || !this.backendPuzzle) return;
+        const score = this.backendPuzzle.getScore();
+        const movesUsed = this.backendPuzzle.getMoveCount();
+        const timeUp = this.secondsLeft === 0;
+        const outOfMoves = this.limits.moves !== null && movesUsed >= this.limits.moves;
+
+        let outcome = null;
+        if (this.level) {
+            outcome = this.levelProgress.getOutcome({ score, movesUsed, timeUp, moveLimit: this.limits.moves });
+            if (!outcome) return;
+        } else if (!timeUp && !outOfMoves) {
+            return;
+        }
+        if (!this.canMove) return; // processPointerUp checks again once the cascade is done
+        if (this.isDragging) this.cancelDrag("Game over");
+
+        let reason = timeUp ? GAME_END_REASONS.TIME_UP : GAME_END_REASONS.OUT_OF_MOVES;
+        if (outcome === LEVEL_OUTCOMES.WON) reason = GAME_END_REASONS.OBJECTIVES_MET;
+        this.endGame(reason, outcome);
+    }
+
+    /**
+     * Stops play and hands the results to the GameOver scene.
+     * @param {string} reason - One of GAME_END_REASONS.
+     * @param {string | null} outcome - One of LEVEL_OUTCOMES for levels, null for free play.
+     */
+    endGame(reason, outcome) {
+        this.gameEnded = true;
+        this.canMove = false;
+        this.stopLimitTimer();
+        this.clearHint();
+        if (!this.level) this.sessionStore?.clear(); // A finished run has nothing left to resume
+
+        const score = this.backendPuzzle.getScore();
+        const results = {
+            mode: this.level ? 'level' : this.gameMode,
+            reason,
+            outcome,
+            score,
+            movesUsed: this.backendPuzzle.getMoveCount(),
+            gemsClearedByType: { ...this.gemsClearedByType },
+            location: this.currentLocation,
+            level: this.level ? { id: this.level.id, name: this.level.name } : null,
+            stars: this.level ? this.levelProgress.getStars(score, outcome) : null,
+            objectives: this.level ? this.levelProgress.getObjectives(score) : null
+        };
+        EventBus.emit(GAME_EVENTS.GAME_ENDED, results);
+        console.log(`Game Scene: Game ended (${reason}).`, results);
+        this.time.delayedCall(600, () => this.scene.start('GameOver', results));
+    }
+
+    /** Refreshes the in-scene moves/time counter, the React HUD and the React level panel. */
+    updateProgressDisplay() {
+        this.updateCounterText();
+        this.emitLimitsChanged();
+        this.emitLevelProgress();
+    }
+
+    /** Moves used and the moves/time left in the current mode or level, for the React HUD. */
+    emitLimitsChanged() {
+        if (!this.backendPuzzle || !this.isBoardInitialized) return;
+        const movesUsed = this.backendPuzzle.getMoveCount();
+        EventBus.emit(GAME_EVENTS.LIMITS_CHANGED, {
+            mode: this.level ? 'level' : this.gameMode,
+            movesUsed,
+            movesLeft: this.limits.moves !== null ? Math.max(0, this.limits.moves - movesUsed) : null,
+            secondsLeft: this.secondsLeft
+        });
+    }
+
+    updateCounterText() {
+        if (!this.backendPuzzle || !this.isBoardInitialized) {
+            if (this.counterText) this.counterText.setVisible(false);
+            return;
+        }
+        const movesUsed = this.backendPuzzle.getMoveCount();
+        const parts = [this.limits.moves !== null
+            ? `Moves ${Math.max(0, this.limits.moves - movesUsed)} left`
+            : `Moves ${movesUsed}`];
+        if (this.secondsLeft !== null) {
+            const minutes = Math.floor(this.secondsLeft / 60);
+            const seconds = String(this.secondsLeft % 60).padStart(2, '0');
+            parts.push(`Time ${minutes}:${seconds}`);
+        }
+
+        if (!this.counterText || !this.counterText.active) {
+            this.counterText = this.add.text(0, 0, '', {
+                fontSize: '18px', color: '#ffffff', backgroundColor: '#000000aa', padding: { x: 8, y: 3 }
+            }).setOrigin(0.5).setDepth(90);
+        }
+        const warn = (this.secondsLeft !== null && this.secondsLeft <= 10)
+            || (this.limits.moves !== null && this.limits.moves - movesUsed <= 3);
+        this.counterText
+            .setText(parts.join('   '))
+            .setColor(warn ? '#ff6666' : '#ffffff')
+            .setVisible(true);
+        this.positionCounterText();
+    }
+
+    positionCounterText() {
+        if (!this.counterText) return;
+        this.counterText.setPosition(this.scale.width / 2, Math.max(14, this.boardOffset.y / 2));
+    }
+
+    // --- Session Save / Resume ---
+    /** Persists the current session so it can be resumed after a reload. */
+    saveSession() {
+        // Levels are short and replayable; saving one would overwrite the free-play session
+        if (!this.sessionStore || !this.isBoardInitialized || !this.backendPuzzle || this.level) return;
+        this.sessionStore.save({
+            location: this.currentLocation,
+            habitats: this.currentHabitatValues || [],
+            species: this.currentSpeciesNames || [],
+            puzzle: this.backendPuzzle.serialize(),
+            mode: {
+                id: this.gameMode,
+                movesLimit: this.limits.moves,
+                secondsLeft: this.secondsLeft,
+                gemsClearedByType: this.gemsClearedByType
+            }
+        });
+    }
+
+    /** Shows a Resume / New game choice for a session left over from a previous page load. */
+    offerResume(session) {
+        const { width, height } = this.scale;
+        const where = session.location
+            ? `at ${session.location.lat.toFixed(3)}, ${session.location.lon.toFixed(3)}`
+            : 'at your last location';
+        const buttonStyle = { fontSize: '20px', color: '#ffffff', backgroundColor: '#0ec3c9', padding: { x: 14, y: 6 } };
+
+        this.resumePrompt = this.add.container(width / 2, height / 2).setDepth(110);
+        const message = this.add.text(0, -40,
+            `Resume your game ${where}?\nScore ${session.puzzle.score || 0}, ${session.puzzle.moveCount || 0} moves`,
+            { fontSize: '20px', color: '#ffffff', backgroundColor: '#000000cc', padding: { x: 10, y: 5 }, align: 'center' }
+        ).setOrigin(0.5);
+        const resumeButton = this.add.text(-70, 30, 'Resume', buttonStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        const newButton = this.add.text(70, 30, 'New game', { ...buttonStyle, backgroundColor: '#555555' }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        this.resumePrompt.add([message, resumeButton, newButton]);
+
+        resumeButton.once('pointerdown', () => {
+            this.dismissResumePrompt();
+            this.resumeSession(session);
+        });
+        newButton.once('pointerdown', () => {
+            this.dismissResumePrompt();
+            this.sessionStore.clear();
+            if (this.statusText && this.statusText.active) this.statusText.setVisible(true);
+        });
+        if (this.statusText && this.statusText.active) this.statusText.setVisible(false);
+    }
+
+    dismissResumePrompt() {
+        if (this.resumePrompt) {
+            this.resumePrompt.destroy(true);
+            this.resumePrompt = null;
+        }
+    }
+
+    /** Rebuilds the board, habitats and progress from a saved session. */
+    resumeSession(session) {
+        this.canMove = false;
+        this.isBoardInitialized = false;
+        try {
+            this.currentHabitatValues = session.habitats || [];
+            this.currentHabitatZones = session.puzzle.habitatZones || null;
+            this.currentSpeciesNames = session.species || [];
+            this.currentLocation = session.location || null;
+            const { width, height, gemTypes, habitatDataset } = session.puzzle;
+            this.useHabitatDataset(habitatDataset);
+            if (width !== this.backendPuzzle.width || height !== this.backendPuzzle.height) {
+                // The save was made on a different board size; switch to it rather than discarding the save
+                this.applyBoardConfig({ cols: width, rows: height, gemTypes });
+                EventBus.emit(GAME_EVENTS.BOARD_CONFIG_CHANGED, { ...this.boardConfig });
+            }
+            this.backendPuzzle.restoreState(session.puzzle);
+            this.boardConfig.gemTypes = [...this.backendPuzzle.gemTypes];
+            this.setRuleMode(this.backendPuzzle.getRuleMode());
+            const { mode } = session;
+            this.gameMode = Object.values(GAME_MODES).includes(mode.id) ? mode.id : DEFAULT_GAME_MODE;
+            EventBus.emit(GAME_EVENTS.GAME_MODE_CHANGED, this.gameMode);
+            // A resumed board can't be regenerated from its seed, so the replay starts from the snapshot
+            this.replayRecorder.start({
+                seed: session.puzzle.seed,
+                habitats: this.currentHabitatValues,
+                location: this.currentLocation,
+                puzzle: session.puzzle,
+                fromSeed: false
+            });
+            this.presentBoard();
+            this.startLimits(Game.limitsForMode(this.gameMode), mode);
+            EventBus.emit(GAME_EVENTS.SESSION_RESTORED, {
+                location: this.currentLocation,
+                habitats: this.currentHabitatValues,
+                species: this.currentSpeciesNames
+            });
+            console.log("Game Scene: Resumed saved session.");
+        } catch (error) {
+            console.error("Game Scene: Could not resume saved session:", error);
+            this.sessionStore.clear();
+            this.canMove = false;
+            this.isBoardInitialized = false;
+            if (this.statusText && this.statusText.active) {
+                this.statusText.setVisible(true).setText("Saved game could not be loaded.\nSelect a location on the map.");
+            }
+        }
+    }
+
+    // --- Replays ---
+    /** Sends the current recording to the React UI as a JSON string ('replay-exported'). */
+    exportReplay() {
+        if (!this.replayRecorder || !this.replayRecorder.isRecording()) {
+            console.warn("Game Scene: Nothing recorded yet; select a location first.");
+            return;
+        }
+        EventBus.emit(GAME_EVENTS.REPLAY_EXPORTED, this.replayRecorder.toJSON());
+    }
+
+    /**
+     * Switches to the Replay scene.
+     * @param {string | object} [replaySource] - A replay file (JSON string or object); defaults to the current recording.
+     */
+    playReplay(replaySource) {
+        if (this.isDragging || (this.isBoardInitialized && !this.canMove)) {
+            console.warn("Game Scene: Can't start a replay while a move is in progress.");
+            return;
+        }
+        try {
+            const replay = replaySource ? ReplayRecorder.parse(replaySource) : this.replayRecorder?.getReplay();
+            if (!replay) {
+                console.warn("Game Scene: No replay to play.");
+                return;
+            }
+            this.scene.start('Replay', { replay });
+        } catch (error) {
+            console.error("Game Scene: Invalid replay:", error);
+        }
+    }
+
+    // --- Board Notation (dev) ---
+    /** @param {KeyboardEvent} event */
+    handleDevKey(event) {
+        if (!event.shiftKey || event.ctrlKey || event.metaKey || event.altKey || isTypingInField(event)) return;
+        if (event.code === 'KeyC') this.copyBoardNotation();
+        else if (event.code === 'KeyV') this.promptBoardNotation();
+    }
+
+    /** Copies the board's text notation to the clipboard, or shows it in a prompt if that isn't allowed. */
+    copyBoardNotation() {
+        if (!this.isBoardInitialized || !this.backendPuzzle) return;
+        const notation = this.backendPuzzle.toNotation();
+        console.log("Game Scene: Board notation:", notation);
+        const showNotation = () => window.prompt("Board notation (copy it from here):", notation);
+        if (navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(notation).catch(showNotation);
+        } else {
+            showNotation();
+        }
+    }
+
+    /** Asks for a board notation and loads it. */
+    promptBoardNotation() {
+        if (this.isDragging || (this.isBoardInitialized && !this.canMove)) {
+            console.warn("Game Scene: Can't load a board while a move is in progress.");
+            return;
+        }
+        const notation = window.prompt("Paste a board notation:");
+        if (!notation) return;
+        try {
+            this.loadBoardNotation(notation);
+        } catch (error) {
+            console.error("Game Scene: Could not load board notation:", error);
+            window.alert(error.message);
+        }
+    }
+
+    /**
+     * Replaces the board with one written in text notation, switching the board size and gem set
+     * to match. The current location's habitats still drive spawns that the notation's queue
+     * doesn't cover. Starts a new session, like picking a location. Empty ('.') cells are rejected.
+     * @param {string} notation
+     */
+    loadBoardNotation(notation) {
+        if (this.level) throw new Error("Levels define their own board.");
+        const loaded = BackendPuzzle.fromNotation(notation);
+        const { width, height, gemTypes } = loaded;
+        if ([width, height].some(size => size < MIN_BOARD_SIZE || size > MAX_BOARD_SIZE)) {
+            throw new Error(`Boards must be ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE} cells each way, got ${width}x${height}.`);
+        }
+        if (gemTypes.length < MIN_GEM_TYPES) throw new Error(`Boards need at least ${MIN_GEM_TYPES} gem types.`);
+        // The live board never holds gaps between phases; '.' is only for tests and bug reports
+        const gridState = loaded.getGridState();
+        const emptyX = gridState.findIndex(column => column.includes(null));
+        if (emptyX !== -1) {
+            const emptyY = gridState[emptyX].indexOf(null);
+            throw new Error(`Live boards can't have empty cells, found one at row ${emptyY + 1}, cell ${emptyX + 1}.`);
+        }
+
+        this.dismissResumePrompt();
+        this.clearHint();
+        this.canMove = false;
+        this.isBoardInitialized = false;
+        this.applyBoardConfig({ ...this.boardConfig, cols: width, rows: height, gemTypes });
+        EventBus.emit(GAME_EVENTS.BOARD_CONFIG_CHANGED, { ...this.boardConfig });
+        this.backendPuzzle.startBoardFromLayout(
+            loaded.getSeed(), this.currentHabitatValues || [], gridState, this.currentHabitatZones
+        );
+        this.backendPuzzle.rng.setState(loaded.rng.getState());
+        this.backendPuzzle.addNextGemsToSpawn(loaded.nextGemsToSpawn);
+
+        // Not dealt from the seed, so the replay starts from the snapshot
+        this.replayRecorder.start({
+            seed: loaded.getSeed(),
+            habitats: this.currentHabitatValues || [],
+            location: this.currentLocation,
+            puzzle: this.backendPuzzle.serialize(),
+            fromSeed: false
+        });
+        this.presentBoard();
+        this.startLimits(Game.limitsForMode(this.gameMode));
+        this.saveSession();
+        console.log(`Game Scene: Loaded board from notation (${width}x${height}, seed ${loaded.getSeed()}).`);
+    }
+
     // fetchLocationData is NO LONGER CALLED by Game.js directly for initialization.
     // It's now handled by CesiumMap.jsx. Kept for reference or other potential uses.
     // async fetchLocationData(lon, lat) { ... }
 
     // --- Layout ---
     calculateBoardDimensions() {
-        // ... (same as your provided version, uses imported GRID_COLS, GRID_ROWS)
+        const { cols, rows } = this.boardConfig;
         const { width, height } = this.scale;
         if (width <= 0 || height <= 0) { console.warn("Invalid scale dimensions."); return; }
         const usableWidth = width * 0.95;
         const usableHeight = height * 0.90;
-        const sizeFromWidth = Math.floor(usableWidth / GRID_COLS);
-        const sizeFromHeight = Math.floor(usableHeight / GRID_ROWS);
+        const sizeFromWidth = Math.floor(usableWidth / cols);
+        const sizeFromHeight = Math.floor(usableHeight / rows);
         this.gemSize = Math.max(24, Math.min(sizeFromWidth, sizeFromHeight));
-        const boardWidth = GRID_COLS * this.gemSize;
-        const boardHeight = GRID_ROWS * this.gemSize;
+        const boardWidth = cols * this.gemSize;
+        const boardHeight = rows * this.gemSize;
         this.boardOffset = {
             x: Math.round((width - boardWidth) / 2),
             y: Math.round((height - boardHeight) / 2)
@@ -223,6 +1211,9 @@ export class Game extends Phaser.Scene {
             // This will use the newly calculated this.gemSize and this.boardOffset
             this.boardView.updateVisualLayout(this.gemSize, this.boardOffset);
         }
+        // Mid-move the view is meant to lag the model; the move reconciles when it's done
+        if (this.canMove && !this.isDragging) this.reconcileBoard('resize');
+        this.positionCounterText();
     }
 
     // --- Input Handling ---
@@ -233,6 +1224,9 @@ export class Game extends Phaser.Scene {
             // console.log("   PointerDown blocked.");
             return;
         }
+        this.clearHint();
+        if (this.keyboardShift !== null) this.cancelDrag("Pointer used during a keyboard move");
+        this.hideKeyboardCursor();
         // ... (rest of handlePointerDown is the same as your provided version)
         if(this.isDragging) {
             console.warn("PointerDown occurred while already dragging? Resetting drag state.");
@@ -241,8 +1235,9 @@ export class Game extends Phaser.Scene {
 
         const worldX = pointer.x;
         const worldY = pointer.y;
-        const boardWidth = GRID_COLS * this.gemSize;
-        const boardHeight = GRID_ROWS * this.gemSize;
+        const { cols, rows } = this.boardConfig;
+        const boardWidth = cols * this.gemSize;
+        const boardHeight = rows * this.gemSize;
         const boardRect = new Phaser.Geom.Rectangle(
              this.boardOffset.x, this.boardOffset.y,
              boardWidth, boardHeight
@@ -254,8 +1249,8 @@ export class Game extends Phaser.Scene {
 
         const gridX = Math.floor((worldX - this.boardOffset.x) / this.gemSize);
         const gridY = Math.floor((worldY - this.boardOffset.y) / this.gemSize);
-        this.dragStartX = Phaser.Math.Clamp(gridX, 0, GRID_COLS - 1);
-        this.dragStartY = Phaser.Math.Clamp(gridY, 0, GRID_ROWS - 1);
+        this.dragStartX = Phaser.Math.Clamp(gridX, 0, cols - 1);
+        this.dragStartY = Phaser.Math.Clamp(gridY, 0, rows - 1);
         this.dragStartPointerX = worldX;
         this.dragStartPointerY = worldY;
         this.isDragging = true;
@@ -266,8 +1261,7 @@ export class Game extends Phaser.Scene {
      }
 
      handlePointerMove(pointer) {
-         // ... (same as your provided version, uses imported GRID_COLS, GRID_ROWS)
-         if (!this.isDragging) { return; };
+         if (!this.isDragging || this.keyboardShift !== null) { return; };
 
          if (!this.canMove || !this.isBoardInitialized || !this.boardView) {
              if (this.isDragging) this.cancelDrag("Blocked during move");
@@ -285,27 +1279,7 @@ export class Game extends Phaser.Scene {
          const deltaY = worldY - this.dragStartPointerY;
 
          if (!this.dragDirection && (Math.abs(deltaX) > DRAG_THRESHOLD || Math.abs(deltaY) > DRAG_THRESHOLD)) {
-             this.dragDirection = Math.abs(deltaX) > Math.abs(deltaY) ? 'row' : 'col';
-             const allSprites = this.boardView.getGemsSprites();
-             if (!allSprites) { this.cancelDrag("BoardView sprites unavailable"); return; }
-
-             const index = (this.dragDirection === 'row') ? this.dragStartY : this.dragStartX;
-             const limit = (this.dragDirection === 'row') ? GRID_COLS : GRID_ROWS;
-             this.draggingSprites = [];
-             this.dragStartSpritePositions = [];
-
-             for (let i = 0; i < limit; i++) {
-                 const xPos = (this.dragDirection === 'row') ? i : index;
-                 const yPos = (this.dragDirection === 'row') ? index : i;
-                 const sprite = allSprites[xPos]?.[yPos];
-
-                 if (sprite && sprite.active) {
-                     this.draggingSprites.push(sprite);
-                     this.dragStartSpritePositions.push({ x: sprite.x, y: sprite.y, gridX: xPos, gridY: yPos });
-                     this.tweens.killTweensOf(sprite);
-                 }
-             }
-             if (this.draggingSprites.length === 0) { this.cancelDrag("No sprites in dragged line"); return; }
+             if (!this.grabLine(Math.abs(deltaX) > Math.abs(deltaY) ? 'row' : 'col')) return;
          }
 
          if (this.dragDirection && this.boardView) {
@@ -319,6 +1293,8 @@ export class Game extends Phaser.Scene {
          // ... (same as your provided version)
         // console.log(`>>> PointerUp triggered. State: isDragging=${this.isDragging}, canMove=${this.canMove}, isBoardInitialized=${this.isBoardInitialized}`);
 
+        if (this.keyboardShift !== null) return; // A keyboard move ends with Enter or Escape
+
         if (!this.isDragging) {
             this.resetDragState();
             return;
@@ -330,7 +1306,6 @@ export class Game extends Phaser.Scene {
            return;
         }
 
-        const wasDragging = this.isDragging; // Store before reset
         const dragDirection = this.dragDirection;
         const dSprites = [...this.draggingSprites]; // Shallow copy
         const dStartPositions = [...this.dragStartSpritePositions]; // Shallow copy
@@ -354,6 +1329,122 @@ export class Game extends Phaser.Scene {
         this.processPointerUp(moveAction, dSprites, dStartPositions);
      }
 
+    /**
+     * Picks up the row or column through the drag start cell, recording where each of its sprites
+     * starts. Obstacles stay put. Cancels the drag if nothing in the line can move.
+     * @param {'row' | 'col'} direction
+     * @returns {boolean} True if the line was grabbed.
+     */
+    grabLine(direction) {
+        const allSprites = this.boardView.getGemsSprites();
+        if (!allSprites) { this.cancelDrag("BoardView sprites unavailable"); return false; }
+
+        this.dragDirection = direction;
+        const index = (direction === 'row') ? this.dragStartY : this.dragStartX;
+        const limit = (direction === 'row') ? this.boardConfig.cols : this.boardConfig.rows;
+        this.draggingSprites = [];
+        this.dragStartSpritePositions = [];
+
+        for (let i = 0; i < limit; i++) {
+            const xPos = (direction === 'row') ? i : index;
+            const yPos = (direction === 'row') ? index : i;
+            const sprite = allSprites[xPos]?.[yPos];
+
+            if (sprite && sprite.active && !this.boardView.isFixedCell(xPos, yPos)) { // Obstacles stay put
+                this.draggingSprites.push(sprite);
+                this.dragStartSpritePositions.push({ x: sprite.x, y: sprite.y, gridX: xPos, gridY: yPos });
+                this.tweens.killTweensOf(sprite);
+            }
+        }
+        if (this.draggingSprites.length === 0) { this.cancelDrag("No sprites in dragged line"); return false; }
+        return true;
+    }
+
+    // --- Keyboard Input ---
+    /**
+     * Arrows move the cursor; Shift+arrow grabs the cursor's row (left/right) or column (up/down)
+     * and shifts it a cell, and further arrows along it shift it more. Enter commits the shift
+     * through processPointerUp like a drag, Escape puts the line back.
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || isTypingInField(event)) return;
+        if (!this.canMove || !this.isBoardInitialized || !this.boardView || !this.backendPuzzle) return;
+        const step = ARROW_STEPS[event.code];
+
+        if (this.keyboardShift !== null) {
+            if (step) {
+                this.shiftKeyboardGrab(step);
+            } else if (event.code === 'Enter' || event.code === 'NumpadEnter') {
+                this.commitKeyboardGrab();
+            } else if (event.code === 'Escape') {
+                this.cancelDrag("Keyboard move cancelled");
+            } else {
+                return;
+            }
+            event.preventDefault();
+            return;
+        }
+        if (!step || this.isDragging) return;
+        event.preventDefault(); // Arrows would otherwise scroll the page
+        this.clearHint();
+        this.scheduleHint();
+        if (!this.keyboardCursorShown) {
+            // The first press only shows where the cursor is
+            const { cols, rows } = this.boardConfig;
+            this.keyboardCursor = this.keyboardCursor || { x: Math.floor(cols / 2), y: Math.floor(rows / 2) };
+            this.showKeyboardCursor();
+        } else if (event.shiftKey) {
+            this.startKeyboardGrab(step);
+        } else {
+            this.keyboardCursor = moveKeyboardCursor(this.keyboardCursor, step, this.boardConfig);
+            this.showKeyboardCursor();
+        }
+    }
+
+    /** @param {[number, number]} step - The arrow that grabbed the line; it also shifts it one cell. */
+    startKeyboardGrab(step) {
+        const direction = step[0] !== 0 ? 'row' : 'col';
+        this.dragStartX = this.keyboardCursor.x;
+        this.dragStartY = this.keyboardCursor.y;
+        this.isDragging = true;
+        if (!this.grabLine(direction)) return;
+        this.keyboardShift = 0;
+        this.showKeyboardCursor();
+        this.shiftKeyboardGrab(step);
+    }
+
+    /** @param {[number, number]} step - Arrows across the grabbed line are ignored. */
+    shiftKeyboardGrab(step) {
+        const shift = shiftKeyboardLine(this.keyboardShift, step, this.dragDirection, this.boardConfig);
+        if (shift === this.keyboardShift) return;
+        this.keyboardShift = shift;
+        const delta = this.keyboardShift * this.gemSize;
+        this.boardView.moveDraggingSprites(this.draggingSprites, this.dragStartSpritePositions, delta, delta, this.dragDirection);
+    }
+
+    /** Turns the keyboard shift into a MoveAction, exactly as a drag of the same length would. */
+    commitKeyboardGrab() {
+        const moveAction = keyboardShiftToMoveAction(this.keyboardShift, this.dragDirection, this.dragStartX, this.dragStartY,
+            { ...this.boardConfig, gemSize: this.gemSize });
+        const dSprites = [...this.draggingSprites];
+        const dStartPositions = [...this.dragStartSpritePositions];
+        this.resetDragState();
+        this.showKeyboardCursor();
+        this.processPointerUp(moveAction, dSprites, dStartPositions);
+    }
+
+    showKeyboardCursor() {
+        if (!this.boardView || !this.keyboardCursor) return;
+        this.keyboardCursorShown = true;
+        this.boardView.showCursor(this.keyboardCursor.x, this.keyboardCursor.y, this.keyboardShift !== null ? this.dragDirection : null);
+    }
+
+    hideKeyboardCursor() {
+        this.keyboardCursorShown = false;
+        if (this.boardView) this.boardView.hideCursor();
+    }
+
      // processPointerUp, applyMoveAndHandleResults, handleCascades, animatePhase, resetDragState,
      // cancelDrag, calculateMoveAction, disableTouchScrolling, enableTouchScrolling are
      // the same as your provided (and my previous) versions. Ensure they use imported constants.
@@ -375,9 +1466,24 @@ export class Game extends Phaser.Scene {
                 // console.log(`   Processing move: ${moveAction.rowOrCol}[${moveAction.index}] by ${moveAction.amount}`);
                 if (!this.boardView || !this.backendPuzzle) throw new Error("BoardView or BackendPuzzle missing during processing");
 
+                if (!this.backendPuzzle.isValidMove(moveAction)) {
+                    // Strict mode: the shift makes no match, so put the line back and say so
+                    await this.boardView.snapBack(dSprites, dStartPositions);
+                    await this.boardView.shakeSprites(dSprites, moveAction.rowOrCol);
+                    EventBus.emit(GAME_EVENTS.MOVE_REJECTED, { move: moveAction, ruleMode: this.backendPuzzle.getRuleMode() });
+                    return;
+                }
+
                 this.boardView.updateGemsSpritesArrayAfterMove(moveAction);
                 this.boardView.snapDraggedGemsToFinalGridPositions();
-                await this.applyMoveAndHandleResults(moveAction);
+                const phases = await this.applyMoveAndHandleResults(moveAction);
+                this.recordClearedGems(phases);
+                this.updateProgressDisplay();
+                await this.reshuffleIfDeadBoard();
+                this.reconcileBoard('move');
+                this.replayRecorder?.recordMove(moveAction, phases, this.backendPuzzle.getGridState());
+                this.emitHistoryChanged();
+                this.saveSession();
             } else {
                 // console.log("   Processing snap back (no move threshold).");
                 if (this.boardView) {
@@ -386,42 +1492,222 @@ export class Game extends Phaser.Scene {
             }
         } catch (error) {
             console.error("Error processing pointer up action:", error);
-             if (this.boardView) {
-                 console.warn("Attempting board sync after error.");
-                 this.boardView.syncSpritesToGridPositions();
-             }
+             this.reconcileBoard('error');
         } finally {
             this.canMove = true;
+            this.checkEndConditions();
+            if (this.canMove) this.scheduleHint();
             // console.log(">>> processPointerUp COMPLETE. Setting canMove = true.");
         }
      }
 
+    /** Commits the move and resolves its cascades. Resolves to every phase that exploded something. */
     async applyMoveAndHandleResults(moveAction) {
-        if (!this.backendPuzzle || !this.boardView) return;
-        const phaseResult = this.backendPuzzle.getNextExplodeAndReplacePhase([moveAction]);
+        const phases = [];
+        if (!this.backendPuzzle || !this.boardView) return phases;
+        const phaseResult = this.backendPuzzle.getNextExplodeAndReplacePhase([moveAction], 0);
         if (!phaseResult.isNothingToDo()) {
+            phases.push(phaseResult);
+            this.emitScoreChanged(phaseResult);
             await this.animatePhase(phaseResult);
-            await this.handleCascades();
+            await this.handleCascades(1, phases);
         }
+        return phases;
     }
 
-    async handleCascades() {
+    async handleCascades(cascadeDepth = 1, phases = []) {
         if (!this.backendPuzzle || !this.boardView) return;
-        const cascadePhase = this.backendPuzzle.getNextExplodeAndReplacePhase([]);
+        const cascadePhase = this.backendPuzzle.getNextExplodeAndReplacePhase([], cascadeDepth);
         if (!cascadePhase.isNothingToDo()) {
+            phases.push(cascadePhase);
+            this.emitScoreChanged(cascadePhase);
             await this.animatePhase(cascadePhase);
-            await this.handleCascades();
+            await this.handleCascades(cascadeDepth + 1, phases);
         }
     }
 
+    /** Notifies the React UI of the running score. Pass the phase that changed it, if any. */
+    emitScoreChanged(phaseResult = null) {
+        if (!this.backendPuzzle) return;
+        EventBus.emit(GAME_EVENTS.SCORE_CHANGED, {
+            score: this.backendPuzzle.getScore(),
+            delta: phaseResult ? phaseResult.score.total : 0,
+            breakdown: phaseResult ? phaseResult.score : null
+        });
+    }
+
+    /** Reshuffles (and animates) the board when no row or column shift can make a match. */
+    async reshuffleIfDeadBoard() {
+        if (!this.backendPuzzle || !this.boardView) return;
+        if (this.backendPuzzle.hasAnyValidMove()) return;
+
+        console.log("Game Scene: No valid moves left. Reshuffling board.");
+        const { moves } = this.backendPuzzle.reshuffle();
+        await this.boardView.animateShuffle(moves, this.backendPuzzle.getGridState());
+        EventBus.emit(GAME_EVENTS.BOARD_SHUFFLED, { reason: 'no-valid-moves', regenerated: moves === null });
+    }
+
     async animatePhase(phaseResult) {
          if (!this.boardView) return;
-         await this.boardView.animateExplosions(phaseResult.matches.flat());
+         await this.boardView.animateSpecialActivations(phaseResult.activatedSpecials);
+         await this.boardView.animateExplosions(phaseResult.getClearedCoords());
+         await this.boardView.animateObstacleHits(phaseResult.obstaclesHit, this.backendPuzzle.getGridState());
+         await this.boardView.markSpecialsCreated(phaseResult.specialsCreated);
          await this.boardView.animateFalls(phaseResult.replacements, this.backendPuzzle.getGridState());
+         this.reconcileBoard('cascade');
+    }
+
+    // --- View Reconciliation ---
+    /** @returns {ViewRepairTotals} */
+    static emptyViewRepairs() {
+        return { passes: 0, created: 0, retextured: 0, destroyed: 0, moved: 0, obstacles: 0 };
+    }
+
+    /**
+     * Brings the sprites back in line with the model, which is always right, and reports any
+     * repairs ('board-view-repaired'). Runs after every phase and move, on resize and after errors.
+     * @param {string} reason - What triggered the pass: 'cascade', 'move', 'resize' or 'error'.
+     * @returns {number} Repairs made; 0 when the view already matched.
+     */
+    reconcileBoard(reason) {
+        if (!this.boardView || !this.backendPuzzle || !this.isBoardInitialized) return 0;
+        const repairs = this.boardView.reconcile(this.backendPuzzle.getGridState());
+        this.viewRepairs.passes++;
+        const count = Object.values(repairs).reduce((sum, n) => sum + n, 0);
+        if (count === 0) return 0;
+        Object.entries(repairs).forEach(([kind, n]) => {
+            this.viewRepairs[kind] += n;
+        });
+        console.warn(`Game Scene: Board view had drifted from the model (${reason}); repaired:`, repairs);
+        EventBus.emit(GAME_EVENTS.BOARD_VIEW_REPAIRED, { reason, repairs, totals: { ...this.viewRepairs } });
+        return count;
+    }
+
+    // --- Undo / Redo ---
+    /** Steps the board back to before the last move. Triggered by the React 'Undo' button. */
+    async undoMove() {
+        await this.restoreFromHistory(() => {
+            const credit = this.backendPuzzle.getUndoCredit();
+            if (!this.backendPuzzle.undo()) return false;
+            this.applyMoveCredit(credit, true);
+            return true;
+        }, 'undo');
+    }
+
+    /** Re-applies the last undone move. Triggered by the React 'Redo' button. */
+    async redoMove() {
+        await this.restoreFromHistory(() => {
+            const credit = this.backendPuzzle.getRedoCredit();
+            if (!this.backendPuzzle.redo()) return false;
+            this.applyMoveCredit(credit, false);
+            return true;
+        }, 'redo');
+    }
+
+    /** Runs an undo/redo on the model and rebuilds the board to match. Ignored mid-move. */
+    async restoreFromHistory(step, label) {
+        if (!this.canMove || !this.isBoardInitialized || !this.backendPuzzle || !this.boardView) return;
+        if (this.isDragging) this.cancelDrag(`${label} requested`);
+
+        this.canMove = false;
+        this.clearHint();
+        try {
+            if (!step()) return;
+            console.log(`Game Scene: ${label} applied.`);
+            this.replayRecorder?.recordHistoryStep(label, this.backendPuzzle.getGridState());
+            await this.boardView.rebuildBoard(this.backendPuzzle.getGridState());
+            this.emitScoreChanged();
+            this.emitHistoryChanged();
+            this.updateProgressDisplay();
+            this.saveSession();
+        } catch (error) {
+            console.error(`Game Scene: Error during ${label}:`, error);
+        } finally {
+            this.canMove = true;
+            this.scheduleHint();
+        }
+    }
+
+    /** Tells the React HUD where the board comes from and how its habitats are mixed. */
+    emitLocationChanged() {
+        if (!this.backendPuzzle) return;
+        EventBus.emit(GAME_EVENTS.LOCATION_CHANGED, {
+            location: this.currentLocation,
+            dataset: this.habitatGemMap ? this.habitatGemMap.dataset : null,
+            habitats: this.backendPuzzle.getHabitatShares().map(({ code, share }) => ({
+                code,
+                share,
+                gemType: this.habitatGemMap?.getGemType(code) ?? null
+            }))
+        });
+    }
+
+    /** Tells the React UI the expected gem colour mix for the current habitats and blend. */
+    emitSpawnDistribution() {
+        if (!this.backendPuzzle) return;
+        EventBus.emit(GAME_EVENTS.SPAWN_DISTRIBUTION_CHANGED, {
+            distribution: this.backendPuzzle.getSpawnDistribution(),
+            habitatBlend: this.backendPuzzle.habitatBlend
+        });
+    }
+
+    /** Lets the React UI enable/disable its Undo and Redo controls. */
+    emitHistoryChanged() {
+        if (!this.backendPuzzle) return;
+        EventBus.emit(GAME_EVENTS.HISTORY_CHANGED, {
+            canUndo: this.backendPuzzle.canUndo(),
+            canRedo: this.backendPuzzle.canRedo()
+        });
+    }
+
+    // --- Rules ---
+    /** Switches between RULE_MODES. Also triggered by the React 'set-rule-mode' event. */
+    setRuleMode(mode) {
+        if (!this.backendPuzzle || !this.backendPuzzle.setRuleMode(mode)) return;
+        this.ruleMode = mode;
+        EventBus.emit(GAME_EVENTS.RULE_MODE_CHANGED, mode);
+    }
+
+    // --- Hints ---
+    /** (Re)starts the idle countdown after which the best move is highlighted. */
+    scheduleHint() {
+        if (this.hintTimer) {
+            this.hintTimer.remove(false);
+            this.hintTimer = null;
+        }
+        if (this.hintIdleDelay > 0 && this.isBoardInitialized) {
+            this.hintTimer = this.time.delayedCall(this.hintIdleDelay, this.showHint, [], this);
+        }
+    }
+
+    /** Highlights the highest-ranked move. Also triggered by the React 'Hint' button. */
+    showHint() {
+        if (!this.canMove || !this.isBoardInitialized || !this.backendPuzzle || !this.boardView) return;
+
+        const [best] = this.backendPuzzle.getRankedMoves();
+        if (!best) {
+            console.log("Game Scene: No move produces a match; no hint available.");
+            EventBus.emit(GAME_EVENTS.HINT_SHOWN, null);
+            return;
+        }
+        this.boardView.showHint(best.move);
+        EventBus.emit(GAME_EVENTS.HINT_SHOWN, {
+            move: best.move, gemsCleared: best.gemsCleared, score: best.score
+        });
+    }
+
+    /** Hides any visible hint and cancels the pending one. */
+    clearHint() {
+        if (this.hintTimer) {
+            this.hintTimer.remove(false);
+            this.hintTimer = null;
+        }
+        if (this.boardView) this.boardView.clearHint();
     }
 
     resetDragState() {
         this.isDragging = false;
+        this.keyboardShift = null;
         this.dragDirection = null;
         this.draggingSprites = [];
         this.dragStartSpritePositions = [];
@@ -434,25 +1720,11 @@ export class Game extends Phaser.Scene {
                  .catch(err => console.error("Error during snap back on cancel:", err));
         }
         this.resetDragState(); // Ensure reset even if snapBack isn't called
+        if (this.keyboardCursorShown) this.showKeyboardCursor(); // Back from the grabbed line to the cell
     }
 
     calculateMoveAction(deltaX, deltaY, direction, startGridX, startGridY) {
-        let cellsMoved = 0;
-        let index = 0;
-        if (direction === 'row') {
-            cellsMoved = deltaX / this.gemSize;
-            index = startGridY;
-        } else {
-            cellsMoved = deltaY / this.gemSize;
-            index = startGridX;
-        }
-        let amount = 0;
-        if (Math.abs(cellsMoved) >= MOVE_THRESHOLD) {
-            amount = Math.round(cellsMoved);
-        }
-        const limit = (direction === 'row') ? GRID_COLS : GRID_ROWS;
-        amount = Phaser.Math.Clamp(amount, -(limit - 1), limit - 1);
-        return new MoveAction(direction, index, amount);
+        return dragToMoveAction(deltaX, deltaY, direction, startGridX, startGridY, { ...this.boardConfig, gemSize: this.gemSize });
     }
 
     disableTouchScrolling() { /* ... same ... */
@@ -480,13 +1752,19 @@ export class Game extends Phaser.Scene {
     // --- Scene Lifecycle ---
     shutdown() {
         console.log("Game Scene: Shutting down...");
-        EventBus.off('cesium-location-selected', this.initializeBoardFromCesium, this);
+        this.eventScope?.clear(); // Only the Game scene's own EventBus handlers
+        this.eventScope = null;
+        this.stopLimitTimer();
+        this.counterText = null;
+        this.clearHint();
 
         this.scale.off(Phaser.Scale.Events.RESIZE, this.handleResize, this);
         this.input.off(Phaser.Input.Events.POINTER_DOWN, this.handlePointerDown, this);
         this.input.off(Phaser.Input.Events.POINTER_MOVE, this.handlePointerMove, this);
         this.input.off(Phaser.Input.Events.POINTER_UP, this.handlePointerUp, this);
         this.input.off(Phaser.Input.Events.POINTER_UP_OUTSIDE, this.handlePointerUp, this);
+        this.input.keyboard?.off('keydown', this.handleKeyDown, this);
+        this.input.keyboard?.off('keydown', this.handleDevKey, this);
         this.enableTouchScrolling();
 
         if (this.boardView) {
@@ -494,6 +1772,9 @@ export class Game extends Phaser.Scene {
             this.boardView = null;
         }
         this.backendPuzzle = null;
+        this.dismissResumePrompt();
+        this.sessionStore = null;
+        this.replayRecorder = null;
         if (this.statusText) {
              this.statusText.destroy();
              this.statusText = null;
@@ -503,44 +1784,26 @@ export class Game extends Phaser.Scene {
         this.canMove = false;
         this.isBoardInitialized = false;
         this.currentHabitatValues = null;
+        this.currentHabitatZones = null;
         this.currentSpeciesNames = null;
+        this.currentLocation = null;
+        this.speciesProgress = null;
 
         console.log("Game Scene: Shutdown complete.");
     }
-
-    // verifyBoardState can remain the same as your provided version
-    verifyBoardState() { /* ... same ... */
-         if (!this.backendPuzzle || !this.boardView) return;
-         // console.log("--- Verifying Board State ---");
-         const modelState = this.backendPuzzle.getGridState();
-         const viewSprites = this.boardView.getGemsSprites();
-         let mismatches = 0;
-
-         for (let x = 0; x < GRID_COLS; x++) {
-             for (let y = 0; y < GRID_ROWS; y++) {
-                 const modelGem = modelState[x]?.[y];
-                 const viewSprite = viewSprites[x]?.[y];
-
-                 if (!modelGem && viewSprite && viewSprite.active) {
-                     console.warn(`Verify Mismatch: View has sprite at [${x},${y}], Model is empty.`);
-                     mismatches++;
-                 } else if (modelGem && (!viewSprite || !viewSprite.active)) {
-                     console.warn(`Verify Mismatch: Model has gem '${modelGem.gemType}' at [${x},${y}], View has no active sprite.`);
-                     mismatches++;
-                 } else if (modelGem && viewSprite && viewSprite.active) {
-                      if (viewSprite.getData('gemType') !== modelGem.gemType) {
-                          console.warn(`Verify Mismatch: Type diff at [${x},${y}]. Model: ${modelGem.gemType}, View: ${viewSprite.getData('gemType')}`);
-                          mismatches++;
-                      }
-                      if (viewSprite.getData('gridX') !== x || viewSprite.getData('gridY') !== y) {
-                           console.warn(`Verify Mismatch: Sprite at [${x},${y}] thinks its logical pos is [${viewSprite.getData('gridX')}, ${viewSprite.getData('gridY')}]`);
-                           mismatches++;
-                      }
-                 }
-             }
-         }
-          if (mismatches === 0) console.log("Verify OK.");
-          else console.error(`Verify Found ${mismatches} Mismatches!`);
-         // console.log("---------------------------");
-     }
-}
\ No newline at end of file
+}
+
+/**
+ * @typedef {import('../BoardView').ViewRepairs & {passes: number}} ViewRepairTotals - passes counts every
+ *     reconcileBoard run, clean or not.
+ */
+
+/**
+ * @typedef {object} MoveCredit - What recordClearedGems credited for one move, kept on its undo step.
+ * @property {Object<string, number>} gems - Cleared per type (also added to gemsClearedByType).
+ * @property {Object<string, number>} habitats - Cleared per originating habitat code.
+ * @property {{lon: number, lat: number} | null} location - Where the gems were credited in the inventory.
+ * @property {import('../SpeciesCollection').SpeciesProgressState | null} speciesBefore
+ * @property {import('../SpeciesCollection').SpeciesProgressState | null} speciesAfter
+ * @property {import('../SpeciesCollection').DiscoveredSpecies[]} discovered - Added to the collection by the move.
+ */
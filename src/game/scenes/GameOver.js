@@ -1,11 +1,29 @@
 import Phaser from 'phaser';
-import { AssetKeys } from '../constants'; // Path is correct relative to scenes/
+import { AssetKeys, GAME_MODES, GAME_END_REASONS } from '../constants'; // Path is correct relative to scenes/
+import { LEVEL_OUTCOMES, OBJECTIVE_TYPES } from '../Level';
 
 export class GameOver extends Phaser.Scene {
     constructor() {
         super('GameOver');
     }
 
+    /**
+     * @param {object} [data] - Results passed by the Game scene when a game ends.
+     * @param {string} [data.mode] - One of GAME_MODES, or 'level'.
+     * @param {string} [data.reason] - One of GAME_END_REASONS.
+     * @param {string | null} [data.outcome] - One of LEVEL_OUTCOMES for levels.
+     * @param {number} [data.score]
+     * @param {number} [data.movesUsed]
+     * @param {Object<string, number>} [data.gemsClearedByType]
+     * @param {{lon: number, lat: number} | null} [data.location]
+     * @param {{id: string, name: string} | null} [data.level]
+     * @param {number | null} [data.stars]
+     * @param {Array<{type: string, gemType?: string, current: number, goal: number, done: boolean}> | null} [data.objectives]
+     */
+    init(data) {
+        this.results = data?.reason ? data : null;
+    }
+
     create() {
         console.log("GameOver: create");
         const { width, height } = this.cameras.main;
@@ -20,18 +38,28 @@ export class GameOver extends Phaser.Scene {
             this.add.image(centerX, centerY, AssetKeys.BACKGROUND).setOrigin(0.5).setAlpha(0.3);
         }
 
+        const won = this.results?.outcome === LEVEL_OUTCOMES.WON;
+        let title = 'Game Over';
+        if (won) title = 'Level Complete!';
+        else if (this.results?.reason === GAME_END_REASONS.TIME_UP) title = "Time's Up!";
+        else if (this.results?.reason === GAME_END_REASONS.OUT_OF_MOVES) title = 'Out of Moves!';
+
         // Game Over Text
-        this.add.text(centerX, centerY * 0.8, 'Game Over', {
+        this.add.text(centerX, centerY * 0.5, title, {
             fontFamily: 'Arial Black',
             fontSize: `${Math.min(width * 0.1, height * 0.15)}px`, // Ensure 'px' unit
-            color: '#ff4444', // Red color
+            color: won ? '#44ff88' : '#ff4444',
             stroke: '#000000',
             strokeThickness: 8,
             align: 'center'
         }).setOrigin(0.5);
 
+        if (this.results) {
+            this.showResults(centerX, centerY * 0.8, width, height);
+        }
+
         // Restart instruction
-         const restartText = this.add.text(centerX, centerY * 1.3, 'Click or Tap to Restart', {
+         const restartText = this.add.text(centerX, centerY * (this.results ? 1.8 : 1.3), 'Click or Tap to Restart', {
             fontFamily: 'Arial',
             fontSize: `${Math.min(width * 0.05, height * 0.06)}px`, // Ensure 'px' unit
             color: '#eeeeee',
@@ -59,4 +87,41 @@ export class GameOver extends Phaser.Scene {
              });
         });
     }
+
+    /** Level or mode, score, gems cleared per type and where the board came from. */
+    showResults(centerX, top, width, height) {
+        const { mode, level, score, stars, movesUsed, gemsClearedByType, location, objectives } = this.results;
+        const fontSize = Math.min(width * 0.04, height * 0.045);
+        const lines = [];
+
+        if (level) {
+            lines.push(level.name, '\u2605'.repeat(stars) + '\u2606'.repeat(3 - stars));
+        } else {
+            lines.push(mode === GAME_MODES.TIMED ? 'Timed run' : mode === GAME_MODES.MOVES ? 'Limited moves' : 'Endless');
+        }
+        lines.push(`Score ${score} in ${movesUsed} moves`);
+
+        const cleared = Object.entries(gemsClearedByType || {}).sort((a, b) => b[1] - a[1]);
+        if (cleared.length > 0) {
+            lines.push(`Cleared: ${cleared.map(([gemType, count]) => `${count} ${gemType}`).join(', ')}`);
+        }
+        (objectives || []).forEach(objective => {
+            const label = objective.type === OBJECTIVE_TYPES.SCORE
+                ? 'Score'
+                : `${objective.gemType ? `${objective.gemType} gems` : 'Gems'} cleared`;
+            lines.push(`${objective.done ? '\u2713' : '\u2717'} ${label}: ${objective.current}/${objective.goal}`);
+        });
+        if (location) {
+            lines.push(`Habitat at ${location.lat.toFixed(3)}, ${location.lon.toFixed(3)}`);
+        }
+
+        this.add.text(centerX, top, lines.join('\n'), {
+            fontFamily: 'Arial',
+            fontSize: `${fontSize}px`,
+            color: '#ffffff',
+            align: 'center',
+            lineSpacing: 6,
+            wordWrap: { width: width * 0.9 }
+        }).setOrigin(0.5, 0);
+    }
 }
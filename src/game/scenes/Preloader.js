@@ -16,6 +16,8 @@ export class Preloader extends Phaser.Scene {
         // Load common assets
         this.load.image(AssetKeys.LOGO, `${assetsFullPath}logo.png`);
         this.load.image(AssetKeys.BACKGROUND, `${assetsFullPath}bg.png`); // Corrected key and filename
+        this.load.json(AssetKeys.LEVELS, `${assetsFullPath}levels.json`);
+        this.load.json(AssetKeys.HABITAT_GEM_MAPS, `${assetsFullPath}habitat-gem-maps.json`);
 
         // Load Gem Assets
         GEM_TYPES.forEach(type => {
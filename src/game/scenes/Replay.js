@@ -0,0 +1,325 @@
+// src/game/scenes/Replay.js
+import Phaser from 'phaser';
+import { BackendPuzzle } from '../BackendPuzzle';
+import { BoardView } from '../BoardView';
+import { MoveAction } from '../MoveAction';
+import { ReplayRecorder, REPLAY_EVENT } from '../ReplayRecorder';
+import { AssetKeys } from '../constants';
+import { parseHabitatGemMapPack, selectHabitatGemMap } from '../HabitatGemMap';
+import { EventBus } from '../EventBus';
+import { GAME_EVENTS } from '../GameEvents';
+
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+const MIN_EVENT_GAP = 150;   // Ms between events at 1x, however fast they were recorded
+const MAX_EVENT_GAP = 1500;  // Ms between events at 1x, however long the player paused
+const CONTROLS_HEIGHT = 56;  // Space reserved above the board for the control bar
+
+/**
+ * Plays a ReplayRecorder file back through BoardView with play/pause/step/speed controls,
+ * re-running every move on a fresh BackendPuzzle and flagging any divergence from the recording.
+ */
+export class Replay extends Phaser.Scene {
+    /** @type {import('../ReplayRecorder').ReplayFile | null} */
+    replay = null;
+    /** @type {BackendPuzzle | null} */
+    backendPuzzle = null;
+    /** @type {BoardView | null} */
+    boardView = null;
+
+    // --- Playback State ---
+    /** @type {number} */
+    eventIndex = 0;
+    /** @type {boolean} */
+    isPlaying = false;
+    /** @type {boolean} */
+    isStepping = false;
+    /** @type {number} */
+    speedIndex = 1;
+    /** @type {number} */
+    divergences = 0;
+    /** @type {Phaser.Time.TimerEvent | null} */
+    playTimer = null;
+
+    // --- Layout / UI ---
+    /** @type {number} */
+    gemSize = 64;
+    /** @type {{x: number, y: number}} */
+    boardOffset = { x: 0, y: 0 };
+    /** @type {Phaser.GameObjects.Text | null} */
+    statusText = null;
+    /** @type {Phaser.GameObjects.Text | null} */
+    playButton = null;
+    /** @type {Phaser.GameObjects.Text | null} */
+    speedButton = null;
+
+    constructor() {
+        super('Replay');
+    }
+
+    /**
+     * @param {object} data
+     * @param {import('../ReplayRecorder').ReplayFile} data.replay
+     */
+    init(data) {
+        this.replay = data?.replay || null;
+        this.eventIndex = 0;
+        this.isPlaying = false;
+        this.isStepping = false;
+        this.speedIndex = PLAYBACK_SPEEDS.indexOf(1);
+        this.divergences = 0;
+        this.playTimer = null;
+    }
+
+    create() {
+        console.log("Replay Scene: create");
+        const { width, height } = this.scale;
+
+        if (this.textures.exists(AssetKeys.BACKGROUND)) {
+            this.add.image(width / 2, height / 2, AssetKeys.BACKGROUND).setOrigin(0.5).setAlpha(0.3);
+        } else {
+            this.cameras.main.setBackgroundColor('#1a1a2e');
+        }
+
+        this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+        this.createControls();
+
+        try {
+            if (!this.replay) throw new Error("No replay provided.");
+            this.backendPuzzle = this.createStartingPuzzle(this.replay);
+        } catch (error) {
+            console.error("Replay Scene: Could not load replay:", error);
+            this.statusText.setText(`Could not load replay: ${error.message}`);
+            EventBus.emit(GAME_EVENTS.CURRENT_SCENE_READY, this);
+            return;
+        }
+
+        this.calculateBoardDimensions();
+        this.boardView = new BoardView(this, {
+            cols: this.backendPuzzle.width, rows: this.backendPuzzle.height,
+            gemSize: this.gemSize, boardOffset: this.boardOffset
+        });
+        this.boardView.createBoard(this.backendPuzzle.getGridState());
+
+        this.scale.on(Phaser.Scale.Events.RESIZE, this.handleResize, this);
+        this.input.keyboard?.on('keydown-SPACE', this.togglePlay, this);
+        this.input.keyboard?.on('keydown-RIGHT', this.stepOnce, this);
+        this.input.keyboard?.on('keydown-UP', this.cycleSpeed, this);
+        this.input.keyboard?.on('keydown-ESC', this.exitReplay, this);
+
+        this.updateStatus();
+        EventBus.emit(GAME_EVENTS.CURRENT_SCENE_READY, this);
+    }
+
+    /**
+     * Rebuilds the board the recording started from. Boards dealt from a seed are regenerated,
+     * which also checks that board generation itself is still deterministic.
+     */
+    createStartingPuzzle(replay) {
+        const { start } = replay;
+        const maps = parseHabitatGemMapPack(this.cache.json.get(AssetKeys.HABITAT_GEM_MAPS) || []);
+        const puzzle = new BackendPuzzle(start.width, start.height, {
+            gemTypes: start.gemTypes,
+            habitatBlend: start.habitatBlend,
+            habitatGemMap: selectHabitatGemMap(maps, start.habitatDataset)
+        });
+
+        if (replay.fromSeed) {
+            puzzle.startBoard(replay.seed, replay.habitats, start.habitatZones);
+            if (start.ruleMode) puzzle.setRuleMode(start.ruleMode);
+            if (ReplayRecorder.hashGrid(puzzle.getGridState()) === ReplayRecorder.hashGrid(start.puzzleState)) {
+                return puzzle;
+            }
+            this.reportDivergence(-1, "starting board differs from the recording");
+        }
+        puzzle.restoreState(start);
+        return puzzle;
+    }
+
+    // --- Controls ---
+    createControls() {
+        const buttonStyle = { fontSize: '18px', color: '#ffffff', backgroundColor: '#000000aa', padding: { x: 10, y: 6 } };
+        const makeButton = (x, label, onClick) => this.add.text(x, CONTROLS_HEIGHT / 2, label, buttonStyle)
+            .setOrigin(0, 0.5).setDepth(100)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', onClick);
+
+        makeButton(10, 'Back', () => this.exitReplay());
+        this.playButton = makeButton(80, 'Play', () => this.togglePlay());
+        makeButton(150, 'Step', () => this.stepOnce());
+        this.speedButton = makeButton(220, `x${PLAYBACK_SPEEDS[this.speedIndex]}`, () => this.cycleSpeed());
+        this.statusText = this.add.text(290, CONTROLS_HEIGHT / 2, '', { fontSize: '16px', color: '#eeeeee' })
+            .setOrigin(0, 0.5).setDepth(100);
+    }
+
+    togglePlay() {
+        this.isPlaying = !this.isPlaying;
+        if (this.isPlaying) {
+            this.scheduleNextEvent();
+        } else if (this.playTimer) {
+            this.playTimer.remove(false);
+            this.playTimer = null;
+        }
+        this.updateStatus();
+    }
+
+    async stepOnce() {
+        if (this.isPlaying) this.togglePlay();
+        await this.playNextEvent();
+    }
+
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % PLAYBACK_SPEEDS.length;
+        const speed = PLAYBACK_SPEEDS[this.speedIndex];
+        this.tweens.timeScale = speed;
+        this.speedButton?.setText(`x${speed}`);
+        this.updateStatus();
+    }
+
+    exitReplay() {
+        console.log("Replay Scene: Returning to Game...");
+        this.scene.start('Game');
+    }
+
+    // --- Playback ---
+    scheduleNextEvent() {
+        if (!this.isPlaying || !this.replay) return;
+        const { events } = this.replay;
+        if (this.eventIndex >= events.length) {
+            this.isPlaying = false;
+            this.updateStatus();
+            return;
+        }
+        const previousTime = this.eventIndex > 0 ? events[this.eventIndex - 1][0] : 0;
+        const gap = Phaser.Math.Clamp(events[this.eventIndex][0] - previousTime, MIN_EVENT_GAP, MAX_EVENT_GAP);
+        this.playTimer = this.time.delayedCall(gap / PLAYBACK_SPEEDS[this.speedIndex], async () => {
+            this.playTimer = null;
+            await this.playNextEvent();
+            this.scheduleNextEvent();
+        });
+    }
+
+    async playNextEvent() {
+        if (this.isStepping || !this.replay || !this.backendPuzzle || !this.boardView) return;
+        if (this.eventIndex >= this.replay.events.length) return;
+
+        this.isStepping = true;
+        const index = this.eventIndex++;
+        const event = this.replay.events[index];
+        try {
+            if (event[1] === REPLAY_EVENT.MOVE) {
+                await this.playMoveEvent(index, event);
+            } else if (event[1] === REPLAY_EVENT.UNDO || event[1] === REPLAY_EVENT.REDO) {
+                const applied = event[1] === REPLAY_EVENT.UNDO ? this.backendPuzzle.undo() : this.backendPuzzle.redo();
+                if (applied) await this.boardView.rebuildBoard(this.backendPuzzle.getGridState());
+                this.checkGridHash(index, event[2]);
+            } else {
+                console.warn(`Replay Scene: Unknown event '${event[1]}' at #${index}. Skipping.`);
+            }
+        } catch (error) {
+            console.error(`Replay Scene: Error playing event #${index}:`, error);
+            this.boardView.reconcile(this.backendPuzzle.getGridState());
+        } finally {
+            this.isStepping = false;
+            this.updateStatus();
+        }
+    }
+
+    /** Re-runs a recorded move the same way Game does: move, cascades, then reshuffle if dead. */
+    async playMoveEvent(index, [, , direction, lineIndex, amount, recordedPhases, recordedHash]) {
+        const moveAction = new MoveAction(direction === 'r' ? 'row' : 'col', lineIndex, amount);
+        this.boardView.updateGemsSpritesArrayAfterMove(moveAction);
+        this.boardView.snapDraggedGemsToFinalGridPositions();
+
+        const producedPhases = [];
+        let cascadeDepth = 0;
+        let phase = this.backendPuzzle.getNextExplodeAndReplacePhase([moveAction], cascadeDepth);
+        while (!phase.isNothingToDo()) {
+            producedPhases.push(ReplayRecorder.encodePhase(phase));
+            await this.animatePhase(phase);
+            phase = this.backendPuzzle.getNextExplodeAndReplacePhase([], ++cascadeDepth);
+        }
+
+        if (!this.backendPuzzle.hasAnyValidMove()) {
+            const { moves } = this.backendPuzzle.reshuffle();
+            await this.boardView.animateShuffle(moves, this.backendPuzzle.getGridState());
+        }
+
+        if (JSON.stringify(producedPhases) !== JSON.stringify(recordedPhases)) {
+            this.reportDivergence(index, "explode/replace phases differ from the recording");
+        }
+        this.checkGridHash(index, recordedHash);
+    }
+
+    async animatePhase(phaseResult) {
+        await this.boardView.animateSpecialActivations(phaseResult.activatedSpecials);
+        await this.boardView.animateExplosions(phaseResult.getClearedCoords());
+        await this.boardView.animateObstacleHits(phaseResult.obstaclesHit, this.backendPuzzle.getGridState());
+        await this.boardView.markSpecialsCreated(phaseResult.specialsCreated);
+        await this.boardView.animateFalls(phaseResult.replacements, this.backendPuzzle.getGridState());
+    }
+
+    checkGridHash(index, recordedHash) {
+        const actualHash = ReplayRecorder.hashGrid(this.backendPuzzle.getGridState());
+        if (recordedHash && actualHash !== recordedHash) {
+            this.reportDivergence(index, `board hash ${actualHash} != recorded ${recordedHash}`);
+        }
+    }
+
+    reportDivergence(index, reason) {
+        this.divergences++;
+        console.warn(`Replay Scene: Divergence at event #${index}: ${reason}.`);
+        EventBus.emit(GAME_EVENTS.REPLAY_DIVERGENCE, { eventIndex: index, reason });
+    }
+
+    updateStatus() {
+        if (!this.statusText) return;
+        const total = this.replay?.events.length ?? 0;
+        const state = this.isPlaying ? 'Playing' : (this.eventIndex >= total ? 'Finished' : 'Paused');
+        const sync = this.divergences > 0 ? `${this.divergences} divergence(s)` : 'in sync';
+        const score = this.backendPuzzle ? ` | Score ${this.backendPuzzle.getScore()}` : '';
+        this.statusText.setText(`${state} ${this.eventIndex}/${total} | ${sync}${score}`);
+        this.statusText.setColor(this.divergences > 0 ? '#ff8844' : '#eeeeee');
+        this.playButton?.setText(this.isPlaying ? 'Pause' : 'Play');
+    }
+
+    // --- Layout ---
+    calculateBoardDimensions() {
+        const { width, height } = this.scale;
+        if (!this.backendPuzzle || width <= 0 || height <= 0) return;
+        const usableHeight = (height - CONTROLS_HEIGHT) * 0.92;
+        const sizeFromWidth = Math.floor((width * 0.95) / this.backendPuzzle.width);
+        const sizeFromHeight = Math.floor(usableHeight / this.backendPuzzle.height);
+        this.gemSize = Math.max(24, Math.min(sizeFromWidth, sizeFromHeight));
+        this.boardOffset = {
+            x: Math.round((width - this.backendPuzzle.width * this.gemSize) / 2),
+            y: Math.round(CONTROLS_HEIGHT + (height - CONTROLS_HEIGHT - this.backendPuzzle.height * this.gemSize) / 2)
+        };
+    }
+
+    handleResize() {
+        this.calculateBoardDimensions();
+        if (this.boardView) {
+            this.boardView.updateVisualLayout(this.gemSize, this.boardOffset);
+        }
+    }
+
+    shutdown() {
+        console.log("Replay Scene: Shutting down...");
+        this.scale.off(Phaser.Scale.Events.RESIZE, this.handleResize, this);
+        this.input.keyboard?.off('keydown-SPACE', this.togglePlay, this);
+        this.input.keyboard?.off('keydown-RIGHT', this.stepOnce, this);
+        this.input.keyboard?.off('keydown-UP', this.cycleSpeed, this);
+        this.input.keyboard?.off('keydown-ESC', this.exitReplay, this);
+        if (this.playTimer) {
+            this.playTimer.remove(false);
+            this.playTimer = null;
+        }
+        this.tweens.timeScale = 1;
+        if (this.boardView) {
+            this.boardView.destroyBoard();
+            this.boardView = null;
+        }
+        this.backendPuzzle = null;
+        this.isPlaying = false;
+    }
+}